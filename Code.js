@@ -1,23 +1,26 @@
 /**
- * Tax bracket data for federal and state income tax calculations
- * Each bracket contains [income_threshold, tax_rate]
- * Income thresholds represent the upper limit of each bracket
+ * Federal and state income tax calculations
+ * The year-keyed tables (brackets, deductions, credits, thresholds) live in
+ * TaxData.js, read on first use. Each bracket contains
+ * [income_threshold, tax_rate]; thresholds are the upper limit of each bracket.
  *
  * Data Sources:
  * - Federal: IRS Publication 15 and Revenue Procedures
- * - NY: NY State Department of Taxation and Finance
+ * - NY: NY State Department of Taxation and Finance (including NYC and Yonkers resident tax)
  * - CA: California Franchise Tax Board (FTB)
  * - NC: North Carolina Department of Revenue (NCDOR)
  *
  * IMPORTANT NOTES:
- * - All rates are for "Married Filing Jointly" status (NC flat tax applies to all filing statuses)
- * - Rates marked as "ESTIMATED" are projections based on historical inflation adjustments
+ * - Federal tables cover every filing status (single, MFJ, MFS, HOH, QSS); functions default to MFJ
+ * - NY and CA rates are for "Married Filing Jointly" status (NC flat tax applies to all filing statuses)
+ * - Rates marked as "ESTIMATE" in TaxData.js are projections based on historical inflation
+ *   adjustments; getTaxDataStatus reports them per jurisdiction and year
  * - 2026 federal rates may change if Tax Cuts and Jobs Act provisions expire
  * - CA calculations include 1% Mental Health Services Tax on income over $1M (Prop 63, 2004)
  * - NC uses a flat tax rate that has been declining annually (4.75% in 2023 to 3.99% in 2026)
- * - NIIT (Net Investment Income Tax) is 3.8% on investment income when MAGI > $250K (ACA, 2013)
- * - Child Tax Credit: $2,000-$2,200 per child, phases out above $400K MAGI (OBBBA, 2025)
- * - These calculations do not include standard deductions, personal exemptions, or other credits
+ * - NIIT (Net Investment Income Tax) is 3.8% on investment income when MAGI > $250K MFJ (ACA, 2013)
+ * - Child Tax Credit: $2,000-$2,200 per child, phases out above $400K MFJ MAGI (OBBBA, 2025)
+ * - Bracket functions take taxable income; getFederalTaxableIncome / getNYDeductionMFJ derive it from AGI
  *
  * Last Updated: April 2026
  */
@@ -27,7 +30,13 @@
  */
 const TAX_CONFIG = {
   MAX_INCOME: 100000000, // $100 million - effectively unlimited income
-  SUPPORTED_YEARS: [2023, 2024, 2025, 2026],
+  // Published years (TaxData.js); later years are projected
+  get SUPPORTED_YEARS() {
+    return _taxData().supportedYears;
+  },
+  // Federal filing statuses: single, married filing jointly, married filing
+  // separately, head of household, qualifying surviving spouse
+  FILING_STATUSES: ['single', 'mfj', 'mfs', 'hoh', 'qss'],
   // California Mental Health Services Tax (Proposition 63, 2004)
   CA_MENTAL_HEALTH_TAX: {
     RATE: 0.01,           // 1% tax rate
@@ -35,50 +44,197 @@ const TAX_CONFIG = {
   },
   // Net Investment Income Tax (Affordable Care Act, 2013)
   // 3.8% surtax on investment income for high earners
+  // MAGI thresholds are statutory (IRC §1411(b)) and not inflation-indexed
   NIIT: {
     RATE: 0.038,          // 3.8% tax rate
-    THRESHOLD: 250000     // $250,000 threshold (unchanged since 2013)
+    THRESHOLDS: {         // MAGI threshold by filing status (unchanged since 2013)
+      single: 200000,
+      mfj: 250000,
+      mfs: 125000,
+      hoh: 200000,
+      qss: 250000
+    }
+  },
+  // Employee share of FICA (IRC §3101). Social Security applies up to the
+  // per-year wage base in SOCIAL_SECURITY_WAGE_BASE, separately per worker.
+  PAYROLL: {
+    SOCIAL_SECURITY_RATE: 0.062,  // 6.2% OASDI
+    MEDICARE_RATE: 0.0145         // 1.45% Medicare (HI), no wage cap
+  },
+  // Self-employment tax (Schedule SE): both halves of FICA on 92.35% of
+  // net profit; none is due when net earnings are under $400.
+  SELF_EMPLOYMENT: {
+    NET_EARNINGS_FACTOR: 0.9235,
+    MINIMUM_NET_EARNINGS: 400
+  },
+  // Section 199A qualified business income deduction (Form 8995 / 8995-A)
+  QBI: {
+    RATE: 0.20,               // 20% of QBI and of taxable income less net capital gain
+    WAGE_RATE: 0.50,          // 50% of W-2 wages, or
+    WAGE_AND_UBIA_RATES: [0.25, 0.025]  // 25% of W-2 wages + 2.5% of UBIA
+  },
+  // Additional Medicare Tax (Affordable Care Act, 2013; IRC §3101(b)(2))
+  // 0.9% on combined wages over the threshold. Same figures as NIIT except
+  // QSS, which is not a joint return here. Not inflation-indexed.
+  ADDITIONAL_MEDICARE: {
+    RATE: 0.009,
+    THRESHOLDS: {
+      single: 200000,
+      mfj: 250000,
+      mfs: 125000,
+      hoh: 200000,
+      qss: 200000
+    }
+  },
+  // Maximum rates on capital gain taxed outside the 0%/15%/20% schedule
+  // (IRC §1(h)(1)(E)–(F); Schedule D lines 18–19)
+  CAPITAL_GAINS_MAX_RATES: {
+    UNRECAPTURED_1250: 0.25,  // Unrecaptured section 1250 gain
+    COLLECTIBLES: 0.28        // Collectibles and section 1202 gain
   },
-  // Child Tax Credit phase-out parameters (married filing jointly)
-  // Phase-out threshold permanent at $400,000 per OBBBA (July 2025)
+  // Net capital loss deductible against ordinary income (IRC §1211(b)).
+  // Not inflation-indexed; excess carries forward indefinitely.
+  CAPITAL_LOSS_LIMITS: {
+    single: 3000,
+    mfj: 3000,
+    mfs: 1500,
+    hoh: 3000,
+    qss: 3000
+  },
+  // Child Tax Credit phase-out parameters
+  // Phase-out thresholds permanent at $400,000 MFJ / $200,000 other per OBBBA (July 2025)
   CHILD_TAX_CREDIT: {
-    PHASE_OUT_THRESHOLD: 400000,  // $400,000 for married filing jointly
+    PHASE_OUT_THRESHOLDS: {       // MAGI threshold by filing status
+      single: 200000,
+      mfj: 400000,
+      mfs: 200000,
+      hoh: 200000,
+      qss: 200000
+    },
     PHASE_OUT_RATE: 50,            // $50 reduction per $1,000 over threshold
     PHASE_OUT_INCREMENT: 1000      // Phase-out calculated per $1,000 increment
-  }
+  },
+  // Estimated tax safe harbors: the lesser of 90% of this year's tax or
+  // 100% of last year's (110% over the prior-year AGI threshold) avoids the
+  // underpayment penalty — IRC §6654(d), NY Tax Law §685(d), CA R&TC
+  // §19136.3. No payments are needed when the balance due after
+  // withholding is under the minimum. Statutory, not indexed.
+  ESTIMATED_TAX: {
+    // Installment due dates as [month, day]; the fourth falls in January
+    // of the next year. Weekends and holidays move them (IRC §7503).
+    DUE_DATES: [[4, 15], [6, 15], [9, 15], [1, 15]],
+    CURRENT_YEAR_RATE: 0.90,
+    PRIOR_YEAR_RATE: 1.00,
+    HIGH_INCOME_PRIOR_YEAR_RATE: 1.10,
+    HIGH_INCOME_AGI: {            // Prior-year AGI above which 110% applies
+      single: 150000,
+      mfj: 150000,
+      mfs: 75000,
+      hoh: 150000,
+      qss: 150000
+    },
+    // Form 2210 Schedule AI: periods ending March 31, May 31, August 31 and
+    // December 31, their annualization factors and the share of the
+    // annualized tax due by each installment.
+    ANNUALIZATION_FACTORS: [4, 2.4, 1.5, 1],
+    ANNUALIZED_INSTALLMENT_RATES: [0.225, 0.45, 0.675, 0.90],
+    JURISDICTIONS: {
+      federal: { MINIMUM_BALANCE_DUE: 1000, INSTALLMENTS: [0.25, 0.25, 0.25, 0.25] },
+      ny: { MINIMUM_BALANCE_DUE: 300, INSTALLMENTS: [0.25, 0.25, 0.25, 0.25] },
+      // CA has no September installment (Form 540-ES), and at AGI of $1M
+      // ($500K MFS) or more the prior-year safe harbor is unavailable.
+      ca: {
+        MINIMUM_BALANCE_DUE: 500,
+        MFS_MINIMUM_BALANCE_DUE: 250,
+        INSTALLMENTS: [0.30, 0.40, 0, 0.30],
+        NO_PRIOR_YEAR_SAFE_HARBOR_AGI: 1000000,
+        MFS_NO_PRIOR_YEAR_SAFE_HARBOR_AGI: 500000
+      }
+    }
+  },
+  // Paycheck withholding (2020+ Form W-4). Federal: the Pub 15-T
+  // percentage method, Worksheet 1A. States: the exact-calculation methods
+  // of NYS-50-T-NYS, CA DE 44 (Method B) and NC-30.
+  WITHHOLDING: {
+    PAY_PERIODS: {
+      daily: 260, weekly: 52, biweekly: 26, semimonthly: 24, monthly: 12,
+      quarterly: 4, semiannual: 2, annual: 1
+    },
+    // W-4 filing status → Pub 15-T schedule (single covers MFS, mfj QSS)
+    SCHEDULES: { single: 'single', mfj: 'mfj', mfs: 'single', hoh: 'hoh', qss: 'mfj' },
+    // Worksheet 1A line 1g when the Step 2 box isn't checked; unchanged
+    // since the 2020 W-4
+    STEP_2_ADJUSTMENT: { single: 8600, mfj: 12900, hoh: 8600 },
+    STATES: {
+      // NYS-50-T-NYS Table B (married): deduction allowance, $1,000 per
+      // allowance. NY's calculators are MFJ / QSS only, so the single
+      // schedule (Table A) isn't carried.
+      ny: {
+        DEDUCTION_ALLOWANCE: { mfj: 7950, qss: 7950 },
+        PER_ALLOWANCE: 1000
+      },
+      // NC-30: each working spouse gets half the MFJ standard deduction;
+      // $2,500 per NC-4 allowance
+      nc: {
+        DEDUCTION_ALLOWANCE: { single: 12750, mfj: 12750, mfs: 12750, hoh: 19125, qss: 12750 },
+        PER_ALLOWANCE: 2500
+      }
+      // CA (DE 44 Method B) uses the state standard deduction and one
+      // personal exemption credit per DE 4 allowance from TaxData.js.
+    },
+    // DE 44 Table 3: married employees get the high (MFJ) standard
+    // deduction from 2 allowances; with 0 or 1, the low (single) one,
+    // half as much
+    CA_HIGH_DEDUCTION_ALLOWANCES: 2
+  },
+  // Taxable Social Security benefits (IRC §86; Pub 915 Worksheet 1). Base
+  // amounts are statutory and not indexed. MFS assumes the spouses lived
+  // together at some point in the year (no base amount); MFS filers who
+  // lived apart all year use the single amounts.
+  SOCIAL_SECURITY_BENEFITS: {
+    BASE_AMOUNTS: {               // [first, second] provisional income base
+      single: [25000, 34000],
+      mfj: [32000, 44000],
+      mfs: [0, 0],
+      hoh: [25000, 34000],
+      qss: [25000, 34000]
+    },
+    INCLUSION_RATES: [0.50, 0.85]  // Share included over each base
+  },
+  // Projection of years after SUPPORTED_YEARS (see _projectedTaxData).
+  // The default rate is an assumed long-run chained CPI-U; override it
+  // with setProjectionInflationRate.
+  PROJECTION: {
+    LAST_YEAR: 2060,
+    DEFAULT_INFLATION_RATE: 0.025
+  },
+  // How calculators report results built on estimated or projected data
+  // (see TAX_DATA_PROVENANCE): 'off' returns plain numbers, 'flag' adds an
+  // estimate note beside or below the result, 'error' refuses to answer.
+  // Custom functions can't share state between cells, so Sheets users set
+  // this here in their copy; scripts can call setEstimateFlagMode.
+  ESTIMATE_FLAG_MODE: 'off'
 };
 
-// NY State tax brackets - Source: NY State Tax Law Section 601
-// 2023-2025: Original rates per NY State 2025 Budget
-// 2026: Reduced rates for income ≤$323,200 per NY Budget Act of 2025
-const NY_BRACKETS_2023_2025 = [
-  [17150, 0.04],
-  [23600, 0.045],
-  [27900, 0.0525],
-  [161550, 0.055],
-  [323200, 0.06],
-  [2155350, 0.0685],
-  [5000000, 0.0965],
-  [25000000, 0.103],
-  [TAX_CONFIG.MAX_INCOME, 0.109],
-];
-
-const NY_BRACKETS_2026 = [
-  [17150, 0.039],
-  [23600, 0.044],
-  [27900, 0.0515],
-  [161550, 0.054],
-  [323200, 0.059],
-  [2155350, 0.0685],
-  [5000000, 0.0965],
-  [25000000, 0.103],
-  [TAX_CONFIG.MAX_INCOME, 0.109],
-];
+// ─── Tax data ───────────────────────────────────────────────────────────
+// Every year-keyed figure lives in TaxData.js (TAX_DATA). The tables below
+// are views over it, keyed { year: value } or { status: { year: value } }
+// as the calculators expect, and nothing reads TAX_DATA until the first
+// calculation: _taxData validates it then, once. Apps Script can load the
+// two files in either order. Publishing a new year is a TaxData.js-only
+// change.
+const _TAX_DATA_SCHEMA_VERSION = 1;
+// TAX_DATA as validated by _taxData, or null until then.
+let _loadedTaxData = null;
+// Every _taxDataTable, as { jurisdiction, field }, for _assertYearCoverage.
+const _TAX_DATA_TABLES = [];
+// '<table>@<year>' → { jurisdiction, field, year, projected } for each
+// year the tables are read at, while _collectTaxDataReads runs; else null.
+let _taxDataReads = null;
 
 // ─── NY tax table benefit recapture (MFJ) ───────────────────────────────
 // NY Form IT-201-I, Tax computation worksheets 2–6 (2025). Source:
 //   https://www.tax.ny.gov/pdf/2025/inc/it201i_2025.pdf (pp. 34–35)
-// Coefficients verified identical in the 2023 and 2024 editions.
 //
 // For NYAGI > $107,650, NY phases out the benefit of the lower brackets:
 //   phase-in fraction f = min(NYAGI − anchor, 50,000) / 50,000
@@ -103,43 +259,9 @@ const _NY_RECAPTURE_CLIFF_RATE = 0.109;
 
 // Each row is either a higher band { tiLimit, anchor, base, benefit }
 // or a first-band row { tiLimit, firstBand: true, flatRate, anchor }.
-// MFJ & qualifying surviving spouse — Worksheets 1–5.
-const _NY_RECAPTURE_BANDS_MFJ_2023_2025 = [
-  { tiLimit: 161550,   firstBand: true, flatRate: 0.055, anchor: 107650 },
-  { tiLimit: 323200,   anchor: 161550,   base: 333,    benefit: 807 },
-  { tiLimit: 2155350,  anchor: 323200,   base: 1140,   benefit: 2747 },
-  { tiLimit: 5000000,  anchor: 2155350,  base: 3887,   benefit: 60350 },
-  { tiLimit: Infinity, anchor: 5000000,  base: 64237,  benefit: 32500 },
-];
-
-// ESTIMATE — re-verify against IT-201-I 2026 (expected ~Jan 2027).
-// 2026 coefficients derived from NY_BRACKETS_2026 (NY Budget Act of 2025
-// rate cuts for income ≤$323,200). The IT-201-I recapture formula is
-// unchanged — only the bracket rates below $323,200 moved — so:
-//   base    = prev_top_rate × anchor − bracketed_at_anchor
-//   benefit = (top_rate − prev_top_rate) × anchor
-// WS 1's flatRate is the 2026 first-band top rate (5.4%). Ambiguous
-// half-fractions are resolved by matching NY's published convention for
-// the same-shape expression on IT-201-I 2023-2025: the WS 2 benefit
-// 807.75 publishes as 807 in every prior edition, not 808 — so 2026
-// also gets 807 here, not the round-half-up 808 a naïve derivation
-// would produce. Other ambiguous rounds (e.g., Band 4 base 4210.65)
-// have no direct 2023-2025 precedent and may need adjustment once
-// IT-201-I 2026 publishes.
-const _NY_RECAPTURE_BANDS_MFJ_2026 = [
-  { tiLimit: 161550,   firstBand: true, flatRate: 0.054, anchor: 107650 },
-  { tiLimit: 323200,   anchor: 161550,   base: 333,    benefit: 807 },
-  { tiLimit: 2155350,  anchor: 323200,   base: 1140,   benefit: 3070 },
-  { tiLimit: 5000000,  anchor: 2155350,  base: 4211,   benefit: 60350 },
-  { tiLimit: Infinity, anchor: 5000000,  base: 64560,  benefit: 32500 },
-];
-
-const NY_RECAPTURE_MFJ_TABLE = {
-  2023: _NY_RECAPTURE_BANDS_MFJ_2023_2025,
-  2024: _NY_RECAPTURE_BANDS_MFJ_2023_2025,
-  2025: _NY_RECAPTURE_BANDS_MFJ_2023_2025,
-  2026: _NY_RECAPTURE_BANDS_MFJ_2026,
-};
+// MFJ & qualifying surviving spouse — Worksheets 1–5. The 2026 bands are
+// derived from the 2026 rate cuts (see TaxData.js).
+const NY_RECAPTURE_MFJ_TABLE = _taxDataTable('ny', 'recapture');
 
 // ─── NY itemized deduction phaseout (MFJ) ───────────────────────────────
 // NY Form IT-196 Itemized Deductions, lines 46–47 (MFJ). Sources:
@@ -152,11 +274,9 @@ const NY_RECAPTURE_MFJ_TABLE = {
 // instruction on line 47; 2023–2024 achieve the same result via
 // Worksheets 5 and 6. Net allowed deduction is the same formula.)
 //
-// ESTIMATE — re-verify against IT-196-I 2026 (expected ~Jan 2027).
-// 2026 rolls forward from 2025 — the phaseout structure has been stable
-// since NY introduced IT-196 in 2018, and the NY 2025 Budget Act cut
-// rates without touching the itemized phaseout or standard deduction
-// (which is statutorily fixed in NY Tax Law §614).
+// The phaseout structure has been stable since NY introduced IT-196 in
+// 2018, so every TaxData.js year uses these bands; 2026 is an ESTIMATE
+// until IT-196-I 2026 confirms it (see TAX_DATA_PROVENANCE).
 //
 // At higher NYAGI the allowed itemized deduction is reduced; in the top
 // bands it is replaced by a flat percentage of charitable contributions:
@@ -173,7 +293,7 @@ const _NY_WS4_WINDOW = 50000;                  // WS 4 ramp window
 
 // Each band: { upperAgi, apply(nyAgi, itemizedTotal, charitable) }.
 // `upperAgi` is inclusive; bands are matched first-fit.
-const _NY_DEDUCTION_BANDS_MFJ_2023_2026 = [
+const _NY_DEDUCTION_BANDS_MFJ = [
   // NYAGI ≤ $100K: no phaseout.
   { upperAgi: 100000,
     apply: (_nyAgi, itemizedTotal) => itemizedTotal },
@@ -214,715 +334,5079 @@ const _NY_DEDUCTION_BANDS_MFJ_2023_2026 = [
     apply: (_nyAgi, _itemizedTotal, charitable) => charitable * 0.25 },
 ];
 
-// Statutory MFJ standard deduction (NY Tax Law §614). Confirmed
-// $16,050 in the 2023/2024/2025 IT-201-I standard deduction tables.
-// 2026: ESTIMATE — rollover of the 2025 value. Re-verify against
-// IT-201-I 2026 standard deduction table (expected ~Jan 2027).
-const _NY_STANDARD_DEDUCTION_MFJ = {
-  2023: 16050,
-  2024: 16050,
-  2025: 16050,
-  2026: 16050,
-};
+// Statutory MFJ standard deduction (NY Tax Law §614).
+const _NY_STANDARD_DEDUCTION_MFJ = _taxDataTable('ny', 'standardDeduction', amounts => amounts.mfj);
 
-const _NY_DEDUCTION_PHASEOUT_MFJ = {
-  2023: _NY_DEDUCTION_BANDS_MFJ_2023_2026,
-  2024: _NY_DEDUCTION_BANDS_MFJ_2023_2026,
-  2025: _NY_DEDUCTION_BANDS_MFJ_2023_2026,
-  2026: _NY_DEDUCTION_BANDS_MFJ_2023_2026,
-};
+const _NY_DEDUCTION_PHASEOUT_MFJ = _taxDataTable('ny', 'itemizedPhaseout', () => _NY_DEDUCTION_BANDS_MFJ);
 
-const TAX_BRACKETS = {
-  federal: {
-    // Source: IRS Revenue Procedure 2022-38 (2023), 2023-34 (2024), 2024-40 (2025), 2025-32 (2026)
-    2023: [
-      [22000, 0.10],
-      [89450, 0.12],
-      [190750, 0.22],
-      [364200, 0.24],
-      [462500, 0.32],
-      [693750, 0.35],
-      [TAX_CONFIG.MAX_INCOME, 0.37],
-    ],
-    2024: [
-      [23200, 0.10],
-      [94300, 0.12],
-      [201050, 0.22],
-      [383900, 0.24],
-      [487450, 0.32],
-      [731200, 0.35],
-      [TAX_CONFIG.MAX_INCOME, 0.37],
-    ],
-    2025: [
-      [23850, 0.10],
-      [96950, 0.12],
-      [206700, 0.22],
-      [394600, 0.24],
-      [501050, 0.32],
-      [751600, 0.35],
-      [TAX_CONFIG.MAX_INCOME, 0.37],
-    ],
-    2026: [
-      [24800, 0.10],
-      [100800, 0.12],
-      [211400, 0.22],
-      [403550, 0.24],
-      [512450, 0.32],
-      [768700, 0.35],
-      [TAX_CONFIG.MAX_INCOME, 0.37],
-    ],
-  },
-  ny: {
-    2023: NY_BRACKETS_2023_2025,
-    2024: NY_BRACKETS_2023_2025,
-    2025: NY_BRACKETS_2023_2025,
-    2026: NY_BRACKETS_2026,
-  },
-  ca: {
-    // Source: California FTB Schedule Y (2023-2025 actual; 2026 estimated via 2.971% CA CPI adjustment)
-    2023: [
-      [20924, 0.01],
-      [49564, 0.02],
-      [78252, 0.04],
-      [108616, 0.06],
-      [137284, 0.08],
-      [701308, 0.093],
-      [841572, 0.103],
-      [1402620, 0.113],
-      [TAX_CONFIG.MAX_INCOME, 0.123],
-    ],
-    2024: [
-      [21512, 0.01],
-      [50998, 0.02],
-      [80490, 0.04],
-      [111732, 0.06],
-      [141212, 0.08],
-      [721318, 0.093],
-      [865574, 0.103],
-      [1442628, 0.113],
-      [TAX_CONFIG.MAX_INCOME, 0.123],
-    ],
-    2025: [
-      [22158, 0.01],
-      [52528, 0.02],
-      [82904, 0.04],
-      [115084, 0.06],
-      [145448, 0.08],
-      [742958, 0.093],
-      [891542, 0.103],
-      [1485906, 0.113],
-      [TAX_CONFIG.MAX_INCOME, 0.123],
-    ],
-    // ESTIMATE — re-verify against FTB Schedule Y 2026 (expected ~fall 2026).
-    2026: [
-      [22816, 0.01],
-      [54089, 0.02],
-      [85367, 0.04],
-      [118503, 0.06],
-      [149769, 0.08],
-      [765031, 0.093],
-      [918030, 0.103],
-      [1530052, 0.113],
-      [TAX_CONFIG.MAX_INCOME, 0.123],
-    ],
+// ─── NYC and Yonkers resident tax (MFJ) ─────────────────────────────────
+// NYC resident tax rate schedule (NY Tax Law §1304; IT-201-I NYC tax rate
+// schedule): { brackets, householdCredit, schoolTaxCredit } per year.
+//   householdCredit (IT-201 line 48), MFJ / QSS / HOH table: a flat amount
+//     per exemption (taxpayer, spouse, dependents), by federal AGI.
+//     `upperAgi` is inclusive; bands are matched first-fit.
+//   schoolTaxCredit, MFJ / QSS (IT-201 lines 69 and 69a). Both parts are
+//     refundable.
+//       fixed amount:   `fixedAmount` if income ≤ `fixedIncomeLimit`
+//       rate reduction: if NYC taxable income ≤ `rateReductionIncomeLimit`,
+//                       rate₁ × TI up to `rateReductionBreak`, else
+//                       `rateReductionBase` + rate₂ × (TI − break)
+const NYC_TAX_TABLE = _taxDataTable('nyc', null);
+
+// Yonkers resident income tax surcharge: a percentage of net NY State tax
+// (IT-201 line 55; Yonkers City Code §15-105).
+const YONKERS_SURCHARGE_RATE = _taxDataTable('yonkers', 'surchargeRate');
+
+// Federal ordinary-income brackets by filing status.
+// Source: IRS Revenue Procedure 2022-38 (2023), 2023-34 (2024), 2024-40 (2025), 2025-32 (2026)
+// Qualifying surviving spouse (QSS) uses the MFJ schedule; MFS matches
+// single except the 35% bracket ends at half the MFJ figure.
+const FEDERAL_BRACKETS_BY_STATUS = _taxDataByStatus('federal', 'brackets');
+
+// ─── State jurisdiction registry ───────────────────────────────────────
+// Every state income tax is declared here as data. getStateIncomeTax,
+// getMarginalRate and _assertYearCoverage iterate the registry, so adding
+// a state is one _registerStateJurisdiction call plus its TaxData.js
+// entry (see the README).
+//
+// Definition fields:
+//   name               Display name
+//   filingStatuses     Filing statuses the bracket tables cover
+//   brackets           { year: [[threshold, rate], ...] }
+//   bracketsByStatus   Optional { status: { year: [...] } } overriding
+//                      `brackets` for statuses with their own schedule
+//   standardDeduction  { status: { year: amount } } for every filing status
+//   surtaxes           Optional [{ label, calculate: (taxableIncome, year, status) => tax }]
+//                      added on top; `label` names its getTaxBracketBreakdown row
+//   recapture          Optional (taxableIncome, bracketedTax, year, status) => tax
+//   breakpoints        Optional (year, status) => [taxableIncome, ...] where
+//                      the recapture or surtaxes change slope or jump;
+//                      required alongside either hook (see getGrossUpIncome)
+//   curvature          Optional (taxableIncome, year, status) => coefficient
+//                      of taxableIncome² in the tax there, for hooks that
+//                      are quadratic between breakpoints (NY's first
+//                      recapture band); omitted hooks are linear
+//   yearTables         Optional { name: { year: ... } } — extra tables the
+//                      hooks read, checked by _assertYearCoverage
+//   socialSecurity     Optional { year: { exemptBelowAGI: { status: agi },
+//                      taxableShare } }: the state taxes `taxableShare` of
+//                      the federally taxable Social Security benefits once
+//                      federal AGI reaches exemptBelowAGI; omit it when the
+//                      state exempts the benefits
+const STATE_JURISDICTIONS = {};
+
+// NY State brackets (NY Tax Law §601), MFJ / QSS.
+_registerStateJurisdiction('ny', {
+  name: 'New York',
+  filingStatuses: ['mfj', 'qss'],
+  brackets: _taxDataTable('ny', 'brackets'),
+  standardDeduction: {
+    mfj: _NY_STANDARD_DEDUCTION_MFJ,
+    qss: _taxDataTable('ny', 'standardDeduction', amounts => amounts.qss),
   },
-  nc: {
-    // Source: NCDOR (flat tax, declining annually per Session Law 2023-134)
-    2023: [[TAX_CONFIG.MAX_INCOME, 0.0475]],
-    2024: [[TAX_CONFIG.MAX_INCOME, 0.045]],
-    2025: [[TAX_CONFIG.MAX_INCOME, 0.0425]],
-    2026: [[TAX_CONFIG.MAX_INCOME, 0.0399]],
+  recapture: _applyNYRecapture,
+  breakpoints: _getNYRecaptureBreakpoints,
+  curvature: _getNYRecaptureCurvature,
+  yearTables: {
+    NY_RECAPTURE_MFJ_TABLE,
+    _NY_DEDUCTION_PHASEOUT_MFJ,
   },
-};
+});
+
+// CA exemption credits per person (R&TC §17054; FTB Form 540
+// instructions) and the federal-AGI threshold above which both the credits
+// and itemized deductions are limited (R&TC §17054.1, §17077):
+// { personal, dependent, phaseOutThresholdMFJ } per year.
+const CA_EXEMPTION_CREDITS = _taxDataTable('ca', 'exemptionCredits');
+// Each credit shrinks by $6 per $2,500 (or fraction) of AGI over the
+// threshold (MFJ).
+const _CA_EXEMPTION_PHASE_OUT_STEP_MFJ = 2500;
+const _CA_EXEMPTION_PHASE_OUT_REDUCTION = 6;
+// Itemized deductions shrink by the lesser of 6% of AGI over the
+// threshold or 80% of the deductions subject to the limitation.
+const _CA_ITEMIZED_LIMITATION_RATE = 0.06;
+const _CA_ITEMIZED_LIMITATION_MAX_RATE = 0.8;
+
+// CA Schedule Y brackets and standard deduction (FTB Form 540), MFJ / QSS.
+_registerStateJurisdiction('ca', {
+  name: 'California',
+  filingStatuses: ['mfj', 'qss'],
+  brackets: _taxDataTable('ca', 'brackets'),
+  standardDeduction: _taxDataByStatus('ca', 'standardDeduction', ['mfj', 'qss']),
+  surtaxes: [{ label: 'Mental Health Services Tax', calculate: _calculateCAMentalHealthTax }],
+  breakpoints: () => [TAX_CONFIG.CA_MENTAL_HEALTH_TAX.THRESHOLD],
+  yearTables: { CA_EXEMPTION_CREDITS },
+});
+
+// NC child deduction per qualifying child (N.C.G.S. §105-153.5(a1)):
+// { status: [[upperAgi, amountPerChild], ...] } per year. The first band
+// whose upper AGI is ≥ AGI applies; above the last band it's $0.
+const NC_CHILD_DEDUCTION = _taxDataTable('nc', 'childDeduction');
+
+// NC flat rate (Session Law 2023-134) and standard deduction
+// (N.C.G.S. §105-153.5(a)(1)).
+_registerStateJurisdiction('nc', {
+  name: 'North Carolina',
+  filingStatuses: ['single', 'mfj', 'mfs', 'hoh', 'qss'],
+  brackets: _taxDataTable('nc', 'brackets'),
+  standardDeduction: _taxDataByStatus('nc', 'standardDeduction'),
+  yearTables: { NC_CHILD_DEDUCTION },
+});
+
+// ─── Massachusetts ──────────────────────────────────────────────────────
+// Part B income: 5% flat for every filing status (M.G.L. c.62 §4).
+// 4% millionaire surtax (Fair Share Amendment, art. 44 as amended 2022)
+// on taxable income over an inflation-indexed threshold — the same
+// threshold for every filing status, including MFJ.
+// Short-term gains (Part A, 8.5%) are not modeled.
+const MA_MILLIONAIRE_SURTAX_THRESHOLD = _taxDataTable('ma', 'millionaireSurtaxThreshold');
+const _MA_MILLIONAIRE_SURTAX_RATE = 0.04;
+
+// MA has no standard deduction; the personal exemption plays that role
+// (M.G.L. c.62 §3(B)(b)).
+_registerStateJurisdiction('ma', {
+  name: 'Massachusetts',
+  filingStatuses: ['single', 'mfj', 'mfs', 'hoh', 'qss'],
+  brackets: _taxDataTable('ma', 'brackets'),
+  standardDeduction: _taxDataByStatus('ma', 'standardDeduction'),
+  surtaxes: [{ label: 'Millionaire surtax', calculate: _calculateMAMillionaireSurtax }],
+  breakpoints: year => [MA_MILLIONAIRE_SURTAX_THRESHOLD[year]],
+  yearTables: { MA_MILLIONAIRE_SURTAX_THRESHOLD },
+});
+
+// ─── New Jersey ─────────────────────────────────────────────────────────
+// NJ Gross Income Tax rate schedules (N.J.S.A. 54A:2-1; NJ-1040
+// instructions). Table A covers single and MFS; Table B covers MFJ, HOH
+// and QSS. NJ has no standard deduction; the $1,000 personal exemption
+// per filer plays that role ($2,000 MFJ).
+_registerStateJurisdiction('nj', {
+  name: 'New Jersey',
+  filingStatuses: ['single', 'mfj', 'mfs', 'hoh', 'qss'],
+  brackets: _taxDataTable('nj', 'brackets'),
+  bracketsByStatus: _taxDataByStatus('nj', 'bracketsByStatus', ['single', 'mfs']),
+  standardDeduction: _taxDataByStatus('nj', 'standardDeduction'),
+});
+
+// ─── Connecticut ────────────────────────────────────────────────────────
+// CT income tax rate schedule (CGS §12-700). MFJ / QSS and single only;
+// CT's HOH and MFS schedules are not encoded.
+//
+// CT phase-out of the lowest rate (CT-1040 Table C) and benefit recapture
+// (Table D). Like NY's worksheets, these add back the benefit of the lower
+// brackets as CT AGI rises, so fully phased-in income is taxed at a flat
+// top rate. Each band adds `max × steps / (window / step)`, where `steps`
+// counts each `step` (or fraction thereof) of CT AGI over `start`:
+//   Table C: lowest bracket re-taxed at the second rate
+//   Table D-1: everything up to the 6.5% bracket's top taxed at 6.5%
+//   Table D-2: everything up to $1M ($500K single) taxed at 6.99%
+//
+// ESTIMATE — re-verify against CT-1040 instructions Tables C and D.
+// `start`, `step` and `window` follow the published table layout; `max`
+// is derived from the rate schedule:
+//   C   = (rate₂ − rate₁) × bracket₁
+//   D-1 = 6.5% × top₆.₅ − bracketed(top₆.₅, lowest bracket at rate₂)
+//   D-2 = 6.99% × top₆.₉ − (6.5% × top₆.₅ + 6.9% × (top₆.₉ − top₆.₅))
+const CT_RECAPTURE_TABLE = _taxDataTable('ct', 'recapture');
+// Table C's first band starts here in every year; nothing is added back
+// at or below it.
+const _CT_RECAPTURE_PHASE_IN_START = { mfj: 100500, single: 56500 };
+
+_registerStateJurisdiction('ct', {
+  name: 'Connecticut',
+  filingStatuses: ['single', 'mfj', 'qss'],
+  brackets: _taxDataTable('ct', 'brackets'),
+  bracketsByStatus: _taxDataByStatus('ct', 'bracketsByStatus', ['single']),
+  // CT has no standard deduction. Its personal exemption phases out
+  // entirely by CT AGI $71,000 MFJ / $44,000 single and is not modeled.
+  standardDeduction: _taxDataByStatus('ct', 'standardDeduction', ['single', 'mfj', 'qss']),
+  recapture: _applyCTRecapture,
+  breakpoints: _getCTRecaptureBreakpoints,
+  yearTables: { CT_RECAPTURE_TABLE },
+  // Benefits are exempt below federal AGI of $75,000 single / $100,000 MFJ;
+  // above, 25% of the federally taxable benefits stay taxable. ESTIMATE —
+  // the 'Social Security exemption' provenance entry tracks it.
+  socialSecurity: _taxDataTable('ct', 'socialSecurity'),
+});
+
+// ─── Illinois ───────────────────────────────────────────────────────────
+// 4.95% flat rate for every filing status (35 ILCS 5/201(b)(5.4)).
+// IL has no standard deduction; the per-person exemption (×2 for MFJ)
+// plays that role. It is disallowed above $500,000 AGI MFJ ($250,000
+// other), which is not modeled. Source: IL-1040 instructions.
+_registerStateJurisdiction('il', {
+  name: 'Illinois',
+  filingStatuses: ['single', 'mfj', 'mfs', 'hoh', 'qss'],
+  brackets: _taxDataTable('il', 'brackets'),
+  standardDeduction: _taxDataByStatus('il', 'standardDeduction'),
+});
 
 // Child Tax Credit amounts { creditPerChild, refundableAmount }
 // Source: IRS Pub 972, OBBBA 2025 (permanent $2.2K starting 2026)
-const CHILD_TAX_CREDIT_AMOUNTS = {
-  2023: { creditPerChild: 2000, refundableAmount: 1600 },
-  2024: { creditPerChild: 2000, refundableAmount: 1700 },
-  2025: { creditPerChild: 2200, refundableAmount: 1700 },
-  2026: { creditPerChild: 2200, refundableAmount: 1700 }
-};
+const CHILD_TAX_CREDIT_AMOUNTS = _taxDataTable('federal', 'childTaxCredit');
 
 // Qualified dividends & long-term capital gains brackets (0%, 15%, 20% based on total income)
 // Source: IRS Revenue Procedures 2022-38 (2023), 2023-34 (2024), 2024-40 (2025), 2025-32 (2026)
-const QUALIFIED_DIVIDEND_BRACKETS = {
-  2023: [[89250, 0.00], [553850, 0.15], [TAX_CONFIG.MAX_INCOME, 0.20]],
-  2024: [[94050, 0.00], [583750, 0.15], [TAX_CONFIG.MAX_INCOME, 0.20]],
-  2025: [[96700, 0.00], [600050, 0.15], [TAX_CONFIG.MAX_INCOME, 0.20]],
-  2026: [[98900, 0.00], [613700, 0.15], [TAX_CONFIG.MAX_INCOME, 0.20]],
-};
+const QUALIFIED_DIVIDEND_BRACKETS_BY_STATUS = _taxDataByStatus('federal', 'preferentialBrackets');
+// The MFJ / QSS table.
+const QUALIFIED_DIVIDEND_BRACKETS = QUALIFIED_DIVIDEND_BRACKETS_BY_STATUS.mfj;
+
+// ─── Federal deductions ─────────────────────────────────────────────────
+// Standard deduction by filing status. Excludes the additional amounts for
+// age 65+ or blindness and the OBBBA senior deduction.
+const FEDERAL_STANDARD_DEDUCTION_BY_STATUS = _taxDataByStatus('federal', 'standardDeduction');
+
+// State and local tax (SALT) deduction cap { cap, phaseDownThreshold,
+// floor }. Figures are for every status except MFS, which gets half of
+// each (IRC §164(b)(6), §164(b)(7)).
+// 2023–2024: TCJA flat $10,000 cap, no phase-down.
+// 2025+: OBBBA §70120 raises the cap ($40,000 in 2025, +1%/yr) and phases
+// it down by 30% of MAGI over the threshold, but never below $10,000.
+const FEDERAL_SALT_CAP = _taxDataTable('federal', 'saltCap');
+const _FEDERAL_SALT_PHASE_DOWN_RATE = 0.30;
+// The cap and threshold grow 1% a year through 2029; from 2030 the flat
+// $10,000 cap (the `floor`) returns, with no phase-down (§164(b)(7)).
+const _FEDERAL_SALT_CAP_GROWTH_RATE = 0.01;
+const _FEDERAL_SALT_CAP_LAST_GROWTH_YEAR = 2029;
+
+// OBBBA §70111 "2/37" limitation on itemized deductions (IRC §68, 2026+).
+// Itemized deductions are reduced by 2/37 of the lesser of (a) itemized
+// deductions or (b) taxable income before the limitation plus itemized
+// deductions, in excess of where the 37% bracket starts. Caps the value
+// of each itemized dollar at 35¢ for top-bracket filers.
+const _FEDERAL_ITEMIZED_LIMITATION_START_YEAR = 2026;
+const _FEDERAL_ITEMIZED_LIMITATION_RATIO = 2 / 37;
+
+// Social Security (OASDI) contribution and benefit base.
+// Source: SSA annual COLA announcements
+const SOCIAL_SECURITY_WAGE_BASE = _taxDataTable('federal', 'socialSecurityWageBase');
+
+// Standard deduction built into the Pub 15-T percentage-method tables, by
+// W-4 status { single, mfj, hoh }. Usually the year's standard deduction;
+// 2025's tables kept the pre-OBBBA amounts.
+const FEDERAL_WITHHOLDING_STANDARD_DEDUCTION = _taxDataTable('federal', 'withholdingStandardDeduction');
+
+// IRS underpayment interest rates (IRC §6621(a)(2)) for the five rate
+// periods a tax year's Form 2210 penalty runs through: the April, July and
+// October quarters of the tax year, then January-March and April 1-15 of
+// the next.
+const FEDERAL_UNDERPAYMENT_RATES = _taxDataTable('federal', 'underpaymentRates');
 
-// Load-time consistency check: every SUPPORTED_YEARS value must have data
-// in every year-keyed table. Surfaces drift when adding a new year as a
-// clear "missing year" error instead of silent 0-tax output or a cryptic
-// TypeError from an undefined bracket array.
-(function _assertYearCoverage() {
+// Section 199A threshold (taxable income before the QBI deduction) and
+// phase-in range, { threshold, phaseInRange } by status. Above
+// threshold + range, SSTB income earns no deduction and the W-2 wage /
+// UBIA limit applies in full. Only MFJ gets the doubled figures.
+const QBI_PARAMETERS = _taxDataTable('federal', 'qbi');
+
+// ─── Federal Alternative Minimum Tax (Form 6251) ───────────────────────
+// HOH uses the single figures; QSS uses MFJ.
+// OBBBA §70107 resets the 2026 phase-out thresholds to $500,000 /
+// $1,000,000 (then indexed) and doubles the phase-out rate to 50%.
+//   exemption     = max(0, exemption − phaseOutRate × (AMTI − phaseOutStart))
+//   tentative tax = 26% × (AMTI − exemption) up to `breakpoint`, 28% above
+// `breakpoint` applies to every status except MFS, which uses half.
+const AMT_PARAMETERS = _taxDataTable('federal', 'amt');
+const _AMT_RATES = [0.26, 0.28];
+
+// ─── Medicare IRMAA ─────────────────────────────────────────────────────
+// Income-related monthly adjustment amounts by premium year, based on MAGI
+// from two years earlier. Tier boundaries { status: [5 MAGI thresholds] }:
+// MAGI over each of the first four, or at or over the last, moves up a
+// tier. Premiums per tier (0 = standard): Part B total premium and the
+// Part D surcharge, monthly and per enrollee.
+const MEDICARE_IRMAA_THRESHOLDS = _taxDataTable('medicare', 'irmaaThresholds');
+const MEDICARE_PART_B_PREMIUMS = _taxDataTable('medicare', 'partBPremiums');
+const MEDICARE_PART_D_SURCHARGES = _taxDataTable('medicare', 'partDSurcharges');
+const _IRMAA_LOOKBACK_YEARS = 2;
+// The top boundary is fixed through 2027 and indexed from 2028 on
+// (SSA §1839(i)(5)(A)).
+const _IRMAA_TOP_INDEXING_START = 2028;
+
+// ─── Data provenance ────────────────────────────────────────────────────
+// One list per jurisdiction (every registered state, plus federal, nyc and
+// yonkers) of the year-keyed tables it reads, from TaxData.js:
+//   label      Name shown by getTaxDataStatus
+//   tables     Fields of each year's data the entry covers; a result is
+//              flagged for the entries whose tables it read
+//   source     Primary document the figures come from
+//   estimated  { year: 'YYYY-MM' } years not yet confirmed against the
+//              source, with the month the source is expected; every other
+//              supported year is verified
+//   projected  true if the table is projected (indexed or held fixed) for
+//              years after SUPPORTED_YEARS
+const TAX_DATA_PROVENANCE = _lazyObject(() => {
+  const provenance = {};
+  for (const code of Object.keys(_taxData().jurisdictions)) {
+    provenance[code] = _taxData().jurisdictions[code].provenance;
+  }
+  return provenance;
+});
+
+/**
+ * Checks that every SUPPORTED_YEARS value has data in every year-keyed
+ * table (private method)
+ *
+ * Runs once, when _taxData first loads TAX_DATA. Surfaces drift when
+ * adding a new year as a clear "missing year" error instead of silent
+ * 0-tax output or a cryptic TypeError from an undefined bracket array.
+ *
+ * @throws {Error} Naming the first table missing a year or filing status
+ * @private
+ */
+function _assertYearCoverage() {
   const tables = {
-    'TAX_BRACKETS.federal':        TAX_BRACKETS.federal,
-    'TAX_BRACKETS.ny':             TAX_BRACKETS.ny,
-    'TAX_BRACKETS.ca':             TAX_BRACKETS.ca,
-    'TAX_BRACKETS.nc':             TAX_BRACKETS.nc,
+    'NYC_TAX_TABLE':               NYC_TAX_TABLE,
+    'YONKERS_SURCHARGE_RATE':      YONKERS_SURCHARGE_RATE,
     'QUALIFIED_DIVIDEND_BRACKETS': QUALIFIED_DIVIDEND_BRACKETS,
     'CHILD_TAX_CREDIT_AMOUNTS':    CHILD_TAX_CREDIT_AMOUNTS,
-    'NY_RECAPTURE_MFJ_TABLE':      NY_RECAPTURE_MFJ_TABLE,
-    '_NY_STANDARD_DEDUCTION_MFJ':  _NY_STANDARD_DEDUCTION_MFJ,
-    '_NY_DEDUCTION_PHASEOUT_MFJ':  _NY_DEDUCTION_PHASEOUT_MFJ,
+    'FEDERAL_SALT_CAP':            FEDERAL_SALT_CAP,
+    'AMT_PARAMETERS':              AMT_PARAMETERS,
+    'SOCIAL_SECURITY_WAGE_BASE':   SOCIAL_SECURITY_WAGE_BASE,
+    'QBI_PARAMETERS':              QBI_PARAMETERS,
+  };
+  // Registered states: brackets, each status's standard deduction, and
+  // any extra tables their hooks read.
+  for (const code of Object.keys(STATE_JURISDICTIONS)) {
+    if (!TAX_DATA_PROVENANCE[code]) {
+      throw new Error(`TAX_DATA_PROVENANCE missing jurisdiction '${code}'`);
+    }
+    const def = STATE_JURISDICTIONS[code];
+    tables[`STATE_JURISDICTIONS.${code}.brackets`] = def.brackets;
+    for (const status of Object.keys(def.bracketsByStatus)) {
+      tables[`STATE_JURISDICTIONS.${code}.bracketsByStatus.${status}`] = def.bracketsByStatus[status];
+    }
+    for (const status of def.filingStatuses) {
+      tables[`STATE_JURISDICTIONS.${code}.standardDeduction.${status}`] = def.standardDeduction[status];
+    }
+    for (const name of Object.keys(def.yearTables)) {
+      tables[`STATE_JURISDICTIONS.${code}.${name}`] = def.yearTables[name];
+    }
+    if (def.socialSecurity) {
+      tables[`STATE_JURISDICTIONS.${code}.socialSecurity`] = def.socialSecurity;
+    }
+  }
+  // Filing-status-keyed tables: every status needs an entry, and the
+  // year-keyed ones need every supported year under each status.
+  const statusTables = {
+    'FEDERAL_BRACKETS_BY_STATUS':            FEDERAL_BRACKETS_BY_STATUS,
+    'QUALIFIED_DIVIDEND_BRACKETS_BY_STATUS': QUALIFIED_DIVIDEND_BRACKETS_BY_STATUS,
+    'FEDERAL_STANDARD_DEDUCTION_BY_STATUS':  FEDERAL_STANDARD_DEDUCTION_BY_STATUS,
+  };
+  const statusThresholds = {
+    'TAX_CONFIG.NIIT.THRESHOLDS':                        TAX_CONFIG.NIIT.THRESHOLDS,
+    'TAX_CONFIG.CHILD_TAX_CREDIT.PHASE_OUT_THRESHOLDS':  TAX_CONFIG.CHILD_TAX_CREDIT.PHASE_OUT_THRESHOLDS,
+    'TAX_CONFIG.ADDITIONAL_MEDICARE.THRESHOLDS':         TAX_CONFIG.ADDITIONAL_MEDICARE.THRESHOLDS,
+    'TAX_CONFIG.CAPITAL_LOSS_LIMITS':                    TAX_CONFIG.CAPITAL_LOSS_LIMITS,
   };
+  // Year-keyed tables whose rows hold per-status fields.
+  const yearStatusFields = [
+    ['AMT_PARAMETERS', AMT_PARAMETERS, ['exemption', 'phaseOutStart']],
+    ['QBI_PARAMETERS', QBI_PARAMETERS, ['threshold', 'phaseInRange']],
+  ];
+  for (const status of TAX_CONFIG.FILING_STATUSES) {
+    for (const name of Object.keys(statusThresholds)) {
+      if (statusThresholds[name][status] === undefined) {
+        throw new Error(`${name} missing filing status '${status}'`);
+      }
+    }
+    for (const name of Object.keys(statusTables)) {
+      if (statusTables[name][status] === undefined) {
+        throw new Error(`${name} missing filing status '${status}'`);
+      }
+      tables[`${name}.${status}`] = statusTables[name][status];
+    }
+  }
+  // Every table needs a provenance entry, or its estimates go unflagged.
+  for (const { jurisdiction, field } of _TAX_DATA_TABLES) {
+    const provenance = TAX_DATA_PROVENANCE[jurisdiction] || [];
+    if (!provenance.some(entry => field === null || entry.tables.includes(field))) {
+      throw new Error(`TAX_DATA_PROVENANCE.${jurisdiction} has no entry for '${field}'`);
+    }
+  }
   for (const year of TAX_CONFIG.SUPPORTED_YEARS) {
     for (const name of Object.keys(tables)) {
       if (tables[name][year] === undefined) {
         throw new Error(`${name} missing year ${year}`);
       }
     }
+    for (const [name, table, fields] of yearStatusFields) {
+      for (const field of fields) {
+        for (const status of TAX_CONFIG.FILING_STATUSES) {
+          if (table[year][field][status] === undefined) {
+            throw new Error(`${name}[${year}].${field} missing filing status '${status}'`);
+          }
+        }
+      }
+    }
+    for (const status of Object.keys(_CT_RECAPTURE_PHASE_IN_START)) {
+      if (CT_RECAPTURE_TABLE[year][status][0].start !== _CT_RECAPTURE_PHASE_IN_START[status]) {
+        throw new Error(`CT_RECAPTURE_TABLE[${year}].${status} must start at ${_CT_RECAPTURE_PHASE_IN_START[status]}`);
+      }
+    }
   }
-})();
+}
+
+// ─── Projected years ────────────────────────────────────────────────────
+// Years after the last SUPPORTED_YEARS entry, up to PROJECTION.LAST_YEAR,
+// are ESTIMATES built on first use from the last published year:
+//   Indexed, IRS rounding (IRC §1(f)(7), §1(j)(3), §24(i)):
+//     federal brackets and 0% / 15% thresholds - round down to $25
+//       ($50 for MFJ / QSS)
+//     Child Tax Credit and refundable portion  - round down to $100
+//     standard deduction - single and HOH round down to $50; MFJ / QSS
+//       get twice single, MFS the single amount (IRC §63(c)(2), (c)(4))
+//   Set by statute (IRC §164(b)(7), OBBBA §70120):
+//     SALT cap and phase-down threshold - 1% a year over 2026 through
+//       2029, then the flat $10,000 cap with no phase-down
+//   Indexed, CA rounding (R&TC §17041(h)):
+//     Schedule Y and standard deduction - single amount to the nearest
+//       dollar, doubled for MFJ
+//   Indexed, SSA rounding (SSA §1839(i)(5)):
+//     Medicare IRMAA tier boundaries - individual amount to the nearest
+//       $1,000, doubled for MFJ; the MFS top boundary is the individual
+//       top less the first individual boundary. The $500,000 / $750,000
+//       top boundary is only indexed from premium year 2028, over 2027.
+//   Fixed at the last published year (not indexed by statute):
+//     NY brackets, NY recapture worksheets, NY standard deduction;
+//     NYC rate schedule and credits; Yonkers surcharge rate;
+//     NC flat rate, standard and child deductions (NC's revenue-triggered
+//       rate cuts after 2026 aren't modeled);
+//     NIIT, CTC phase-out and CA MHST thresholds never vary by year.
+//   Fixed at the last published year (set yearly, can't be indexed):
+//     Medicare Part B premiums and Part D surcharges - real premiums have
+//       outrun inflation, so projected surcharges run low.
+// Everything else (payroll, AMT, QBI, other states, ...) is not projected
+// and still rejects those years.
+//
+// Each amount is the last published figure × (1 + rate)^(years ahead),
+// rounded once — not re-rounded year over year as the IRS does from its
+// base-year amounts, so projections can drift by a rounding step.
+let _projectionInflationRate = TAX_CONFIG.PROJECTION.DEFAULT_INFLATION_RATE;
+// Tables (_taxDataTable names) held at the last published year's figures.
+const _PROJECTION_FIXED_TABLES = [
+  'ny.brackets', 'ny.recapture', 'ny.standardDeduction', 'nyc', 'yonkers.surchargeRate',
+  'nc.brackets', 'nc.standardDeduction', 'nc.childDeduction',
+  'medicare.partBPremiums', 'medicare.partDSurcharges',
+];
+// '<year>@<rate>' → _buildProjectedTables result. The published tables
+// are never written to; _taxDataTable reads projected years from here.
+const _projectedTables = {};
 
 /**
- * Rounds a number to cents (2 decimal places) to avoid floating point errors
- * @param {number} value - Value to round
- * @returns {number} Value rounded to nearest cent
+ * Returns the last published year, which projections start from (private method)
+ * @returns {number} Last SUPPORTED_YEARS entry
  * @private
  */
-function _roundToCents(value) {
-  return Math.round(value * 100) / 100;
+function _projectionBaseYear() {
+  const years = TAX_CONFIG.SUPPORTED_YEARS;
+  return years[years.length - 1];
 }
 
 /**
- * Validates that a value is a non-negative number (private method)
- * @param {number} value - Value to validate
- * @param {string} fieldName - Name of the field for error messages
- * @throws {Error} If value is not a non-negative number
+ * Returns true when `year` is after the last published year (private method)
+ * @param {number} year - Tax year (already validated)
+ * @returns {boolean}
  * @private
  */
-function _validateNonNegativeNumber(value, fieldName) {
-  if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
-    throw new Error(`${fieldName} must be a non-negative finite number`);
-  }
+function _isProjectedYear(year) {
+  return year > _projectionBaseYear();
 }
 
 /**
- * Validates tax year with optional minimum year constraint (private method)
- * @param {number} year - Tax year to validate
- * @param {number} minYear - Optional minimum year (if not provided, uses SUPPORTED_YEARS)
- * @throws {Error} If year is invalid
+ * Returns true for the years after the last published one that can be
+ * projected, through PROJECTION.LAST_YEAR (private method)
+ * @param {number} year - Any value
+ * @returns {boolean}
  * @private
  */
-function _validateYear(year, minYear = null) {
-  if (minYear === null) {
-    if (!TAX_CONFIG.SUPPORTED_YEARS.includes(year)) {
-      throw new Error(`Year must be one of: ${TAX_CONFIG.SUPPORTED_YEARS.join(', ')}`);
-    }
-    return;
-  }
-
-  if (typeof year !== 'number' || year < minYear) {
-    throw new Error(`Year must be ${minYear} or later`);
-  }
+function _isProjectableYear(year) {
+  return Number.isInteger(year) && year > _projectionBaseYear() && year <= TAX_CONFIG.PROJECTION.LAST_YEAR;
 }
 
 /**
- * Validates input parameters for tax calculations (private method)
- * @param {number} income - Annual income amount
- * @param {number} year - Tax year
- * @param {string} jurisdiction - Tax jurisdiction
- * @throws {Error} If parameters are invalid
+ * Returns a projected year's indexed figures at the current inflation
+ * rate, building them once per year and rate (private method)
+ * @param {number} year - Projectable year
+ * @returns {Object} As for _buildProjectedTables
  * @private
  */
-function _validateTaxInputs(income, year, jurisdiction = 'federal') {
-  _validateNonNegativeNumber(income, 'Income');
-  _validateYear(year);
-
-  if (!(jurisdiction in TAX_BRACKETS)) {
-    throw new Error(`Jurisdiction must be one of: ${Object.keys(TAX_BRACKETS).join(', ')}`);
+function _projectedTaxData(year) {
+  const key = `${year}@${_projectionInflationRate}`;
+  if (!_projectedTables[key]) {
+    // The base year is read to build them, not by the result.
+    _projectedTables[key] = _withoutTaxDataReads(() => _buildProjectedTables(year, _projectionInflationRate));
   }
+  return _projectedTables[key];
 }
 
 /**
- * Calculates progressive income tax based on tax brackets (private method)
- * @param {Array<Array<number>>} taxBrackets - Array of [income_threshold, tax_rate] pairs
- * @param {number} income - Annual income amount
- * @returns {number} Total tax owed
+ * Scales a bracket table's thresholds, rounding each down (private method)
+ * @param {Array<Array<number>>} brackets - [threshold, rate] brackets
+ * @param {number} factor - Cumulative inflation factor
+ * @param {number} multiple - Rounding step
+ * @returns {Array<Array<number>>} New brackets; MAX_INCOME is kept
  * @private
  */
-function _calculateProgressiveTax(taxBrackets, income) {
-  let totalTax = 0;
-  let previousBracketThreshold = 0;
+function _projectBrackets(brackets, factor, multiple) {
+  return brackets.map(([threshold, rate]) => [
+    threshold === TAX_CONFIG.MAX_INCOME ? threshold : Math.floor(threshold * factor / multiple) * multiple,
+    rate,
+  ]);
+}
 
-  for (const [bracketThreshold, taxRate] of taxBrackets) {
-    // Calculate taxable income in this bracket
-    const taxableIncomeInBracket = Math.max(0, Math.min(income, bracketThreshold) - previousBracketThreshold);
+/**
+ * Builds the indexed tables for a projected year (private method)
+ * @param {number} year - Projected year
+ * @param {number} rate - Annual inflation rate
+ * @returns {Object} { jurisdiction: { field: value } }, shaped like that
+ *     year's TAX_DATA: federal brackets, preferentialBrackets,
+ *     childTaxCredit, standardDeduction and saltCap; ca brackets and
+ *     standardDeduction; medicare irmaaThresholds
+ * @private
+ */
+function _buildProjectedTables(year, rate) {
+  const base = _projectionBaseYear();
+  const factor = Math.pow(1 + rate, year - base);
+  const multiple = status => (status === 'mfj' || status === 'qss' ? 50 : 25);
 
-    // Calculate tax for this bracket
-    const taxForBracket = taxableIncomeInBracket * taxRate;
-    totalTax += taxForBracket;
+  const federalBrackets = {};
+  const preferentialBrackets = {};
+  for (const status of TAX_CONFIG.FILING_STATUSES) {
+    federalBrackets[status] = _projectBrackets(FEDERAL_BRACKETS_BY_STATUS[status][base], factor, multiple(status));
+    preferentialBrackets[status] = _projectBrackets(
+      QUALIFIED_DIVIDEND_BRACKETS_BY_STATUS[status][base], factor, multiple(status)
+    );
+  }
 
-    // Update for next iteration
-    previousBracketThreshold = bracketThreshold;
+  const { creditPerChild, refundableAmount } = CHILD_TAX_CREDIT_AMOUNTS[base];
+  const roundDown50 = amount => Math.floor(amount * factor / 50) * 50;
+  const single = roundDown50(FEDERAL_STANDARD_DEDUCTION_BY_STATUS.single[base]);
+  const salt = FEDERAL_SALT_CAP[base];
+  const saltGrowth = Math.pow(1 + _FEDERAL_SALT_CAP_GROWTH_RATE, year - base);
+  const ca = STATE_JURISDICTIONS.ca;
+  const caJoint = amount => 2 * Math.round(amount / 2 * factor);
 
-    // If income doesn't reach this bracket, we're done
-    if (income <= bracketThreshold) {
-      break;
+  // IRMAA: index the four lower individual boundaries; the top one is
+  // indexed from its own start year.
+  const irmaaBase = MEDICARE_IRMAA_THRESHOLDS[base];
+  const top = irmaaBase.single.length - 1;
+  const topFactor = Math.pow(1 + rate, Math.max(0, year - _IRMAA_TOP_INDEXING_START + 1));
+  const nearest1000 = amount => Math.round(_roundToCents(amount) / 1000) * 1000;
+  const individual = irmaaBase.single.map((threshold, i) =>
+    nearest1000(threshold * (i === top ? topFactor : factor)));
+  const irmaaThresholds = {};
+  for (const status of TAX_CONFIG.FILING_STATUSES) {
+    if (status === 'mfj') {
+      irmaaThresholds.mfj = irmaaBase.mfj.map((threshold, i) =>
+        (i === top ? nearest1000(threshold * topFactor) : 2 * individual[i]));
+    } else if (status === 'mfs') {
+      irmaaThresholds.mfs = irmaaBase.mfs.map((threshold, i) =>
+        (i === top ? individual[top] - individual[0] : individual[0]));
+    } else {
+      irmaaThresholds[status] = individual;
     }
   }
-
-  return totalTax;
+  const caStandardDeduction = caJoint(ca.standardDeduction.mfj[base]);
+  return {
+    federal: {
+      brackets: federalBrackets,
+      preferentialBrackets,
+      childTaxCredit: {
+        creditPerChild: Math.floor(creditPerChild * factor / 100) * 100,
+        refundableAmount: Math.floor(refundableAmount * factor / 100) * 100,
+      },
+      standardDeduction: {
+        single,
+        mfj: 2 * single,
+        mfs: single,
+        hoh: roundDown50(FEDERAL_STANDARD_DEDUCTION_BY_STATUS.hoh[base]),
+        qss: 2 * single,
+      },
+      saltCap: year > _FEDERAL_SALT_CAP_LAST_GROWTH_YEAR
+        ? { cap: salt.floor, phaseDownThreshold: Infinity, floor: salt.floor }
+        : {
+          cap: _roundToCents(salt.cap * saltGrowth),
+          phaseDownThreshold: _roundToCents(salt.phaseDownThreshold * saltGrowth),
+          floor: salt.floor,
+        },
+    },
+    ca: {
+      brackets: ca.brackets[base].map(([threshold, rate]) => [
+        threshold === TAX_CONFIG.MAX_INCOME ? threshold : caJoint(threshold),
+        rate,
+      ]),
+      standardDeduction: { mfj: caStandardDeduction, qss: caStandardDeduction },
+    },
+    medicare: { irmaaThresholds },
+  };
 }
 
 /**
- * Generic tax calculation helper (private method)
- * @param {number} income - Annual gross income
- * @param {number} year - Tax year (2023-2026)
- * @param {string} jurisdiction - Tax jurisdiction ('federal', 'ny', 'ca')
- * @returns {number} Tax owed
- * @throws {Error} If parameters are invalid or brackets unavailable
+ * Validates a year that may be projected (private method)
+ *
+ * Accepts SUPPORTED_YEARS plus every later year through
+ * PROJECTION.LAST_YEAR. Used by the functions whose tables are projected;
+ * everything else keeps using _validateYear.
+ *
+ * @param {number} year - Tax year
+ * @throws {Error} If the year is neither supported nor projectable
  * @private
  */
-function _calculateIncomeTax(income, year, jurisdiction) {
-  _validateTaxInputs(income, year, jurisdiction);
-
-  const brackets = TAX_BRACKETS[jurisdiction] && TAX_BRACKETS[jurisdiction][year];
-  if (!brackets) {
-    throw new Error(`Tax brackets for '${jurisdiction}' not available for year ${year}`);
+function _validateProjectableYear(year) {
+  if (TAX_CONFIG.SUPPORTED_YEARS.includes(year)) {
+    return;
+  }
+  if (!_isProjectableYear(year)) {
+    throw new Error(
+      `Year must be one of: ${TAX_CONFIG.SUPPORTED_YEARS.join(', ')}, ` +
+      `or a projected year ${_projectionBaseYear() + 1}-${TAX_CONFIG.PROJECTION.LAST_YEAR}`
+    );
   }
-
-  return _calculateProgressiveTax(brackets, income);
 }
 
 /**
- * Calculates California Mental Health Services Tax (private method)
- * @param {number} income - Annual gross income
- * @returns {number} Mental Health Services Tax owed (1% on income over $1M)
+ * Appends an estimate flag to row output for projected years (private method)
+ * @param {Array<Array<*>>} rows - Rows to extend in place
+ * @param {number} year - Tax year
+ * @returns {Array<Array<*>>} The same rows
  * @private
  */
-function _calculateCAMentalHealthTax(income) {
-  const { RATE, THRESHOLD } = TAX_CONFIG.CA_MENTAL_HEALTH_TAX;
-  if (income <= THRESHOLD) {
-    return 0;
+function _appendProjectionFlag(rows, year) {
+  if (_isProjectedYear(year)) {
+    const width = rows.length > 0 ? rows[0].length : 2;
+    const flag = ['Estimate', `${year} projected from ${_projectionBaseYear()} at ` +
+      `${_roundToCents(_projectionInflationRate * 100)}% a year`];
+    while (flag.length < width) {
+      flag.push('');
+    }
+    rows.push(flag);
   }
-  return (income - THRESHOLD) * RATE;
+  return rows;
 }
 
 /**
- * Calculates federal income tax for married filing jointly
- * @param {number} income - Annual gross income
- * @param {number} year - Tax year (2023-2026)
- * @returns {number} Federal income tax owed
+ * Sets the annual inflation rate used for projected years
+ *
+ * Applies to every later call in the same script execution; projected
+ * tables are rebuilt on next use. Custom functions in cells run in
+ * separate executions, so Sheets users should pass a rate to
+ * getProjectedTaxParameters instead.
+ *
+ * @param {number} rate - Annual rate as a decimal (e.g., 0.03 for 3%)
+ * @returns {number} The rate now in effect
+ * @throws {Error} If the rate is negative or 20% or more
+ *
+ * @example
+ * setProjectionInflationRate(0.03);
+ * getFederalIncomeTax(200000, 2035); // 2035 brackets indexed at 3% a year
  */
-function getFederalIncomeTax(income, year) {
-  return _roundToCents(_calculateIncomeTax(income, year, 'federal'));
+function setProjectionInflationRate(rate) {
+  if (typeof rate !== 'number' || !Number.isFinite(rate) || rate < 0 || rate >= 0.2) {
+    throw new Error('Inflation rate must be a decimal from 0 to less than 0.2');
+  }
+  _projectionInflationRate = rate;
+  return rate;
 }
 
 /**
- * Applies NY "tax table benefit recapture" on top of the MFJ bracketed tax.
- *
- * Encodes the IT-201-I Tax computation worksheets 2–6 (MFJ): for NYAGI
- * above $107,650, NY phases out the benefit of the lower brackets. See
- * NY_RECAPTURE_MFJ_TABLE above for the transcribed coefficients.
+ * Returns the projected federal (brackets, CTC, standard deduction, SALT
+ * cap), CA and Medicare IRMAA figures for a future year
  *
- * Assumes NYAGI == taxableIncome (this library receives a single income
- * argument; see the NY_RECAPTURE_MFJ_TABLE comment for why this is safe).
+ * Every value is an estimate (see the projection notes in Code.js); the
+ * third column says whether it was indexed or held fixed. Unlike the tax
+ * functions, this takes the inflation rate directly, so a sheet can
+ * compare rates side by side.
  *
- * Years outside the transcribed table fall back to bracketed tax
- * unchanged so existing callers aren't broken.
+ * @param {number} year - Projected year (after the last published year, up to 2060)
+ * @param {number} inflationRate - Annual rate (default: the current projection rate, 2.5%)
+ * @param {string} filingStatus - Filing status for the federal rows (default 'mfj')
+ * @returns {Array<Array<string|number>>} Rows of [label, value, 'Estimate (indexed)' or 'Estimate (fixed)']
+ * @throws {Error} If parameters are invalid
  *
- * @param {number} taxableIncome - NY taxable income (also treated as NYAGI)
- * @param {number} bracketedTax - Progressive tax from NY MFJ brackets
- * @param {number} year - Tax year
- * @returns {number} Tax after recapture (unrounded)
- * @private
+ * @example
+ * getProjectedTaxParameters(2030, 0.03);
+ * // → [['Federal 10% bracket top', 27350, 'Estimate (indexed)'], ...]
  */
-function _applyNYRecapture(taxableIncome, bracketedTax, year) {
-  // Below the phase-in threshold: no recapture applies.
-  if (taxableIncome <= _NY_RECAPTURE_PHASE_IN_START) {
-    return bracketedTax;
+function getProjectedTaxParameters(year, inflationRate = _projectionInflationRate, filingStatus = 'mfj') {
+  if (!_isProjectableYear(year)) {
+    throw new Error(`Year must be a projected year ${_projectionBaseYear() + 1}-${TAX_CONFIG.PROJECTION.LAST_YEAR}`);
   }
-
-  const bands = NY_RECAPTURE_MFJ_TABLE[year];
-  if (!bands) {
-    // Year not covered by transcribed worksheets — return bracketed tax
-    // unchanged (preserves pre-fix behavior for e.g. 2026).
-    return bracketedTax;
+  if (typeof inflationRate !== 'number' || !Number.isFinite(inflationRate) || inflationRate < 0 || inflationRate >= 0.2) {
+    throw new Error('Inflation rate must be a decimal from 0 to less than 0.2');
   }
+  const status = _validateFilingStatus(filingStatus);
+  const projected = _buildProjectedTables(year, inflationRate);
+  const indexed = 'Estimate (indexed)';
+  const fixed = 'Estimate (fixed)';
+  const pct = rate => `${_roundToCents(rate * 100)}%`;
 
-  // WS 6: when NYAGI > $25M, flat top rate (10.9%) × taxable income.
-  if (taxableIncome > _NY_RECAPTURE_CLIFF_THRESHOLD) {
-    return _NY_RECAPTURE_CLIFF_RATE * taxableIncome;
+  const rows = [];
+  const federal = projected.federal.brackets[status];
+  for (const [threshold, rate] of federal.slice(0, -1)) {
+    rows.push([`Federal ${pct(rate)} bracket top`, threshold, indexed]);
   }
-
-  // Locate the band whose taxable-income ceiling contains our income.
-  const band = bands.find(b => taxableIncome <= b.tiLimit);
-  const phaseIn = Math.min(
-    Math.max(0, taxableIncome - band.anchor),
-    _NY_RECAPTURE_PHASE_IN_WINDOW
-  ) / _NY_RECAPTURE_PHASE_IN_WINDOW;
-
-  if (band.firstBand) {
-    // WS 1: phase in from bracketed tax to flatRate × taxableIncome.
-    const flatTax = band.flatRate * taxableIncome;
-    return bracketedTax + (flatTax - bracketedTax) * phaseIn;
+  const preferential = projected.federal.preferentialBrackets[status];
+  rows.push(['Qualified dividend 0% top', preferential[0][0], indexed]);
+  rows.push(['Qualified dividend 15% top', preferential[1][0], indexed]);
+  rows.push(['Child Tax Credit per child', projected.federal.childTaxCredit.creditPerChild, indexed]);
+  rows.push(['Child Tax Credit refundable', projected.federal.childTaxCredit.refundableAmount, indexed]);
+  rows.push(['Child Tax Credit phase-out', TAX_CONFIG.CHILD_TAX_CREDIT.PHASE_OUT_THRESHOLDS[status], fixed]);
+  rows.push(['Federal standard deduction', projected.federal.standardDeduction[status], indexed]);
+  // MFS gets half of each SALT figure.
+  const saltScale = status === 'mfs' ? 0.5 : 1;
+  const { cap, phaseDownThreshold } = projected.federal.saltCap;
+  const saltStatus = year > _FEDERAL_SALT_CAP_LAST_GROWTH_YEAR ? fixed : indexed;
+  rows.push(['SALT cap', cap * saltScale, saltStatus]);
+  if (Number.isFinite(phaseDownThreshold)) {
+    rows.push(['SALT phase-down threshold', _roundToCents(phaseDownThreshold * saltScale), saltStatus]);
   }
-
-  // WS 2–5: bracketed + base + benefit × phase-in fraction.
-  return bracketedTax + band.base + band.benefit * phaseIn;
+  rows.push(['NIIT threshold', TAX_CONFIG.NIIT.THRESHOLDS[status], fixed]);
+  for (const [threshold, rate] of projected.ca.brackets.slice(0, -1)) {
+    rows.push([`CA ${pct(rate)} bracket top (MFJ)`, threshold, indexed]);
+  }
+  rows.push(['CA standard deduction (MFJ)', projected.ca.standardDeduction.mfj, indexed]);
+  const irmaa = projected.medicare.irmaaThresholds[status];
+  irmaa.forEach((threshold, i) => {
+    const isFixed = i === irmaa.length - 1 && status !== 'mfs' && year < _IRMAA_TOP_INDEXING_START;
+    rows.push([`IRMAA tier ${i + 1} boundary`, threshold, isFixed ? fixed : indexed]);
+  });
+  return rows;
 }
 
+let _estimateFlagMode = TAX_CONFIG.ESTIMATE_FLAG_MODE;
+
 /**
- * Calculates New York State income tax for married filing jointly.
- *
- * Applies the "tax table benefit recapture" required by Form IT-201
- * (worksheets 2–6 MFJ) for NYAGI > $107,650.
- *
- * The `income` argument is treated as both NY taxable income (IT-201
- * line 38) and NYAGI (line 33). This library takes a single income
- * argument; the two values coincide at the high-income levels where
- * recapture matters (WS 6 cliff, full phase-in bands), so the
- * simplification matches filed-return outcomes. For a strict separation
- * of NYAGI from taxable income, use `getNYDeductionMFJ` to compute the
- * allowed deduction, subtract it from NYAGI, and pass the result here.
- *
- * @param {number} income - Annual NY taxable income (treated as NYAGI too)
- * @param {number} year - Tax year (2023-2026)
- * @returns {number} NY State income tax owed
- * @throws {Error} If parameters are invalid
+ * Returns the provenance rows for a jurisdiction and year (private method)
+ * @param {string} jurisdiction - Key of TAX_DATA_PROVENANCE
+ * @param {number} year - Tax year (already validated)
+ * @returns {Array<Array<string>>} [label, status, expected verification, source] rows
+ * @private
  */
-function getNYIncomeTax(income, year) {
-  const bracketedTax = _calculateIncomeTax(income, year, 'ny');
-  return _roundToCents(_applyNYRecapture(income, bracketedTax, year));
+function _getProvenanceRows(jurisdiction, year) {
+  const projected = _isProjectedYear(year);
+  return TAX_DATA_PROVENANCE[jurisdiction]
+    .filter(entry => !projected || entry.projected)
+    .map(entry => {
+      if (projected) {
+        return [entry.label, 'projected', `${year - 1}-10`, entry.source];
+      }
+      const expected = entry.estimated && entry.estimated[year];
+      return [entry.label, expected ? 'estimated' : 'verified', expected || '', entry.source];
+    });
 }
 
 /**
- * Calculates California State income tax for married filing jointly
- * Includes base income tax plus 1% Mental Health Services Tax on income over $1M
- * @param {number} income - Annual gross income
- * @param {number} year - Tax year (2023-2026)
- * @returns {number} Total California State income tax owed (including Mental Health Services Tax)
+ * Describes the unconfirmed data behind a result, if any (private method)
+ *
+ * A published read is flagged for each estimated provenance entry that
+ * lists its table, so e.g. the underpayment rates flag
+ * getUnderpaymentPenalty but not every federal result.
+ *
+ * @param {Array<Object>} reads - As returned by _collectTaxDataReads
+ * @returns {string} e.g. "ca 2026 Schedule Y brackets (estimated)", or '' if all verified
+ * @private
  */
-function getCAIncomeTax(income, year) {
-  return _roundToCents(_calculateIncomeTax(income, year, 'ca') + _calculateCAMentalHealthTax(income));
+function _describeEstimatedData(reads) {
+  const notes = [];
+  for (const { jurisdiction, field, year, projected } of reads) {
+    if (projected) {
+      notes.push(`${jurisdiction} ${year} (projected)`);
+      continue;
+    }
+    for (const entry of TAX_DATA_PROVENANCE[jurisdiction]) {
+      if ((field === null || entry.tables.includes(field)) && entry.estimated && entry.estimated[year]) {
+        notes.push(`${jurisdiction} ${year} ${entry.label} (estimated)`);
+      }
+    }
+  }
+  return [...new Set(notes)].join('; ');
 }
 
 /**
- * Calculates North Carolina State income tax
- * NC uses a flat tax rate that applies to all income regardless of filing status
+ * Runs `compute`, recording the tax data years it reads (private method)
+ *
+ * Reads inside an outer _collectTaxDataReads count toward it too.
+ *
+ * @param {function(): *} compute - Calculation to run
+ * @returns {{result: *, reads: Array<Object>}} Its result, and one
+ *     { jurisdiction, field, year, projected } per table and year read
+ * @private
+ */
+function _collectTaxDataReads(compute) {
+  const outer = _taxDataReads;
+  const reads = new Map();
+  _taxDataReads = reads;
+  try {
+    return { result: compute(), reads: [...reads.values()] };
+  } finally {
+    _taxDataReads = outer;
+    if (outer) {
+      for (const [key, read] of reads) {
+        outer.set(key, read);
+      }
+    }
+  }
+}
+
+/**
+ * Runs `compute` without recording its tax data reads (private method)
+ * @param {function(): *} compute - Calculation to run
+ * @returns {*} Whatever `compute` returns
+ * @private
+ */
+function _withoutTaxDataReads(compute) {
+  const reads = _taxDataReads;
+  _taxDataReads = null;
+  try {
+    return compute();
+  } finally {
+    _taxDataReads = reads;
+  }
+}
+
+/**
+ * Runs a calculator's body and applies the estimate flag mode to its
+ * result (private method)
+ *
+ * Public calculators wrap their whole body in this. The note names the
+ * estimated or projected data the calculation actually read. Nested
+ * calls, and every call in 'off' mode, just return the plain result, so
+ * only the outermost call flags. In 'flag' mode a number becomes a
+ * [value, note] row, whose note spills into the next cell, and row output
+ * gains an 'Estimate' row; in 'error' mode the call throws.
+ *
+ * @param {function(): *} compute - Calculates the plain result
+ * @returns {*} The result, flagged if it depends on unconfirmed data
+ * @throws {Error} In 'error' mode, if the result depends on unconfirmed data
+ * @private
+ */
+function _withEstimateFlag(compute) {
+  if (_estimateFlagMode === 'off' || _taxDataReads) {
+    return compute();
+  }
+  const { result, reads } = _collectTaxDataReads(compute);
+  const note = _describeEstimatedData(reads);
+  if (!note) {
+    return result;
+  }
+  if (_estimateFlagMode === 'error') {
+    throw new Error(`Result depends on unconfirmed data: ${note}`);
+  }
+  if (!Array.isArray(result)) {
+    return [[result, `Estimate: ${note}`]];
+  }
+  // Projected years already end with an 'Estimate' row.
+  if (!reads.some(read => read.projected)) {
+    const flag = ['Estimate', note];
+    while (flag.length < result[0].length) {
+      flag.push('');
+    }
+    result.push(flag);
+  }
+  return result;
+}
+
+/**
+ * Sets how calculators report results that depend on estimated data
+ *
+ * Applies to later calls in the same script execution. Sheets users set
+ * TAX_CONFIG.ESTIMATE_FLAG_MODE in their copy of Code.js instead.
+ *
+ * @param {string} mode - 'off', 'flag' or 'error'
+ * @returns {string} The mode now in effect
+ * @throws {Error} If the mode is not recognized
+ */
+function setEstimateFlagMode(mode) {
+  const normalized = typeof mode === 'string' ? mode.toLowerCase() : mode;
+  if (!['off', 'flag', 'error'].includes(normalized)) {
+    throw new Error('Estimate flag mode must be one of: off, flag, error');
+  }
+  _estimateFlagMode = normalized;
+  return normalized;
+}
+
+/**
+ * Lists the data tables behind a jurisdiction's figures for a year, with
+ * their source and whether they are verified, estimated or projected
+ *
+ * @param {string} jurisdiction - 'federal', a registered state, 'nyc' or 'yonkers'
+ * @param {number} year - Tax year (2023-2026, or a projected year through 2060)
+ * @returns {Array<Array<string>>} Rows of [table, status, expected
+ *     verification ('YYYY-MM', blank once verified), source]
+ * @throws {Error} If parameters are invalid or nothing is projected for the year
+ *
+ * @example
+ * getTaxDataStatus('ca', 2026);
+ * // → [['Schedule Y brackets', 'estimated', '2026-11', 'FTB Form 540 Schedule Y'], ...]
+ */
+function getTaxDataStatus(jurisdiction, year) {
+  const code = typeof jurisdiction === 'string' ? jurisdiction.toLowerCase() : jurisdiction;
+  if (!(code in TAX_DATA_PROVENANCE)) {
+    throw new Error(`Jurisdiction must be one of: ${Object.keys(TAX_DATA_PROVENANCE).join(', ')}`);
+  }
+  _validateProjectableYear(year);
+  const rows = _getProvenanceRows(code, year);
+  if (rows.length === 0) {
+    throw new Error(`No '${code}' data is projected for ${year}`);
+  }
+  return rows;
+}
+
+/**
+ * Adds a state to STATE_JURISDICTIONS (private method)
+ * Checks the definition's shape at load time so a malformed entry fails
+ * immediately rather than on first use. Year coverage is checked
+ * separately by _assertYearCoverage.
+ * @param {string} code - Lower-case jurisdiction code used by callers (e.g., 'ny')
+ * @param {Object} definition - See the field list above STATE_JURISDICTIONS
+ * @throws {Error} If the code is taken or the definition is malformed
+ * @private
+ */
+function _registerStateJurisdiction(code, definition) {
+  if (code === 'federal' || code in STATE_JURISDICTIONS) {
+    throw new Error(`Jurisdiction '${code}' is already registered`);
+  }
+  const { name, filingStatuses, brackets, standardDeduction } = definition;
+  if (typeof name !== 'string' || !brackets || !standardDeduction ||
+      !Array.isArray(filingStatuses) || filingStatuses.length === 0) {
+    throw new Error(`Jurisdiction '${code}' needs name, filingStatuses, brackets and standardDeduction`);
+  }
+  for (const status of filingStatuses) {
+    if (!TAX_CONFIG.FILING_STATUSES.includes(status)) {
+      throw new Error(`Jurisdiction '${code}' has unknown filing status '${status}'`);
+    }
+    if (standardDeduction[status] === undefined) {
+      throw new Error(`Jurisdiction '${code}' standardDeduction missing filing status '${status}'`);
+    }
+  }
+  if (definition.recapture !== undefined && typeof definition.recapture !== 'function') {
+    throw new Error(`Jurisdiction '${code}' recapture must be a function`);
+  }
+  for (const surtax of definition.surtaxes || []) {
+    if (typeof surtax.label !== 'string' || typeof surtax.calculate !== 'function') {
+      throw new Error(`Jurisdiction '${code}' surtaxes must be { label, calculate } entries`);
+    }
+  }
+  if (definition.socialSecurity !== undefined && (!definition.socialSecurity || typeof definition.socialSecurity !== 'object')) {
+    throw new Error(`Jurisdiction '${code}' socialSecurity must be a year table`);
+  }
+  if (definition.curvature !== undefined && typeof definition.curvature !== 'function') {
+    throw new Error(`Jurisdiction '${code}' curvature must be a function`);
+  }
+  if ((definition.recapture || (definition.surtaxes || []).length > 0) &&
+      typeof definition.breakpoints !== 'function') {
+    throw new Error(`Jurisdiction '${code}' needs a breakpoints function for its recapture or surtaxes`);
+  }
+
+  STATE_JURISDICTIONS[code] = {
+    name,
+    filingStatuses,
+    brackets,
+    bracketsByStatus: definition.bracketsByStatus || {},
+    standardDeduction,
+    surtaxes: definition.surtaxes || [],
+    recapture: definition.recapture || null,
+    breakpoints: definition.breakpoints || (() => []),
+    curvature: definition.curvature || (() => 0),
+    yearTables: definition.yearTables || {},
+    socialSecurity: definition.socialSecurity || null,
+  };
+}
+
+/**
+ * Returns the validated tax data, loading TAX_DATA on first use (private method)
+ *
+ * The first call validates TaxData.js and runs _assertYearCoverage; if
+ * either fails, every later call fails the same way.
+ *
+ * @returns {Object} TAX_DATA as copied by _loadTaxData
+ * @throws {Error} If TaxData.js is missing or invalid
+ * @private
+ */
+function _taxData() {
+  if (_loadedTaxData) {
+    return _loadedTaxData;
+  }
+  if (typeof TAX_DATA === 'undefined') {
+    throw new Error('TAX_DATA is not defined: add TaxData.js to the project');
+  }
+  // Set before the coverage check, which reads the tables built from it.
+  _loadedTaxData = _loadTaxData(TAX_DATA);
+  try {
+    _withoutTaxDataReads(_assertYearCoverage);
+  } catch (e) {
+    _loadedTaxData = null;
+    throw e;
+  }
+  return _loadedTaxData;
+}
+
+/**
+ * Returns an object whose properties come from `build`, called on first
+ * access (private method)
+ * Lets the data tables be declared before TAX_DATA is read.
+ * @param {function(): Object} build - Builds the object
+ * @returns {Object} Read-only proxy for the built object
+ * @private
+ */
+function _lazyObject(build) {
+  let built = null;
+  const resolve = () => built || (built = build());
+  return new Proxy({}, {
+    get: (target, key) => resolve()[key],
+    has: (target, key) => key in resolve(),
+    ownKeys: () => Reflect.ownKeys(resolve()),
+    getOwnPropertyDescriptor: (target, key) => {
+      const descriptor = Reflect.getOwnPropertyDescriptor(resolve(), key);
+      return descriptor && { ...descriptor, configurable: true };
+    },
+  });
+}
+
+/**
+ * Validates TAX_DATA and returns a copy ready for the calculators (private method)
+ * @param {Object} data - TAX_DATA from TaxData.js
+ * @returns {Object} Deep copy with `null` limits replaced by Infinity
+ * @throws {Error} Listing every problem _validateTaxData finds
+ * @private
+ */
+function _loadTaxData(data) {
+  const problems = _validateTaxData(data);
+  if (problems.length > 0) {
+    const version = data && typeof data.version === 'string' ? ` ${data.version}` : '';
+    throw new Error(`TaxData.js${version} is invalid:\n  ${problems.join('\n  ')}`);
+  }
+  const copy = value => {
+    if (value === null) {
+      return Infinity;
+    }
+    if (Array.isArray(value)) {
+      return value.map(copy);
+    }
+    if (typeof value === 'object') {
+      const result = {};
+      for (const key of Object.keys(value)) {
+        result[key] = copy(value[key]);
+      }
+      return result;
+    }
+    return value;
+  };
+  return copy(data);
+}
+
+/**
+ * Checks TAX_DATA's shape and sanity (private method)
+ *
+ * Beyond the envelope (schema version, years, provenance), every value
+ * must be JSON data, and by field name:
+ *   brackets, bracketsByStatus, preferentialBrackets
+ *       thresholds strictly increase, rates are in [0, 1], and the last
+ *       threshold is TAX_CONFIG.MAX_INCOME
+ *   recapture
+ *       NY-style bands ({ tiLimit, anchor }): each anchor equals the prior
+ *       band's tiLimit, tiLimits increase and the last is null; CT-style
+ *       bands ({ start }): starts increase
+ *   any field named *rate / *Rate / *Rates
+ *       every rate is in [0, 1]
+ *
+ * @param {Object} data - TAX_DATA from TaxData.js
+ * @returns {Array<string>} Problems found, each prefixed with its path
+ *     (e.g. "ny.2026.recapture[2].anchor"); empty if the data is valid
+ * @private
+ */
+function _validateTaxData(data) {
+  const problems = [];
+  if (!data || typeof data !== 'object') {
+    return ['TAX_DATA must be an object'];
+  }
+  if (data.schemaVersion !== _TAX_DATA_SCHEMA_VERSION) {
+    return [`schemaVersion ${data.schemaVersion} is not supported (expected ${_TAX_DATA_SCHEMA_VERSION})`];
+  }
+  if (typeof data.version !== 'string' || data.version === '') {
+    problems.push('version must be a non-empty string');
+  }
+  const years = data.supportedYears;
+  if (!Array.isArray(years) || years.length === 0 ||
+      !years.every((year, i) => Number.isInteger(year) && (i === 0 || year > years[i - 1]))) {
+    problems.push('supportedYears must be increasing integer years');
+    return problems;
+  }
+  if (!data.jurisdictions || typeof data.jurisdictions !== 'object') {
+    problems.push('jurisdictions must be an object');
+    return problems;
+  }
+
+  const checkRate = (path, rate) => {
+    if (typeof rate !== 'number' || !(rate >= 0 && rate <= 1)) {
+      problems.push(`${path}: rate ${rate} is outside [0, 1]`);
+    }
+  };
+  const checkBrackets = (path, brackets) => {
+    if (!brackets || typeof brackets !== 'object') {
+      problems.push(`${path}: must be a bracket list or keyed by filing status`);
+      return;
+    }
+    if (!Array.isArray(brackets)) {
+      for (const status of Object.keys(brackets)) {
+        checkBrackets(`${path}.${status}`, brackets[status]);
+      }
+      return;
+    }
+    if (brackets.length === 0) {
+      problems.push(`${path}: no brackets`);
+      return;
+    }
+    brackets.forEach((bracket, i) => {
+      if (!Array.isArray(bracket) || bracket.length !== 2) {
+        problems.push(`${path}[${i}]: must be [threshold, rate]`);
+        return;
+      }
+      const [threshold, rate] = bracket;
+      if (i > 0 && !(threshold > brackets[i - 1][0])) {
+        problems.push(`${path}[${i}]: threshold ${threshold} is not above ${brackets[i - 1][0]}`);
+      }
+      checkRate(`${path}[${i}]`, rate);
+    });
+    const last = brackets[brackets.length - 1][0];
+    if (last !== TAX_CONFIG.MAX_INCOME) {
+      problems.push(`${path}: last threshold ${last} must be MAX_INCOME (${TAX_CONFIG.MAX_INCOME})`);
+    }
+  };
+  const checkRecapture = (path, bands) => {
+    if (!bands || typeof bands !== 'object') {
+      problems.push(`${path}: must be a band list or keyed by filing status`);
+      return;
+    }
+    if (!Array.isArray(bands)) {
+      for (const status of Object.keys(bands)) {
+        checkRecapture(`${path}.${status}`, bands[status]);
+      }
+      return;
+    }
+    bands.forEach((band, i) => {
+      const prior = bands[i - 1];
+      if ('tiLimit' in band) {
+        if (prior && band.anchor !== prior.tiLimit) {
+          problems.push(`${path}[${i}].anchor: ${band.anchor} must equal the prior tiLimit ${prior.tiLimit}`);
+        }
+        const isLast = i === bands.length - 1;
+        if (isLast ? band.tiLimit !== null : !(band.tiLimit > (prior ? prior.tiLimit : 0))) {
+          problems.push(`${path}[${i}].tiLimit: ${band.tiLimit} must ${isLast ? 'be null' : 'increase'}`);
+        }
+      } else if (prior && !(band.start > prior.start)) {
+        problems.push(`${path}[${i}].start: ${band.start} is not above ${prior.start}`);
+      }
+    });
+  };
+  // Array items are walked under their array's key, for the rate check only.
+  const walk = (path, key, value, isItem = false) => {
+    if (value === null || typeof value === 'string' || typeof value === 'boolean') {
+      return;
+    }
+    if (typeof value === 'number') {
+      if (!Number.isFinite(value) || value < 0) {
+        problems.push(`${path}: ${value} must be a finite non-negative number`);
+      } else if (/rates?$/i.test(key)) {
+        checkRate(path, value);
+      }
+      return;
+    }
+    if (typeof value !== 'object') {
+      problems.push(`${path}: ${typeof value} is not JSON data`);
+      return;
+    }
+    if (!isItem && (key === 'brackets' || key === 'bracketsByStatus' || key === 'preferentialBrackets')) {
+      checkBrackets(path, value);
+    } else if (!isItem && key === 'recapture') {
+      checkRecapture(path, value);
+    }
+    if (Array.isArray(value)) {
+      value.forEach((item, i) => walk(`${path}[${i}]`, key, item, true));
+    } else {
+      for (const field of Object.keys(value)) {
+        walk(`${path}.${field}`, field, value[field]);
+      }
+    }
+  };
+
+  for (const code of Object.keys(data.jurisdictions)) {
+    const { provenance, years: yearData } = data.jurisdictions[code];
+    if (!Array.isArray(provenance) || provenance.some(entry =>
+        typeof entry.label !== 'string' || typeof entry.source !== 'string' ||
+        !Array.isArray(entry.tables) || entry.tables.length === 0 ||
+        entry.tables.some(field => typeof field !== 'string') ||
+        Object.keys(entry.estimated || {}).some(year =>
+          !years.includes(Number(year)) || !/^\d{4}-\d{2}$/.test(entry.estimated[year])))) {
+      problems.push(`${code}.provenance: needs { label, tables: [field, ...], source, estimated? { year: 'YYYY-MM' } } entries`);
+    }
+    if (!yearData || typeof yearData !== 'object') {
+      problems.push(`${code}.years: missing`);
+      continue;
+    }
+    for (const year of years) {
+      if (yearData[year] === undefined) {
+        problems.push(`${code}.years: missing year ${year}`);
+      }
+    }
+    for (const year of Object.keys(yearData)) {
+      walk(`${code}.${year}`, year, yearData[year]);
+    }
+  }
+  return problems;
+}
+
+/**
+ * Returns a year-keyed table over one TAX_DATA field, built on first use
+ * (private method)
+ *
+ * Projected years are read through rather than stored: an indexed table
+ * returns that year's figure from _projectedTaxData, a table listed in
+ * _PROJECTION_FIXED_TABLES returns the last published year's, and any
+ * other table has nothing for the year. Year reads are recorded for
+ * _collectTaxDataReads.
+ *
+ * @param {string} jurisdiction - Key of TAX_DATA.jurisdictions
+ * @param {?string} field - Field of each year's data, or null for the
+ *     whole year; also names the table ('ny.recapture', 'nyc')
+ * @param {function(*): *} pick - Picks the table's value from the field
+ *     (default: the field itself)
+ * @returns {Object} { year: value }; reading it throws if TaxData.js has
+ *     no such jurisdiction
+ * @private
+ */
+function _taxDataTable(jurisdiction, field, pick = value => value) {
+  const name = field === null ? jurisdiction : `${jurisdiction}.${field}`;
+  const published = _lazyObject(() => {
+    const entry = _taxData().jurisdictions[jurisdiction];
+    if (!entry) {
+      throw new Error(`TaxData.js has no '${jurisdiction}' jurisdiction`);
+    }
+    const table = {};
+    for (const year of Object.keys(entry.years)) {
+      const yearData = entry.years[year];
+      table[year] = pick(field === null ? yearData : yearData[field]);
+    }
+    return table;
+  });
+  _TAX_DATA_TABLES.push({ jurisdiction, field });
+  return new Proxy(published, {
+    get: (target, key) => {
+      const year = typeof key === 'string' ? Number(key) : NaN;
+      if (key in published || !_isProjectableYear(year)) {
+        if (_taxDataReads && key in published && Number.isInteger(year)) {
+          _taxDataReads.set(`${name}@${year}`, { jurisdiction, field, year, projected: false });
+        }
+        return published[key];
+      }
+      if (_taxDataReads) {
+        _taxDataReads.set(`${name}@${year}`, { jurisdiction, field, year, projected: true });
+      }
+      const indexed = _projectedTaxData(year)[jurisdiction];
+      if (indexed && field !== null && field in indexed) {
+        return pick(indexed[field]);
+      }
+      return _PROJECTION_FIXED_TABLES.includes(name) ? published[_projectionBaseYear()] : undefined;
+    },
+  });
+}
+
+/**
+ * Builds a { status: { year: value } } table from a status-keyed TAX_DATA
+ * field (private method)
+ * @param {string} jurisdiction - Key of TAX_DATA.jurisdictions
+ * @param {string} field - Field whose value is keyed by filing status
+ * @param {Array<string>} statuses - Statuses to include (default: all)
+ * @returns {Object} { status: { year: value } }
+ * @private
+ */
+function _taxDataByStatus(jurisdiction, field, statuses = TAX_CONFIG.FILING_STATUSES) {
+  const table = {};
+  for (const status of statuses) {
+    table[status] = _taxDataTable(jurisdiction, field, byStatus => byStatus[status]);
+  }
+  return table;
+}
+
+/**
+ * Rounds a number to cents (2 decimal places) to avoid floating point errors
+ * @param {number} value - Value to round
+ * @returns {number} Value rounded to nearest cent
+ * @private
+ */
+function _roundToCents(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Validates that a value is a non-negative number (private method)
+ * @param {number} value - Value to validate
+ * @param {string} fieldName - Name of the field for error messages
+ * @throws {Error} If value is not a non-negative number
+ * @private
+ */
+function _validateNonNegativeNumber(value, fieldName) {
+  if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+    throw new Error(`${fieldName} must be a non-negative finite number`);
+  }
+}
+
+/**
+ * Validates tax year with optional minimum year constraint (private method)
+ * @param {number} year - Tax year to validate
+ * @param {number} minYear - Optional minimum year (if not provided, uses SUPPORTED_YEARS)
+ * @throws {Error} If year is invalid
+ * @private
+ */
+function _validateYear(year, minYear = null) {
+  if (minYear === null) {
+    if (!TAX_CONFIG.SUPPORTED_YEARS.includes(year)) {
+      throw new Error(`Year must be one of: ${TAX_CONFIG.SUPPORTED_YEARS.join(', ')}`);
+    }
+    return;
+  }
+
+  if (typeof year !== 'number' || year < minYear) {
+    throw new Error(`Year must be ${minYear} or later`);
+  }
+}
+
+/**
+ * Validates and normalizes a federal filing status (private method)
+ * Accepts any casing so Sheets users can type "MFJ" or "Single".
+ * @param {string} filingStatus - One of TAX_CONFIG.FILING_STATUSES
+ * @returns {string} Lower-cased filing status
+ * @throws {Error} If filing status is not recognized
+ * @private
+ */
+function _validateFilingStatus(filingStatus) {
+  const normalized = typeof filingStatus === 'string' ? filingStatus.toLowerCase() : filingStatus;
+  if (!TAX_CONFIG.FILING_STATUSES.includes(normalized)) {
+    throw new Error(`Filing status must be one of: ${TAX_CONFIG.FILING_STATUSES.join(', ')}`);
+  }
+  return normalized;
+}
+
+/**
+ * Normalizes a named-argument bundle (private method)
+ *
+ * Custom functions can't receive objects from a cell, so Sheets callers
+ * pass a two-column range of [name, value] rows instead. Script callers
+ * may pass a plain object. Unknown names are rejected to catch typos.
+ *
+ * @param {Object|Array<Array<*>>|undefined} options - Object or [name, value] rows
+ * @param {Object} defaults - Allowed names and their default values
+ * @param {string} fieldName - Name of the argument for error messages
+ * @returns {Object} Defaults overlaid with the supplied values
+ * @throws {Error} If a name is not in `defaults`
+ * @private
+ */
+function _parseOptions(options, defaults, fieldName) {
+  const result = Object.assign({}, defaults);
+  if (options === undefined || options === null || options === '') {
+    return result;
+  }
+
+  const entries = Array.isArray(options)
+    ? options.filter(row => row[0] !== '' && row[0] !== undefined).map(row => [row[0], row[1]])
+    : Object.entries(options);
+  for (const [name, value] of entries) {
+    if (!(name in defaults)) {
+      throw new Error(`${fieldName} has unknown field '${name}' (expected: ${Object.keys(defaults).join(', ')})`);
+    }
+    result[name] = value;
+  }
+  return result;
+}
+
+/**
+ * Validates input parameters for tax calculations (private method)
+ * @param {number} income - Annual income amount
+ * @param {number} year - Tax year
+ * @param {string} jurisdiction - Tax jurisdiction
+ * @throws {Error} If parameters are invalid
+ * @private
+ */
+function _validateTaxInputs(income, year, jurisdiction = 'federal') {
+  _validateNonNegativeNumber(income, 'Income');
+  _validateProjectableYear(year);
+
+  if (jurisdiction !== 'federal' && !(jurisdiction in STATE_JURISDICTIONS)) {
+    throw new Error(`Jurisdiction must be one of: ${['federal', ...Object.keys(STATE_JURISDICTIONS)].join(', ')}`);
+  }
+}
+
+/**
+ * Looks up the bracket table for a jurisdiction, year and filing status (private method)
+ *
+ * Federal brackets vary by filing status. Each registered state lists the
+ * statuses its brackets cover (NC's flat rate applies to every status; NY
+ * and CA are MFJ / QSS only); others are rejected rather than silently
+ * taxed on the joint schedule.
+ *
+ * @param {string} jurisdiction - 'federal' or a STATE_JURISDICTIONS code
+ * @param {number} year - Tax year (already validated)
+ * @param {string} filingStatus - Normalized filing status
+ * @returns {Array<Array<number>>} Array of [income_threshold, tax_rate] pairs
+ * @throws {Error} If brackets are unavailable
+ * @private
+ */
+function _getBrackets(jurisdiction, year, filingStatus) {
+  let table;
+  if (jurisdiction === 'federal') {
+    table = FEDERAL_BRACKETS_BY_STATUS[filingStatus];
+  } else {
+    const def = STATE_JURISDICTIONS[jurisdiction];
+    if (!def.filingStatuses.includes(filingStatus)) {
+      throw new Error(
+        `Filing status '${filingStatus}' not supported for '${jurisdiction}' (supported: ${def.filingStatuses.join(', ')})`
+      );
+    }
+    table = def.bracketsByStatus[filingStatus] || def.brackets;
+  }
+
+  const brackets = table && table[year];
+  if (!brackets) {
+    throw new Error(`Tax brackets for '${jurisdiction}' not available for year ${year}`);
+  }
+  return brackets;
+}
+
+/**
+ * Splits income across tax brackets (private method)
+ * @param {Array<Array<number>>} taxBrackets - Array of [income_threshold, tax_rate] pairs
+ * @param {number} income - Annual income amount
+ * @returns {Array<Object>} One { lower, upper, rate, amount, tax } per
+ *     bracket, in order; `amount` is the income taxed in the bracket (0
+ *     for brackets the income doesn't reach)
+ * @private
+ */
+function _splitIntoBrackets(taxBrackets, income) {
+  let lower = 0;
+  return taxBrackets.map(([upper, rate]) => {
+    const amount = Math.max(0, Math.min(income, upper) - lower);
+    const bracket = { lower, upper, rate, amount, tax: amount * rate };
+    lower = upper;
+    return bracket;
+  });
+}
+
+/**
+ * Calculates progressive income tax based on tax brackets (private method)
+ * @param {Array<Array<number>>} taxBrackets - Array of [income_threshold, tax_rate] pairs
+ * @param {number} income - Annual income amount
+ * @returns {number} Total tax owed
+ * @private
+ */
+function _calculateProgressiveTax(taxBrackets, income) {
+  return _splitIntoBrackets(taxBrackets, income).reduce((total, bracket) => total + bracket.tax, 0);
+}
+
+/**
+ * Generic tax calculation helper (private method)
  * @param {number} income - Annual gross income
  * @param {number} year - Tax year (2023-2026)
- * @returns {number} NC State income tax owed
+ * @param {string} jurisdiction - 'federal' or a STATE_JURISDICTIONS code
+ * @param {string} filingStatus - Filing status (default 'mfj')
+ * @returns {number} Tax owed
+ * @throws {Error} If parameters are invalid or brackets unavailable
+ * @private
+ */
+function _calculateIncomeTax(income, year, jurisdiction, filingStatus = 'mfj') {
+  _validateTaxInputs(income, year, jurisdiction);
+  const status = _validateFilingStatus(filingStatus);
+
+  return _calculateProgressiveTax(_getBrackets(jurisdiction, year, status), income);
+}
+
+/**
+ * Calculates California Mental Health Services Tax (private method)
+ * @param {number} income - Annual gross income
+ * @returns {number} Mental Health Services Tax owed (1% on income over $1M)
+ * @private
+ */
+function _calculateCAMentalHealthTax(income) {
+  const { RATE, THRESHOLD } = TAX_CONFIG.CA_MENTAL_HEALTH_TAX;
+  if (income <= THRESHOLD) {
+    return 0;
+  }
+  return (income - THRESHOLD) * RATE;
+}
+
+/**
+ * Calculates the Massachusetts 4% millionaire surtax (private method)
+ * @param {number} income - MA taxable income
+ * @param {number} year - Tax year
+ * @returns {number} Surtax on income over the year's threshold
+ * @private
+ */
+function _calculateMAMillionaireSurtax(income, year) {
+  const threshold = MA_MILLIONAIRE_SURTAX_THRESHOLD[year];
+  return Math.max(0, income - threshold) * _MA_MILLIONAIRE_SURTAX_RATE;
+}
+
+/**
+ * Applies the Connecticut lowest-rate phase-out and benefit recapture
+ * (CT-1040 Tables C and D) on top of bracketed tax (private method)
+ *
+ * Treats `taxableIncome` as CT AGI, as getNYIncomeTax does for NYAGI.
+ * See CT_RECAPTURE_TABLE for the band layout.
+ *
+ * @param {number} taxableIncome - CT taxable income (also treated as CT AGI)
+ * @param {number} bracketedTax - Progressive tax from the CT schedule
+ * @param {number} year - Tax year
+ * @param {string} filingStatus - Normalized filing status
+ * @returns {number} Tax after add-backs (unrounded)
+ * @private
+ */
+function _applyCTRecapture(taxableIncome, bracketedTax, year, filingStatus) {
+  // Skip the table below the first band, so it doesn't count as read.
+  if (taxableIncome <= _CT_RECAPTURE_PHASE_IN_START[filingStatus === 'single' ? 'single' : 'mfj']) {
+    return bracketedTax;
+  }
+  const bands = CT_RECAPTURE_TABLE[year][filingStatus === 'single' ? 'single' : 'mfj'];
+  let tax = bracketedTax;
+  for (const { start, step, window, max } of bands) {
+    const totalSteps = window / step;
+    const steps = Math.min(Math.ceil(Math.max(0, taxableIncome - start) / step), totalSteps);
+    tax += max * steps / totalSteps;
+  }
+  return tax;
+}
+
+/**
+ * Lists the CT AGI levels where a Table C / D add-back steps up (private method)
+ * @param {number} year - Tax year
+ * @param {string} filingStatus - Normalized filing status
+ * @returns {Array<number>} Every step boundary of every band
+ * @private
+ */
+function _getCTRecaptureBreakpoints(year, filingStatus) {
+  const points = [];
+  for (const { start, step, window } of CT_RECAPTURE_TABLE[year][filingStatus === 'single' ? 'single' : 'mfj']) {
+    for (let level = start; level <= start + window; level += step) {
+      points.push(level);
+    }
+  }
+  return points;
+}
+
+/**
+ * Calculates federal income tax
+ * @param {number} income - Annual gross income
+ * @param {number} year - Tax year (2023-2026)
+ * @param {string} filingStatus - 'single', 'mfj', 'mfs', 'hoh' or 'qss' (default 'mfj')
+ * @returns {number} Federal income tax owed
+ */
+function getFederalIncomeTax(income, year, filingStatus = 'mfj') {
+  return _withEstimateFlag(() => _roundToCents(_calculateIncomeTax(income, year, 'federal', filingStatus)));
+}
+
+/**
+ * Applies NY "tax table benefit recapture" on top of the MFJ bracketed tax.
+ *
+ * Encodes the IT-201-I Tax computation worksheets 2–6 (MFJ): for NYAGI
+ * above $107,650, NY phases out the benefit of the lower brackets. See
+ * NY_RECAPTURE_MFJ_TABLE above for the transcribed coefficients.
+ *
+ * Assumes NYAGI == taxableIncome (this library receives a single income
+ * argument; see the NY_RECAPTURE_MFJ_TABLE comment for why this is safe).
+ *
+ * Years outside the transcribed table fall back to bracketed tax
+ * unchanged so existing callers aren't broken.
+ *
+ * @param {number} taxableIncome - NY taxable income (also treated as NYAGI)
+ * @param {number} bracketedTax - Progressive tax from NY MFJ brackets
+ * @param {number} year - Tax year
+ * @returns {number} Tax after recapture (unrounded)
+ * @private
+ */
+function _applyNYRecapture(taxableIncome, bracketedTax, year) {
+  // Below the phase-in threshold: no recapture applies.
+  if (taxableIncome <= _NY_RECAPTURE_PHASE_IN_START) {
+    return bracketedTax;
+  }
+
+  const bands = NY_RECAPTURE_MFJ_TABLE[year];
+  if (!bands) {
+    // Year not covered by transcribed worksheets — return bracketed tax
+    // unchanged (preserves pre-fix behavior for e.g. 2026).
+    return bracketedTax;
+  }
+
+  // WS 6: when NYAGI > $25M, flat top rate (10.9%) × taxable income.
+  if (taxableIncome > _NY_RECAPTURE_CLIFF_THRESHOLD) {
+    return _NY_RECAPTURE_CLIFF_RATE * taxableIncome;
+  }
+
+  // Locate the band whose taxable-income ceiling contains our income.
+  const band = bands.find(b => taxableIncome <= b.tiLimit);
+  const phaseIn = Math.min(
+    Math.max(0, taxableIncome - band.anchor),
+    _NY_RECAPTURE_PHASE_IN_WINDOW
+  ) / _NY_RECAPTURE_PHASE_IN_WINDOW;
+
+  if (band.firstBand) {
+    // WS 1: phase in from bracketed tax to flatRate × taxableIncome.
+    const flatTax = band.flatRate * taxableIncome;
+    return bracketedTax + (flatTax - bracketedTax) * phaseIn;
+  }
+
+  // WS 2–5: bracketed + base + benefit × phase-in fraction.
+  return bracketedTax + band.base + band.benefit * phaseIn;
+}
+
+/**
+ * Lists the taxable incomes where NY recapture changes slope or jumps
+ * (private method)
+ * @param {number} year - Tax year
+ * @returns {Array<number>} Phase-in starts and ends, band limits and the $25M cliff
+ * @private
+ */
+function _getNYRecaptureBreakpoints(year) {
+  const points = [_NY_RECAPTURE_PHASE_IN_START, _NY_RECAPTURE_CLIFF_THRESHOLD];
+  for (const band of NY_RECAPTURE_MFJ_TABLE[year] || []) {
+    points.push(band.anchor, band.anchor + _NY_RECAPTURE_PHASE_IN_WINDOW);
+    if (Number.isFinite(band.tiLimit)) {
+      points.push(band.tiLimit);
+    }
+  }
+  return points;
+}
+
+/**
+ * Returns the quadratic coefficient of NY tax in taxable income at
+ * `taxableIncome` (private method)
+ *
+ * Only the first recapture band's phase-in is nonlinear: bracketed tax
+ * b₀ + r × TI plus (flatRate × TI − bracketed tax) × (TI − anchor) / window
+ * has TI² coefficient (flatRate − r) / window. Everywhere else recapture is
+ * linear between the breakpoints _getNYRecaptureBreakpoints lists.
+ *
+ * @param {number} taxableIncome - NY taxable income (also treated as NYAGI)
+ * @param {number} year - Tax year
+ * @param {string} filingStatus - Filing status
+ * @returns {number} Coefficient of TI² (0 outside the first band's phase-in)
+ * @private
+ */
+function _getNYRecaptureCurvature(taxableIncome, year, filingStatus) {
+  const band = (NY_RECAPTURE_MFJ_TABLE[year] || []).find(b => b.firstBand);
+  if (!band || taxableIncome <= _NY_RECAPTURE_PHASE_IN_START || taxableIncome > band.tiLimit ||
+      taxableIncome >= band.anchor + _NY_RECAPTURE_PHASE_IN_WINDOW) {
+    return 0;
+  }
+  const [, rate] = _getBrackets('ny', year, filingStatus).find(([upper]) => taxableIncome <= upper);
+  return (band.flatRate - rate) / _NY_RECAPTURE_PHASE_IN_WINDOW;
+}
+
+/**
+ * Calculates New York State income tax for married filing jointly.
+ *
+ * Applies the "tax table benefit recapture" required by Form IT-201
+ * (worksheets 2–6 MFJ) for NYAGI > $107,650.
+ *
+ * The `income` argument is treated as both NY taxable income (IT-201
+ * line 38) and NYAGI (line 33). This library takes a single income
+ * argument; the two values coincide at the high-income levels where
+ * recapture matters (WS 6 cliff, full phase-in bands), so the
+ * simplification matches filed-return outcomes. For a strict separation
+ * of NYAGI from taxable income, use `getNYDeductionMFJ` to compute the
+ * allowed deduction, subtract it from NYAGI, and pass the result here.
+ *
+ * @param {number} income - Annual NY taxable income (treated as NYAGI too)
+ * @param {number} year - Tax year (2023-2026)
+ * @returns {number} NY State income tax owed
+ * @throws {Error} If parameters are invalid
+ */
+function getNYIncomeTax(income, year) {
+  return getStateIncomeTax(income, year, 'ny');
+}
+
+/**
+ * Calculates California State income tax for married filing jointly
+ * Includes base income tax plus 1% Mental Health Services Tax on income over $1M
+ * @param {number} income - Annual gross income
+ * @param {number} year - Tax year (2023-2026)
+ * @returns {number} Total California State income tax owed (including Mental Health Services Tax)
+ */
+function getCAIncomeTax(income, year) {
+  return getStateIncomeTax(income, year, 'ca');
+}
+
+/**
+ * Calculates North Carolina State income tax
+ * NC uses a flat tax rate that applies to all income regardless of filing status
+ * @param {number} income - Annual gross income
+ * @param {number} year - Tax year (2023-2026)
+ * @returns {number} NC State income tax owed
+ */
+function getNCIncomeTax(income, year) {
+  return getStateIncomeTax(income, year, 'nc');
+}
+
+/**
+ * Calculates Massachusetts State income tax
+ * 5% flat rate plus the 4% millionaire surtax on income over the
+ * inflation-indexed threshold ($1,083,150 in 2025), for every filing status
+ * @param {number} income - Annual MA taxable income
+ * @param {number} year - Tax year (2023-2026)
+ * @param {string} filingStatus - Filing status (default 'mfj')
+ * @returns {number} MA State income tax owed (including surtax)
+ */
+function getMAIncomeTax(income, year, filingStatus = 'mfj') {
+  return getStateIncomeTax(income, year, 'ma', filingStatus);
+}
+
+/**
+ * Calculates New Jersey State income tax (progressive brackets)
+ * Single and MFS use the Table A schedule; MFJ, HOH and QSS use Table B
+ * @param {number} income - Annual NJ taxable income
+ * @param {number} year - Tax year (2023-2026)
+ * @param {string} filingStatus - Filing status (default 'mfj')
+ * @returns {number} NJ State income tax owed
+ */
+function getNJIncomeTax(income, year, filingStatus = 'mfj') {
+  return getStateIncomeTax(income, year, 'nj', filingStatus);
+}
+
+/**
+ * Calculates Connecticut State income tax
+ * Progressive brackets plus the lowest-rate phase-out and benefit
+ * recapture (CT-1040 Tables C and D), treating `income` as CT AGI too
+ * @param {number} income - Annual CT taxable income (treated as CT AGI)
+ * @param {number} year - Tax year (2023-2026)
+ * @param {string} filingStatus - 'mfj', 'qss' or 'single' (default 'mfj')
+ * @returns {number} CT State income tax owed
+ */
+function getCTIncomeTax(income, year, filingStatus = 'mfj') {
+  return getStateIncomeTax(income, year, 'ct', filingStatus);
+}
+
+/**
+ * Calculates Illinois State income tax
+ * IL uses a 4.95% flat rate for every filing status
+ * @param {number} income - Annual IL net income (after exemptions)
+ * @param {number} year - Tax year (2023-2026)
+ * @param {string} filingStatus - Filing status (default 'mfj')
+ * @returns {number} IL State income tax owed
+ */
+function getILIncomeTax(income, year, filingStatus = 'mfj') {
+  return getStateIncomeTax(income, year, 'il', filingStatus);
+}
+
+/**
+ * Calculates state income tax for any registered jurisdiction
+ *
+ * Dispatches through STATE_JURISDICTIONS: progressive tax from the
+ * state's brackets, then its recapture hook (e.g., NY tax table benefit
+ * recapture), then any surtaxes (e.g., CA Mental Health Services Tax).
+ * The state-specific wrappers (getNYIncomeTax, getCAIncomeTax, ...) call
+ * this.
+ *
+ * @param {number} income - Annual state taxable income
+ * @param {number} year - Tax year (2023-2026)
+ * @param {string} state - Registered jurisdiction code (e.g., 'ny', 'ca', 'nc')
+ * @param {string} filingStatus - Filing status (default 'mfj'; must be one the state supports)
+ * @returns {number} State income tax owed
+ * @throws {Error} If parameters are invalid or the state isn't registered
+ *
+ * @example
+ * getStateIncomeTax(150000, 2025, 'ca'); // same as getCAIncomeTax(150000, 2025)
+ */
+function getStateIncomeTax(income, year, state, filingStatus = 'mfj') {
+  return _withEstimateFlag(() => {
+    if (state === 'federal' || !(state in STATE_JURISDICTIONS)) {
+      throw new Error(`State must be one of: ${Object.keys(STATE_JURISDICTIONS).join(', ')}`);
+    }
+    const def = STATE_JURISDICTIONS[state];
+    const status = _validateFilingStatus(filingStatus);
+
+    let tax = _calculateIncomeTax(income, year, state, status);
+    if (def.recapture) {
+      tax = def.recapture(income, tax, year, status);
+    }
+    for (const surtax of def.surtaxes) {
+      tax += surtax.calculate(income, year, status);
+    }
+    return _roundToCents(tax);
+  });
+}
+
+/**
+ * Breaks income tax down bracket by bracket
+ *
+ * Returns one row per bracket of the jurisdiction's schedule — every
+ * bracket, so the table keeps its shape as income changes — with the
+ * income and tax falling in it. States with a recapture hook (NY, CT) add
+ * a 'Recapture adjustment' row for the difference between the recapture-
+ * aware tax and the bracketed tax, and each surtax (CA Mental Health
+ * Services Tax, MA millionaire surtax) adds a row under its own label.
+ * A closing 'Total' row matches getFederalIncomeTax / getStateIncomeTax.
+ *
+ * Columns: lower bound, upper bound (blank for the top bracket), rate,
+ * income in bracket, tax in bracket. Adjustment, surtax and total rows
+ * carry their label in the first column and leave the bounds and rate
+ * blank; only the total row fills in income.
+ *
+ * @param {number} income - Annual taxable income
+ * @param {number} year - Tax year (2023-2026)
+ * @param {string} jurisdiction - 'federal' or a registered state
+ * @param {string} filingStatus - Filing status (default 'mfj')
+ * @returns {Array<Array<string|number>>} Five-column rows
+ * @throws {Error} If parameters are invalid
+ *
+ * @example
+ * // 2025 MFJ CA, $1,200,000: nine Schedule Y rows, then
+ * // ['Mental Health Services Tax', '', '', '', 2000] and the total
+ * getTaxBracketBreakdown(1200000, 2025, 'ca');
+ */
+function getTaxBracketBreakdown(income, year, jurisdiction, filingStatus = 'mfj') {
+  return _withEstimateFlag(() => {
+    _validateTaxInputs(income, year, jurisdiction);
+    const status = _validateFilingStatus(filingStatus);
+    const brackets = _getBrackets(jurisdiction, year, status);
+
+    const split = _splitIntoBrackets(brackets, income);
+    const rows = split.map(({ lower, upper, rate, amount, tax }) => [
+      lower,
+      upper === TAX_CONFIG.MAX_INCOME ? '' : upper,
+      rate,
+      _roundToCents(amount),
+      _roundToCents(tax),
+    ]);
+    const bracketedTax = split.reduce((total, bracket) => total + bracket.tax, 0);
+
+    if (jurisdiction === 'federal') {
+      rows.push(['Total', '', '', income, getFederalIncomeTax(income, year, status)]);
+      return _appendProjectionFlag(rows, year);
+    }
+
+    const def = STATE_JURISDICTIONS[jurisdiction];
+    if (def.recapture) {
+      const adjustment = def.recapture(income, bracketedTax, year, status) - bracketedTax;
+      rows.push(['Recapture adjustment', '', '', '', _roundToCents(adjustment)]);
+    }
+    for (const { label, calculate } of def.surtaxes) {
+      rows.push([label, '', '', '', _roundToCents(calculate(income, year, status))]);
+    }
+    rows.push(['Total', '', '', income, getStateIncomeTax(income, year, jurisdiction, status)]);
+    return _appendProjectionFlag(rows, year);
+  });
+}
+
+/**
+ * Returns a registered state's standard deduction
+ *
+ * @param {number} year - Tax year (2023-2026)
+ * @param {string} state - Registered jurisdiction code (e.g., 'ny', 'ca', 'nc')
+ * @param {string} filingStatus - Filing status (default 'mfj'; must be one the state supports)
+ * @returns {number} Standard deduction
+ * @throws {Error} If parameters are invalid or the state isn't registered
+ *
+ * @example
+ * getStateStandardDeduction(2025, 'nc'); // → 25500
+ */
+function getStateStandardDeduction(year, state, filingStatus = 'mfj') {
+  return _withEstimateFlag(() => {
+    _validateTaxInputs(0, year, state);
+    const status = _validateFilingStatus(filingStatus);
+    if (state === 'federal') {
+      throw new Error(`State must be one of: ${Object.keys(STATE_JURISDICTIONS).join(', ')}`);
+    }
+    // Rejects statuses the state doesn't cover.
+    _getBrackets(state, year, status);
+    return STATE_JURISDICTIONS[state].standardDeduction[status][year];
+  });
+}
+
+/**
+ * Returns the marginal tax rate for a given income level
+ * The marginal rate is the tax rate applied to the next dollar of income
+ *
+ * With Social Security benefits, the next dollar of other income can also
+ * make up to 85 cents of benefits taxable: the rate is then the bracket
+ * rate at income plus the jurisdiction's taxable benefits, times one plus
+ * the benefits that dollar adds — 1.5 or 1.85 federally in the 50% / 85%
+ * tiers (the "tax torpedo"). A state AGI exemption that ends all at once
+ * (CT's) is a one-time jump, not a rate, and is left out;
+ * getEffectiveMarginalRate reports it as its own row.
+ *
+ * @param {number} income - Annual taxable income, excluding any Social Security benefits
+ * @param {number} year - Tax year (2023-2026)
+ * @param {string} jurisdiction - 'federal' or a registered state ('ny', 'ca', 'nc', ...)
+ * @param {string} filingStatus - Filing status (default 'mfj'; NY and CA support MFJ / QSS only)
+ * @param {number} socialSecurityBenefits - Benefits for the year (default 0)
+ * @param {number} modifiedAGI - Other income for the provisional-income
+ *     test: AGI without the benefits, plus tax-exempt interest (default `income`)
+ * @returns {number} Marginal tax rate as a decimal (e.g., 0.22 for 22%)
+ * @throws {Error} If parameters are invalid
+ *
+ * @example
+ * // Federal marginal rate for $150,000 income in 2024
+ * getMarginalRate(150000, 2024, 'federal'); // Returns 0.22
+ *
+ * @example
+ * // NY marginal rate for $500,000 income in 2025
+ * getMarginalRate(500000, 2025, 'ny'); // Returns 0.0685
+ */
+function getMarginalRate(income, year, jurisdiction, filingStatus = 'mfj', socialSecurityBenefits = 0,
+    modifiedAGI = income) {
+  return _withEstimateFlag(() => {
+    _validateTaxInputs(income, year, jurisdiction);
+    const status = _validateFilingStatus(filingStatus);
+    _validateNonNegativeNumber(socialSecurityBenefits, 'Social Security benefits');
+    _validateNonNegativeNumber(modifiedAGI, 'Modified AGI');
+
+    const brackets = _getBrackets(jurisdiction, year, status);
+    let taxable = income;
+    let benefitsPerDollar = 0;
+    if (socialSecurityBenefits > 0) {
+      const inclusion = _socialSecurityInclusion(socialSecurityBenefits, modifiedAGI, 0, year, status, jurisdiction);
+      taxable += inclusion.taxable;
+      benefitsPerDollar = inclusion.perDollar;
+    }
+
+    let rate = brackets[brackets.length - 1][1];
+    for (const [threshold, bracketRate] of brackets) {
+      if (taxable < threshold) {
+        rate = bracketRate;
+        break;
+      }
+    }
+    return benefitsPerDollar ? Math.round(rate * (1 + benefitsPerDollar) * 1e6) / 1e6 : rate;
+  });
+}
+
+// Components that getEffectiveMarginalRate accepts besides the registered
+// states, with their display labels.
+const _TAX_COMPONENT_LABELS = {
+  federal: 'Federal',
+  nyc: 'NYC',
+  yonkers: 'Yonkers',
+  niit: 'NIIT',
+  ctc: 'Child Tax Credit',
+};
+
+/**
+ * Normalizes a jurisdiction list into lowercase component codes (private method)
+ *
+ * Accepts a comma- or space-separated string ("federal, ny, niit") or a
+ * range with one code per cell. Each code must be a key of
+ * _TAX_COMPONENT_LABELS or a registered state.
+ *
+ * @param {string|Array<*>} jurisdictions - Jurisdiction codes
+ * @returns {Array<string>} Distinct component codes in input order
+ * @throws {Error} If the list is empty or has an unknown or repeated code
+ * @private
+ */
+function _parseTaxComponents(jurisdictions) {
+  const raw = Array.isArray(jurisdictions)
+    ? jurisdictions.flat()
+    : String(jurisdictions === undefined || jurisdictions === null ? '' : jurisdictions).split(/[\s,]+/);
+  const codes = raw
+    .map(code => String(code).trim().toLowerCase())
+    .filter(code => code !== '');
+  if (codes.length === 0) {
+    throw new Error('Jurisdictions must list at least one component');
+  }
+
+  const allowed = Object.keys(_TAX_COMPONENT_LABELS).concat(Object.keys(STATE_JURISDICTIONS));
+  for (const [index, code] of codes.entries()) {
+    if (!allowed.includes(code)) {
+      throw new Error(`Unknown jurisdiction '${code}' (expected: ${allowed.join(', ')})`);
+    }
+    if (codes.indexOf(code) !== index) {
+      throw new Error(`Jurisdiction '${code}' is listed more than once`);
+    }
+  }
+  return codes;
+}
+
+/**
+ * Calculates one component's tax for getEffectiveMarginalRate (private method)
+ *
+ * Credits are returned as negative tax so that losing credit to a
+ * phase-out shows up as a positive change.
+ *
+ * @param {string} component - Component code from _parseTaxComponents
+ * @param {Object} ctx - { taxableIncome, modifiedAGI, netInvestmentIncome,
+ *     numberOfChildren, year, filingStatus } and optionally
+ *     preferentialIncome (qualified dividends and net capital gain inside
+ *     taxableIncome, taxed federally via the capital gains worksheet) and
+ *     socialSecurityBenefits (see _addTaxableBenefits)
+ * @returns {number} Tax for the component (negative for credits)
+ * @private
+ */
+function _calculateComponentTax(component, ctx) {
+  ctx = _addTaxableBenefits(component, ctx);
+  const { taxableIncome, modifiedAGI, netInvestmentIncome, numberOfChildren, year, filingStatus } = ctx;
+  switch (component) {
+    case 'federal':
+      return ctx.preferentialIncome
+        ? getFederalTaxWithCapitalGains(taxableIncome, ctx.preferentialIncome, 0, year, filingStatus)
+        : getFederalIncomeTax(taxableIncome, year, filingStatus);
+    case 'nyc':
+      // NYC tables are MFJ; reuse NY's status check.
+      _getBrackets('ny', year, filingStatus);
+      return getNYCIncomeTax(taxableIncome, year, modifiedAGI);
+    case 'yonkers':
+      return getYonkersSurcharge(getStateIncomeTax(taxableIncome, year, 'ny', filingStatus), year);
+    case 'niit':
+      return getNetInvestmentIncomeTax(netInvestmentIncome, modifiedAGI, year, filingStatus);
+    case 'ctc':
+      return -getChildTaxCredit(numberOfChildren, modifiedAGI, year, filingStatus);
+    default:
+      return getStateIncomeTax(taxableIncome, year, component, filingStatus);
+  }
+}
+
+/**
+ * Returns a copy of a component tax context with the taxable part of its
+ * Social Security benefits added (private method)
+ *
+ * `ctx.taxableIncome` and `ctx.modifiedAGI` exclude the benefits;
+ * modifiedAGI (with any tax-exempt interest) is the other income in the
+ * provisional-income test. Taxable income gains the benefits the
+ * component's jurisdiction taxes (NYC and Yonkers follow NY); MAGI gains
+ * the federally taxable benefits. This is what makes extra income in the
+ * 50% / 85% zones cost more than its bracket rate.
+ *
+ * @param {string} component - Component code from _parseTaxComponents
+ * @param {Object} ctx - Context as for _calculateComponentTax
+ * @param {boolean} keepExemption - Apply a state's AGI exemption whatever
+ *     the AGI, to price its cliff separately (default false)
+ * @returns {Object} New context without socialSecurityBenefits, or `ctx`
+ *     if it has none
+ * @private
+ */
+function _addTaxableBenefits(component, ctx, keepExemption = false) {
+  if (!ctx.socialSecurityBenefits) {
+    return ctx;
+  }
+  const { socialSecurityBenefits, modifiedAGI, year, filingStatus } = ctx;
+  let jurisdiction = 'federal';
+  if (component in STATE_JURISDICTIONS) {
+    jurisdiction = component;
+  } else if (component === 'nyc' || component === 'yonkers') {
+    jurisdiction = 'ny';
+  }
+  const federal = getTaxableSocialSecurity(socialSecurityBenefits, modifiedAGI, 0, year, filingStatus);
+  const taxable = jurisdiction === 'federal'
+    ? federal
+    : _socialSecurityInclusion(socialSecurityBenefits, modifiedAGI, 0, year, filingStatus, jurisdiction,
+      keepExemption).taxable;
+  return Object.assign({}, ctx, {
+    taxableIncome: ctx.taxableIncome + taxable,
+    modifiedAGI: modifiedAGI + federal,
+    socialSecurityBenefits: 0,
+  });
+}
+
+/**
+ * Returns a copy of a component tax context with extra ordinary income
+ * added (private method)
+ * @param {Object} ctx - Context as for _calculateComponentTax
+ * @param {number} dollars - Extra income
+ * @param {boolean} isInvestmentIncome - Whether the extra income is also NII
+ * @returns {Object} New context
+ * @private
+ */
+function _addIncomeToTaxContext(ctx, dollars, isInvestmentIncome) {
+  return Object.assign({}, ctx, {
+    taxableIncome: ctx.taxableIncome + dollars,
+    modifiedAGI: ctx.modifiedAGI + dollars,
+    netInvestmentIncome: ctx.netInvestmentIncome + (isInvestmentIncome ? dollars : 0),
+  });
+}
+
+/**
+ * Lists the incomes where one component's tax may change slope or jump
+ * (private method)
+ *
+ * Between consecutive breakpoints every component is at most quadratic in
+ * added income (NY's first recapture band multiplies two linear terms;
+ * everything else is linear; _getComponentCurvature gives the quadratic
+ * term), which is what lets getGrossUpIncome solve each segment exactly.
+ *
+ * @param {string} component - Component code from _parseTaxComponents
+ * @param {Object} ctx - Context as for _calculateComponentTax
+ * @returns {{taxableIncome: Array<number>, modifiedAGI: Array<number>}}
+ *     Breakpoints measured in taxable income and in modified AGI
+ * @private
+ */
+function _getComponentBreakpoints(component, ctx) {
+  const { netInvestmentIncome, numberOfChildren, year, filingStatus } = ctx;
+  const thresholds = brackets => brackets.map(([threshold]) => threshold);
+  switch (component) {
+    case 'federal':
+      return { taxableIncome: thresholds(_getBrackets('federal', year, filingStatus)), modifiedAGI: [] };
+    case 'nyc': {
+      const { brackets, householdCredit, schoolTaxCredit } = NYC_TAX_TABLE[year];
+      const levels = thresholds(brackets).concat(
+        householdCredit.map(b => b.upperAgi),
+        schoolTaxCredit.fixedIncomeLimit,
+        schoolTaxCredit.rateReductionIncomeLimit,
+        schoolTaxCredit.rateReductionBreak
+      );
+      return { taxableIncome: levels, modifiedAGI: levels };
+    }
+    case 'yonkers':
+      return _getComponentBreakpoints('ny', ctx);
+    case 'niit': {
+      const threshold = TAX_CONFIG.NIIT.THRESHOLDS[filingStatus];
+      return { taxableIncome: [], modifiedAGI: [threshold, threshold + netInvestmentIncome] };
+    }
+    case 'ctc': {
+      const { PHASE_OUT_THRESHOLDS, PHASE_OUT_RATE, PHASE_OUT_INCREMENT } = TAX_CONFIG.CHILD_TAX_CREDIT;
+      const steps = Math.ceil(CHILD_TAX_CREDIT_AMOUNTS[year].creditPerChild * numberOfChildren / PHASE_OUT_RATE);
+      const levels = [];
+      for (let step = 0; step <= steps; step++) {
+        levels.push(PHASE_OUT_THRESHOLDS[filingStatus] + step * PHASE_OUT_INCREMENT);
+      }
+      return { taxableIncome: [], modifiedAGI: levels };
+    }
+    default:
+      return {
+        taxableIncome: thresholds(_getBrackets(component, year, filingStatus))
+          .concat(STATE_JURISDICTIONS[component].breakpoints(year, filingStatus)),
+        modifiedAGI: [],
+      };
+  }
+}
+
+/**
+ * Returns the coefficient of added income² in one component's tax at a
+ * context (private method)
+ *
+ * Zero for every component but NY (and Yonkers, a share of NY tax) in
+ * NY's first recapture band; see the registry's `curvature` hook.
+ *
+ * @param {string} component - Component code from _parseTaxComponents
+ * @param {Object} ctx - Context as for _calculateComponentTax
+ * @returns {number} Quadratic coefficient of the component's tax
+ * @private
+ */
+function _getComponentCurvature(component, ctx) {
+  const { taxableIncome, year, filingStatus } = ctx;
+  switch (component) {
+    case 'federal':
+    case 'nyc':
+    case 'niit':
+    case 'ctc':
+      return 0;
+    case 'yonkers':
+      return YONKERS_SURCHARGE_RATE[year] * _getComponentCurvature('ny', ctx);
+    default:
+      return STATE_JURISDICTIONS[component].curvature(taxableIncome, year, filingStatus);
+  }
+}
+
+/**
+ * Returns the effective marginal rate on the next `deltaDollars` of income,
+ * with a per-component breakdown
+ *
+ * Unlike getMarginalRate, which reads the statutory bracket rate, this
+ * evaluates the real tax functions before and after adding the extra
+ * income, so it captures NY tax table benefit recapture, CT recapture, the
+ * CA Mental Health Services Tax, the MA millionaire surtax, NIIT crossing
+ * its threshold and the Child Tax Credit phase-out.
+ *
+ * The extra dollars are ordinary income: they raise taxable income and
+ * modified AGI alike, and net investment income only when
+ * `deltaIsInvestmentIncome` is set. NYC and Yonkers use the MFJ tables.
+ *
+ * `options` fields (all optional):
+ *   filingStatus            - default 'mfj'
+ *   modifiedAGI             - MAGI for NIIT, the CTC and NYC; default `income`
+ *   netInvestmentIncome     - NII for NIIT; default 0
+ *   deltaIsInvestmentIncome - TRUE if the extra dollars are NII; default FALSE
+ *   numberOfChildren        - Qualifying children for the CTC; default 0
+ *   socialSecurityBenefits  - Benefits for the year, left out of `income`
+ *                             and modifiedAGI; each component then taxes
+ *                             its share of them (getTaxableSocialSecurity,
+ *                             with modifiedAGI as the other income), so
+ *                             the rate includes benefits the extra dollars
+ *                             make taxable; default 0. If the extra dollars
+ *                             end a state's AGI exemption (CT), the tax on
+ *                             the benefits it covered gets its own
+ *                             '<state> Social Security cliff' row after the
+ *                             state's, counted in the total
+ *
+ * @param {number} income - Taxable income before the extra dollars
+ * @param {number} year - Tax year (2023-2026)
+ * @param {string|Array<*>} jurisdictions - Components to include: 'federal',
+ *     any registered state, 'nyc', 'yonkers', 'niit', 'ctc' (comma-separated
+ *     string or one per cell)
+ * @param {number} deltaDollars - Extra income to evaluate (default 1000)
+ * @param {Object|Array<Array<*>>} options - Object or two-column [name, value] range
+ * @returns {Array<Array<string|number>>} Rows of [component, change in tax,
+ *     effective marginal rate], one per component in input order, then
+ *     'Total'
+ * @throws {Error} If parameters are invalid
+ *
+ * @example
+ * // 2025 MFJ, $330,000: inside NY's recapture window the next $1,000 is
+ * // taxed at 12.34% in NY, not the 6.85% getMarginalRate reports
+ * getEffectiveMarginalRate(330000, 2025, 'federal, ny', 1000);
+ * // → [['Federal', 240, 0.24], ['New York', 123.44, 0.12344], ['Total', 363.44, 0.36344]]
+ */
+function getEffectiveMarginalRate(income, year, jurisdictions, deltaDollars = 1000, options) {
+  return _withEstimateFlag(() => {
+    _validateNonNegativeNumber(income, 'Income');
+    _validateProjectableYear(year);
+    if (typeof deltaDollars !== 'number' || !Number.isFinite(deltaDollars) || deltaDollars <= 0) {
+      throw new Error('Delta dollars must be a positive number');
+    }
+    const components = _parseTaxComponents(jurisdictions);
+    const opts = _parseOptions(options, {
+      filingStatus: 'mfj',
+      modifiedAGI: income,
+      netInvestmentIncome: 0,
+      deltaIsInvestmentIncome: false,
+      numberOfChildren: 0,
+      socialSecurityBenefits: 0,
+    }, 'Options');
+    const filingStatus = _validateFilingStatus(opts.filingStatus);
+    _validateNonNegativeNumber(opts.modifiedAGI, 'Modified AGI');
+    _validateNonNegativeNumber(opts.netInvestmentIncome, 'Net investment income');
+    _validateNonNegativeNumber(opts.socialSecurityBenefits, 'Social Security benefits');
+
+    const before = {
+      taxableIncome: income,
+      modifiedAGI: opts.modifiedAGI,
+      netInvestmentIncome: opts.netInvestmentIncome,
+      numberOfChildren: opts.numberOfChildren,
+      socialSecurityBenefits: opts.socialSecurityBenefits,
+      year,
+      filingStatus,
+    };
+    const after = _addIncomeToTaxContext(before, deltaDollars, opts.deltaIsInvestmentIncome);
+
+    const exempts = (component, ctx) => _socialSecurityInclusion(opts.socialSecurityBenefits,
+      ctx.modifiedAGI, 0, year, filingStatus, component).exempt;
+    const rows = [];
+    let total = 0;
+    for (const component of components) {
+      const label = _TAX_COMPONENT_LABELS[component] || STATE_JURISDICTIONS[component].name;
+      const taxBefore = _calculateComponentTax(component, before);
+      let taxAfter = _calculateComponentTax(component, after);
+      let cliff = 0;
+      if (opts.socialSecurityBenefits > 0 && component in STATE_JURISDICTIONS &&
+          exempts(component, before) && !exempts(component, after)) {
+        const exemptAfter = _calculateComponentTax(component, _addTaxableBenefits(component, after, true));
+        cliff = _roundToCents(taxAfter - exemptAfter);
+        taxAfter = exemptAfter;
+      }
+      const change = _roundToCents(taxAfter - taxBefore);
+      rows.push([label, change, change / deltaDollars]);
+      total += change;
+      if (cliff) {
+        rows.push([`${label} Social Security cliff`, cliff, cliff / deltaDollars]);
+        total += cliff;
+      }
+    }
+    total = _roundToCents(total);
+    rows.push(['Total', total, total / deltaDollars]);
+    return _appendProjectionFlag(rows, year);
+  });
+}
+
+/**
+ * Finds the bracket containing `income` (private method)
+ * @param {Array<Array<number>>} brackets - [threshold, rate] upper-limit brackets
+ * @param {number} income - Income to locate
+ * @returns {{rate: number, top: number|null, nextRate: number|null}}
+ *     Rate on the next dollar, where that bracket ends and the rate after
+ *     it (null in the top bracket)
+ * @private
+ */
+function _findBracket(brackets, income) {
+  const index = brackets.findIndex(([threshold]) => income < threshold);
+  if (index === -1 || index === brackets.length - 1) {
+    return { rate: brackets[brackets.length - 1][1], top: null, nextRate: null };
+  }
+  return { rate: brackets[index][1], top: brackets[index][0], nextRate: brackets[index + 1][1] };
+}
+
+/**
+ * Returns how much more ordinary income fits before the next rate change
+ *
+ * For any jurisdiction: the current bracket rate, where it ends and the
+ * headroom left. For 'federal', also the headroom to the next 0% / 15% /
+ * 20% threshold for qualified dividends and long-term gains (measured in
+ * taxable income), to the NIIT threshold and to the start of the Child
+ * Tax Credit phase-out (both measured in modified AGI). Headroom is blank
+ * in the top bracket and 0 once a threshold is passed.
+ *
+ * @param {number} income - Taxable income
+ * @param {number} year - Tax year (2023-2026)
+ * @param {string} jurisdiction - 'federal' or a registered state
+ * @param {string} filingStatus - Filing status (default 'mfj')
+ * @param {number} modifiedAGI - MAGI for the NIIT and CTC rows (default `income`)
+ * @returns {Array<Array<string|number>>} Label/value rows
+ * @throws {Error} If parameters are invalid
+ *
+ * @example
+ * // 2025 MFJ, $300,000 taxable: 24% bracket ends at $394,600
+ * getBracketHeadroom(300000, 2025, 'federal');
+ * // → [['Marginal rate', 0.24], ['Bracket top', 394600], ['Headroom', 94600],
+ * //    ['Next rate', 0.32], ['Headroom to next preferential rate', 300050],
+ * //    ['Headroom to NIIT threshold', 0], ['Headroom to CTC phase-out', 100000]]
+ */
+function getBracketHeadroom(income, year, jurisdiction, filingStatus = 'mfj', modifiedAGI = income) {
+  return _withEstimateFlag(() => {
+    _validateTaxInputs(income, year, jurisdiction);
+    _validateNonNegativeNumber(modifiedAGI, 'Modified AGI');
+    const status = _validateFilingStatus(filingStatus);
+
+    const { rate, top, nextRate } = _findBracket(_getBrackets(jurisdiction, year, status), income);
+    const rows = [
+      ['Marginal rate', rate],
+      ['Bracket top', top === null ? '' : top],
+      ['Headroom', top === null ? '' : _roundToCents(top - income)],
+      ['Next rate', nextRate === null ? '' : nextRate],
+    ];
+    if (jurisdiction !== 'federal') {
+      return _appendProjectionFlag(rows, year);
+    }
+
+    const preferential = _findBracket(QUALIFIED_DIVIDEND_BRACKETS_BY_STATUS[status][year], income);
+    const niitThreshold = TAX_CONFIG.NIIT.THRESHOLDS[status];
+    const ctcThreshold = TAX_CONFIG.CHILD_TAX_CREDIT.PHASE_OUT_THRESHOLDS[status];
+    rows.push(
+      ['Headroom to next preferential rate', preferential.top === null ? '' : _roundToCents(preferential.top - income)],
+      ['Headroom to NIIT threshold', _roundToCents(Math.max(0, niitThreshold - modifiedAGI))],
+      ['Headroom to CTC phase-out', _roundToCents(Math.max(0, ctcThreshold - modifiedAGI))]
+    );
+    return _appendProjectionFlag(rows, year);
+  });
+}
+
+/**
+ * Plans a Roth conversion that fills income up to a target ceiling
+ *
+ * Returns the largest conversion that keeps income at or under the
+ * ceiling, and the extra tax it costs in each listed jurisdiction. The
+ * conversion is ordinary income: it raises taxable income and modified
+ * AGI dollar for dollar. `target` may be:
+ *   a federal bracket rate (0.24 or "24%") - fill ordinary income (income
+ *                     less preferentialIncome) to the top of that bracket
+ *   'qd0' / 'qd15'  - stay within the 0% / 15% qualified dividend and
+ *                     long-term gain range (taxable income)
+ *   'niit'          - stay at or under the NIIT threshold (MAGI)
+ *   'ctc'           - stay at or under the CTC phase-out start (MAGI)
+ *   a dollar amount (≥ 1) - fill taxable income to that amount
+ *
+ * `options` fields (all optional):
+ *   filingStatus        - default 'mfj'
+ *   modifiedAGI         - MAGI before the conversion; default `income`
+ *   netInvestmentIncome - NII for the 'niit' component; default 0
+ *   numberOfChildren    - Qualifying children for the 'ctc' component; default 0
+ *   preferentialIncome  - Qualified dividends and net capital gain inside
+ *                         `income`; federal tax then includes the gain
+ *                         pushed out of the 0% / 15% range; default 0
+ *   socialSecurityBenefits - Benefits for the year, left out of `income`
+ *                         and modifiedAGI (as for getEffectiveMarginalRate);
+ *                         their federally taxable part counts toward the
+ *                         ceiling, and grows with the conversion; default 0
+ *
+ * @param {number} income - Taxable income before the conversion
+ * @param {number} year - Tax year (2023-2026)
+ * @param {number|string} target - Ceiling to fill to (see above)
+ * @param {string|Array<*>} jurisdictions - Components to cost, as for
+ *     getEffectiveMarginalRate (default 'federal')
+ * @param {Object|Array<Array<*>>} options - Object or two-column [name, value] range
+ * @returns {Array<Array<string|number>>} Rows: 'Conversion amount',
+ *     'Ceiling', one row of extra tax per component, 'Total tax',
+ *     'Average rate' (blank when the amount is 0)
+ * @throws {Error} If parameters are invalid or the target has no ceiling
+ *
+ * @example
+ * // 2025 MFJ, $300,000 taxable: fill the 24% bracket, costed for federal + NY
+ * getRothConversionPlan(300000, 2025, '24%', 'federal, ny');
+ * // → [['Conversion amount', 94600], ['Ceiling', 394600], ['Federal', 22704],
+ * //    ['New York', 9029.9], ['Total tax', 31733.9], ['Average rate', 0.3355]]
+ */
+function getRothConversionPlan(income, year, target, jurisdictions = 'federal', options) {
+  return _withEstimateFlag(() => {
+    _validateNonNegativeNumber(income, 'Income');
+    _validateProjectableYear(year);
+    const components = _parseTaxComponents(jurisdictions);
+    const opts = _parseOptions(options, {
+      filingStatus: 'mfj',
+      modifiedAGI: income,
+      netInvestmentIncome: 0,
+      numberOfChildren: 0,
+      preferentialIncome: 0,
+      socialSecurityBenefits: 0,
+    }, 'Options');
+    const filingStatus = _validateFilingStatus(opts.filingStatus);
+    _validateNonNegativeNumber(opts.modifiedAGI, 'Modified AGI');
+    _validateNonNegativeNumber(opts.netInvestmentIncome, 'Net investment income');
+    _validateNonNegativeNumber(opts.preferentialIncome, 'Preferential income');
+    _validateNonNegativeNumber(opts.socialSecurityBenefits, 'Social Security benefits');
+    if (opts.preferentialIncome > income) {
+      throw new Error('Preferential income cannot exceed income');
+    }
+
+    // Ceiling and the income it's measured in (taxable income or MAGI, less
+    // `offset`).
+    let ceiling;
+    let measuredField = 'taxableIncome';
+    let offset = 0;
+    const code = typeof target === 'string' ? target.trim().toLowerCase() : target;
+    if (code === 'qd0' || code === 'qd15') {
+      const brackets = QUALIFIED_DIVIDEND_BRACKETS_BY_STATUS[filingStatus][year];
+      ceiling = brackets[code === 'qd0' ? 0 : 1][0];
+    } else if (code === 'niit' || code === 'ctc') {
+      ceiling = code === 'niit'
+        ? TAX_CONFIG.NIIT.THRESHOLDS[filingStatus]
+        : TAX_CONFIG.CHILD_TAX_CREDIT.PHASE_OUT_THRESHOLDS[filingStatus];
+      measuredField = 'modifiedAGI';
+    } else {
+      const amount = typeof code === 'string' && /^[\d.]+%$/.test(code) ? parseFloat(code) / 100 : code;
+      if (typeof amount !== 'number' || !Number.isFinite(amount) || amount <= 0) {
+        throw new Error('Target must be a bracket rate, qd0, qd15, niit, ctc or a dollar amount');
+      }
+      if (amount >= 1) {
+        ceiling = amount;
+      } else {
+        const brackets = _getBrackets('federal', year, filingStatus);
+        const index = brackets.findIndex(([, rate]) => Math.abs(rate - amount) < 1e-9);
+        if (index === -1) {
+          throw new Error(`No ${amount * 100}% federal bracket in ${year}`);
+        }
+        if (index === brackets.length - 1) {
+          throw new Error(`The ${amount * 100}% bracket has no top`);
+        }
+        ceiling = brackets[index][0];
+        offset = opts.preferentialIncome;
+      }
+    }
+
+    const before = {
+      taxableIncome: income,
+      modifiedAGI: opts.modifiedAGI,
+      netInvestmentIncome: opts.netInvestmentIncome,
+      numberOfChildren: opts.numberOfChildren,
+      preferentialIncome: opts.preferentialIncome,
+      socialSecurityBenefits: opts.socialSecurityBenefits,
+      year,
+      filingStatus,
+    };
+    const measure = dollars =>
+      _addTaxableBenefits('federal', _addIncomeToTaxContext(before, dollars, false))[measuredField] - offset;
+    let conversion = _roundToCents(Math.max(0, ceiling - measure(0)));
+    if (opts.socialSecurityBenefits > 0) {
+      // Each converted dollar can also make up to 85 cents of benefits
+      // taxable: find the largest conversion, to the cent, still in bounds.
+      let low = 0;
+      let high = Math.round(conversion * 100);
+      while (low < high) {
+        const mid = Math.ceil((low + high) / 2);
+        if (measure(mid / 100) <= ceiling) {
+          low = mid;
+        } else {
+          high = mid - 1;
+        }
+      }
+      conversion = low / 100;
+    }
+    const after = _addIncomeToTaxContext(before, conversion, false);
+
+    const rows = [['Conversion amount', conversion], ['Ceiling', ceiling]];
+    let total = 0;
+    for (const component of components) {
+      const change = _roundToCents(
+        _calculateComponentTax(component, after) - _calculateComponentTax(component, before)
+      );
+      rows.push([_TAX_COMPONENT_LABELS[component] || STATE_JURISDICTIONS[component].name, change]);
+      total += change;
+    }
+    total = _roundToCents(total);
+    rows.push(['Total tax', total]);
+    rows.push(['Average rate', conversion > 0 ? Math.round(total / conversion * 10000) / 10000 : '']);
+    return _appendProjectionFlag(rows, year);
+  });
+}
+
+/**
+ * Solves net(g) = target for the smallest cent g in (a, b] (private method)
+ *
+ * Between breakpoints net income is linear in g, or in NY's first
+ * recapture band quadratic with g² coefficient −curvature. A central
+ * difference about the segment's midpoint gives the slope there exactly
+ * for either shape, so the root is g = mid + u with
+ *   linear:    u = (target − net(mid)) / slope
+ *   quadratic: u the nearer root of net(mid) + slope·u − curvature·u² = target
+ * Sampling only the interior keeps a jump just past `a` (the CTC's steps,
+ * NY's $25M cliff) out of the solve; when net has already jumped past the
+ * target there, the answer is the first cent after `a`. Component taxes
+ * round to cents, so the root is then moved the cent or two onto the
+ * first cent that reaches the target.
+ *
+ * @param {function(number): number} net - Net income for added gross g
+ * @param {number} target - Target net income
+ * @param {number} a - Segment start (exclusive); net(a) < target
+ * @param {number} b - Segment end (inclusive); net(b) ≥ target
+ * @param {number} curvature - Coefficient of g² in the segment's total
+ *     tax (default 0: linear)
+ * @returns {number} Gross to the cent with net(g) ≥ target > net(g − 0.01)
+ * @private
+ */
+function _solveGrossUpSegment(net, target, a, b, curvature = 0) {
+  const firstCent = _roundToCents(Math.floor(a * 100 + 1e-6) / 100 + 0.01);
+  let gross = firstCent;
+  if (b - a >= 1) {
+    const mid = (a + b) / 2;
+    const h = (b - a) / 4;
+    const slope = (net(mid + h) - net(mid - h)) / (2 * h);
+    const shortfall = target - net(mid);
+    // (slope − √disc) / (2 · curvature), in the form that stays exact as
+    // curvature → 0.
+    const disc = Math.max(0, slope * slope - 4 * curvature * shortfall);
+    const root = mid + 2 * shortfall / (slope + Math.sqrt(disc));
+    if (Number.isFinite(root)) {
+      gross = Math.min(b, Math.max(firstCent, Math.ceil(root * 100 - 1e-6) / 100));
+    }
+  }
+
+  while (gross < b && net(gross) < target) {
+    gross = _roundToCents(gross + 0.01);
+  }
+  while (gross - 0.01 > a && net(_roundToCents(gross - 0.01)) >= target) {
+    gross = _roundToCents(gross - 0.01);
+  }
+  return gross;
+}
+
+/**
+ * Returns the gross income needed to net a target amount after tax
+ *
+ * The inverse of getEffectiveMarginalRate: finds the smallest extra gross
+ * income G, stacked on top of `otherIncome`, such that G less the extra
+ * tax it causes equals `targetNet`. Total tax is piecewise linear (or, in
+ * NY's first recapture band, piecewise quadratic) between the breakpoints
+ * each component exposes — bracket thresholds, recapture windows, surtax
+ * thresholds, phase-out steps — so each segment's root is solved in
+ * closed form rather than by goal-seek, then moved the cent or two the
+ * per-component rounding calls for. Discontinuities such as NY's $25M
+ * cliff or the CTC's $1,000 steps are honored: the answer is the first
+ * gross that reaches the target.
+ *
+ * The extra gross is ordinary income and raises taxable income and
+ * modified AGI alike. NYC and Yonkers use the MFJ tables.
+ *
+ * `options` fields (all optional):
+ *   filingStatus            - default 'mfj'
+ *   modifiedAGI             - MAGI before the extra gross; default `otherIncome`
+ *   netInvestmentIncome     - NII before the extra gross; default 0
+ *   grossIsInvestmentIncome - TRUE if the extra gross is NII; default FALSE
+ *   numberOfChildren        - Qualifying children for the CTC; default 0
+ *
+ * @param {number} targetNet - After-tax amount wanted from the extra gross
+ * @param {number} year - Tax year (2023-2026)
+ * @param {string|Array<*>} jurisdictions - Components to include, as for
+ *     getEffectiveMarginalRate
+ * @param {number} otherIncome - Taxable income already earned (default 0)
+ * @param {Object|Array<Array<*>>} options - Object or two-column [name, value] range
+ * @returns {Array<Array<string|number>>} Rows: 'Gross income', one row of
+ *     extra tax per component, 'Total tax', 'Net income', then
+ *     '<jurisdiction> bracket' (statutory rate at the solution) for
+ *     federal and each state
+ * @throws {Error} If parameters are invalid or the target is unreachable
+ *
+ * @example
+ * // 2025 MFJ with $300,000 already earned: gross needed to net $50,000
+ * // after federal and NY tax
+ * getGrossUpIncome(50000, 2025, 'federal, ny', 300000);
+ * // → [['Gross income', 75993.92], ['Federal', 18238.54], ['New York', 7755.38],
+ * //    ['Total tax', 25993.92], ['Net income', 50000], ['Federal bracket', 0.24],
+ * //    ['New York bracket', 0.0685]]
+ */
+function getGrossUpIncome(targetNet, year, jurisdictions, otherIncome = 0, options) {
+  return _withEstimateFlag(() => {
+    _validateNonNegativeNumber(targetNet, 'Target net');
+    _validateNonNegativeNumber(otherIncome, 'Other income');
+    _validateProjectableYear(year);
+    const components = _parseTaxComponents(jurisdictions);
+    const opts = _parseOptions(options, {
+      filingStatus: 'mfj',
+      modifiedAGI: otherIncome,
+      netInvestmentIncome: 0,
+      grossIsInvestmentIncome: false,
+      numberOfChildren: 0,
+    }, 'Options');
+    const filingStatus = _validateFilingStatus(opts.filingStatus);
+    _validateNonNegativeNumber(opts.modifiedAGI, 'Modified AGI');
+    _validateNonNegativeNumber(opts.netInvestmentIncome, 'Net investment income');
+
+    const base = {
+      taxableIncome: otherIncome,
+      modifiedAGI: opts.modifiedAGI,
+      netInvestmentIncome: opts.netInvestmentIncome,
+      numberOfChildren: opts.numberOfChildren,
+      year,
+      filingStatus,
+    };
+    const baseTaxes = components.map(component => _calculateComponentTax(component, base));
+    const extraTaxes = gross => {
+      const ctx = _addIncomeToTaxContext(base, gross, opts.grossIsInvestmentIncome);
+      return components.map((component, i) => _calculateComponentTax(component, ctx) - baseTaxes[i]);
+    };
+    // Rounded as the result rows are, so the answer's 'Net income' row is
+    // exactly what the solver saw.
+    const net = gross => _roundToCents(gross - extraTaxes(gross).map(_roundToCents).reduce((sum, tax) => sum + tax, 0));
+
+    // Breakpoints, converted to amounts of extra gross.
+    const points = new Set();
+    for (const component of components) {
+      const levels = _getComponentBreakpoints(component, base);
+      for (const level of levels.taxableIncome) {
+        points.add(level - otherIncome);
+      }
+      for (const level of levels.modifiedAGI) {
+        points.add(level - opts.modifiedAGI);
+      }
+    }
+    const sorted = [...points].filter(g => g > 0 && Number.isFinite(g)).sort((x, y) => x - y);
+
+    // Quadratic coefficient of the extra tax over a segment, read at its
+    // midpoint (nonzero only in NY's first recapture band).
+    const curvature = (start, end) => {
+      const ctx = _addIncomeToTaxContext(base, (start + end) / 2, opts.grossIsInvestmentIncome);
+      return components.reduce((sum, component) => sum + _getComponentCurvature(component, ctx), 0);
+    };
+
+    // The first segment whose end reaches the target holds the answer.
+    let gross = targetNet === 0 ? 0 : null;
+    let start = 0;
+    for (const end of sorted) {
+      if (gross !== null) {
+        break;
+      }
+      if (net(end) >= targetNet) {
+        gross = _solveGrossUpSegment(net, targetNet, start, end, curvature(start, end));
+      }
+      start = end;
+    }
+    if (gross === null) {
+      // Past the last breakpoint every component is linear; double the
+      // segment until it reaches the target (60 doublings pass any income
+      // the tables cover, so a miss means the combined rate is 100%+).
+      let end = Math.max(start * 2, start + targetNet * 2, 1000);
+      for (let i = 0; i < 60 && net(end) < targetNet; i++) {
+        end *= 2;
+      }
+      if (net(end) < targetNet) {
+        throw new Error('Target net is not reachable');
+      }
+      gross = _solveGrossUpSegment(net, targetNet, start, end, curvature(start, end));
+    }
+
+    const taxes = extraTaxes(gross).map(_roundToCents);
+    const totalTax = _roundToCents(taxes.reduce((sum, tax) => sum + tax, 0));
+    const rows = [['Gross income', gross]];
+    components.forEach((component, i) => {
+      rows.push([_TAX_COMPONENT_LABELS[component] || STATE_JURISDICTIONS[component].name, taxes[i]]);
+    });
+    rows.push(['Total tax', totalTax]);
+    rows.push(['Net income', _roundToCents(gross - totalTax)]);
+    for (const component of components) {
+      if (component === 'federal' || component in STATE_JURISDICTIONS) {
+        const label = _TAX_COMPONENT_LABELS[component] || STATE_JURISDICTIONS[component].name;
+        rows.push([`${label} bracket`, getMarginalRate(otherIncome + gross, year, component, filingStatus)]);
+      }
+    }
+    return _appendProjectionFlag(rows, year);
+  });
+}
+
+/**
+ * Helper function to calculate preferential tax rate (0%, 15%, 20%)
+ * Used for both qualified dividends and long-term capital gains
+ *
+ * This function correctly handles bracket-spanning: when preferential income
+ * pushes total income across bracket boundaries, different portions are taxed
+ * at different rates. Ordinary income fills lower brackets first, then
+ * preferential income is stacked on top and taxed progressively.
+ *
+ * @param {number} amount - Amount subject to preferential tax rate
+ * @param {number} totalTaxableIncome - Total taxable income (including preferential amount)
+ * @param {number} year - Tax year (2023-2026)
+ * @param {string} assetType - Description of asset type for error messages
+ * @param {string} filingStatus - Filing status (default 'mfj')
+ * @returns {number} Tax owed on the amount
+ * @throws {Error} If parameters are invalid
+ * @private
+ */
+function _calculatePreferentialTax(amount, totalTaxableIncome, year, assetType, filingStatus = 'mfj') {
+  // Validate inputs
+  _validateNonNegativeNumber(amount, assetType);
+  _validateNonNegativeNumber(totalTaxableIncome, 'Total taxable income');
+  _validateProjectableYear(year);
+  const status = _validateFilingStatus(filingStatus);
+
+  if (amount > totalTaxableIncome) {
+    throw new Error(`${assetType} (${amount}) cannot exceed total taxable income (${totalTaxableIncome})`);
+  }
+
+  const brackets = QUALIFIED_DIVIDEND_BRACKETS_BY_STATUS[status][year];
+  if (!brackets) {
+    throw new Error(`Tax brackets not available for year ${year}`);
+  }
+
+  // Ordinary income fills brackets first; preferential income stacks on top
+  const ordinaryIncome = totalTaxableIncome - amount;
+  let totalTax = 0;
+  let remainingAmount = amount;
+  let previousThreshold = 0;
+
+  for (const [threshold, rate] of brackets) {
+    // Calculate space in this bracket after ordinary income
+    const bracketStart = Math.max(ordinaryIncome, previousThreshold);
+    const bracketSpace = Math.max(0, threshold - bracketStart);
+
+    // Calculate how much preferential income fits in this bracket
+    const amountInBracket = Math.min(remainingAmount, bracketSpace);
+
+    if (amountInBracket > 0) {
+      totalTax += amountInBracket * rate;
+      remainingAmount -= amountInBracket;
+    }
+
+    if (remainingAmount <= 0) break;
+    previousThreshold = threshold;
+  }
+
+  return totalTax;
+}
+
+/**
+ * Calculates federal qualified dividend tax
+ * Qualified dividends are taxed at preferential capital gains rates (0%, 15%, or 20%)
+ * based on total taxable income rather than the dividend amount
+ *
+ * @param {number} qualifiedDividends - Total qualified dividend income
+ * @param {number} totalTaxableIncome - Total taxable income (including dividends)
+ * @param {number} year - Tax year (2023-2026)
+ * @param {string} filingStatus - 'single', 'mfj', 'mfs', 'hoh' or 'qss' (default 'mfj')
+ * @returns {number} Federal tax owed on qualified dividends
+ * @throws {Error} If parameters are invalid
+ *
+ * @example
+ * // Example: $50,000 in qualified dividends, $200,000 total income in 2024
+ * // Total income of $200,000 falls in the 15% bracket
+ * const tax = getQualifiedDividendTax(50000, 200000, 2024); // Returns $7,500
+ */
+function getQualifiedDividendTax(qualifiedDividends, totalTaxableIncome, year, filingStatus = 'mfj') {
+  return _withEstimateFlag(() => _roundToCents(
+    _calculatePreferentialTax(qualifiedDividends, totalTaxableIncome, year, 'Qualified dividends', filingStatus)
+  ));
+}
+
+/**
+ * Calculates federal long-term capital gains tax
+ * Long-term capital gains (assets held > 1 year) are taxed at preferential rates
+ * (0%, 15%, or 20%) based on total taxable income, same as qualified dividends
+ *
+ * @param {number} longTermCapitalGains - Total long-term capital gains
+ * @param {number} totalTaxableIncome - Total taxable income (including gains)
+ * @param {number} year - Tax year (2023-2026)
+ * @param {string} filingStatus - 'single', 'mfj', 'mfs', 'hoh' or 'qss' (default 'mfj')
+ * @returns {number} Federal tax owed on long-term capital gains
+ * @throws {Error} If parameters are invalid
+ *
+ * @example
+ * // Example: $100,000 in long-term capital gains, $200,000 total income in 2024
+ * // Total income of $200,000 falls in the 15% bracket
+ * const tax = getLongTermCapitalGainsTax(100000, 200000, 2024); // Returns $15,000
+ */
+function getLongTermCapitalGainsTax(longTermCapitalGains, totalTaxableIncome, year, filingStatus = 'mfj') {
+  return _withEstimateFlag(() => _roundToCents(
+    _calculatePreferentialTax(longTermCapitalGains, totalTaxableIncome, year, 'Long-term capital gains', filingStatus)
+  ));
+}
+
+/**
+ * Computes the Schedule D Tax Worksheet lines shared by the regular-tax
+ * calculation and Form 6251 Part III (private method)
+ * @param {number} taxableIncome - Taxable income (worksheet line 1)
+ * @param {number} qualifiedDividends - Qualified dividends (line 2)
+ * @param {number} netCapitalGain - Net capital gain (line 7)
+ * @param {number} unrecaptured1250Gain - Unrecaptured §1250 gain
+ * @param {number} collectiblesGain - 28% rate gain
+ * @param {Array<Array<number>>} brackets - Federal ordinary brackets for the status/year
+ * @returns {{gainAndDividends: number, preferential: number,
+ *     ordinaryWithMaxRateGain: number, ordinaryBase: number}} Lines 10, 13, 14 and 21
+ * @private
+ */
+function _getCapitalGainsWorksheetLines(taxableIncome, qualifiedDividends, netCapitalGain,
+    unrecaptured1250Gain, collectiblesGain, brackets) {
+  const gainAndDividends = qualifiedDividends + netCapitalGain;                         // line 10
+  const maxRateGain = Math.min(netCapitalGain, collectiblesGain + unrecaptured1250Gain); // line 12
+  const preferential = gainAndDividends - maxRateGain;                                  // line 13
+  const ordinaryWithMaxRateGain = Math.max(0, taxableIncome - preferential);            // line 14
+  const ordinaryOnly = Math.max(0, taxableIncome - gainAndDividends);                   // line 18
+
+  // Lines 19–21: 25%/28% gain below the top of the 24% bracket is taxed
+  // at ordinary rates.
+  const top24 = brackets.find(([, rate]) => rate === 0.24)[0];
+  const ordinaryBase = Math.max(
+    ordinaryOnly,
+    Math.min(ordinaryWithMaxRateGain, Math.min(taxableIncome, top24))
+  );                                                                                    // line 21
+
+  return { gainAndDividends, preferential, ordinaryWithMaxRateGain, ordinaryBase };
+}
+
+/**
+ * Calculates regular tax on taxable income that includes preferential
+ * income (private method)
+ *
+ * Transcribes the Schedule D Tax Worksheet (Form 1040 instructions),
+ * which reduces to the Qualified Dividends and Capital Gain Tax Worksheet
+ * when there is no 25% or 28% gain. Form 4952 investment-interest
+ * elections (lines 3–5, 8) are taken as zero. Stacking order:
+ *   1. ordinary income, plus any 25%/28% gain that fits at or below the
+ *      top of the 24% bracket (taxed at ordinary rates — cheaper there)
+ *   2. 0%/15%/20% gain, via _calculatePreferentialTax
+ *   3. remaining unrecaptured §1250 gain at 25%
+ *   4. remaining collectibles gain at 28%
+ * The result is capped at ordinary tax on all taxable income (line 47).
+ *
+ * @param {number} taxableIncome - Taxable income (worksheet line 1)
+ * @param {number} qualifiedDividends - Qualified dividends (line 2)
+ * @param {number} netCapitalGain - Net capital gain (line 7)
+ * @param {number} unrecaptured1250Gain - Unrecaptured §1250 gain (Schedule D line 19)
+ * @param {number} collectiblesGain - 28% rate gain (Schedule D line 18)
+ * @param {number} year - Tax year (already validated)
+ * @param {string} filingStatus - Normalized filing status
+ * @returns {number} Tax (unrounded)
+ * @private
+ */
+function _calculateCapitalGainsWorksheetTax(taxableIncome, qualifiedDividends, netCapitalGain,
+    unrecaptured1250Gain, collectiblesGain, year, filingStatus) {
+  const brackets = FEDERAL_BRACKETS_BY_STATUS[filingStatus][year];
+  const { UNRECAPTURED_1250, COLLECTIBLES } = TAX_CONFIG.CAPITAL_GAINS_MAX_RATES;
+  const { gainAndDividends, preferential, ordinaryBase } = _getCapitalGainsWorksheetLines(
+    taxableIncome, qualifiedDividends, netCapitalGain,
+    unrecaptured1250Gain, collectiblesGain, brackets
+  );
+
+  const stackedPreferential = Math.min(taxableIncome, preferential);                    // line 23
+  const preferentialTax = _calculatePreferentialTax(
+    stackedPreferential, ordinaryBase + stackedPreferential, year, 'Preferential income', filingStatus
+  );                                                                                    // lines 22–34
+
+  const unrecapturedTaxed = Math.max(
+    0,
+    Math.min(netCapitalGain, unrecaptured1250Gain) -
+      Math.max(0, gainAndDividends + ordinaryBase - taxableIncome)
+  );                                                                                    // line 39
+  const collectiblesTaxed = Math.max(
+    0,
+    taxableIncome - ordinaryBase - stackedPreferential - unrecapturedTaxed
+  );                                                                                    // line 42
+
+  const worksheetTax = _calculateProgressiveTax(brackets, ordinaryBase) +
+    preferentialTax +
+    unrecapturedTaxed * UNRECAPTURED_1250 +
+    collectiblesTaxed * COLLECTIBLES;                                                   // line 45
+
+  return Math.min(worksheetTax, _calculateProgressiveTax(brackets, taxableIncome));   // line 47
+}
+
+/**
+ * Calculates total federal income tax (Form 1040 line 16) on taxable
+ * income that includes qualified dividends and net capital gain.
+ *
+ * Unlike adding getFederalIncomeTax to getQualifiedDividendTax /
+ * getLongTermCapitalGainsTax — which taxes the preferential slice twice —
+ * this taxes only the ordinary portion at bracket rates and stacks the
+ * preferential portion on top at 0% / 15% / 20%. Unrecaptured §1250 gain
+ * (max 25%) and collectibles gain (max 28%) are handled as on the Schedule
+ * D Tax Worksheet; both must be included in `netCapitalGain`.
+ *
+ * `netCapitalGain` can instead be the raw Schedule D amounts, netted as
+ * by getCapitalGainNetting: an object or two-column range of
+ * shortTermGains, shortTermLosses, longTermGains, longTermLosses,
+ * shortTermCarryforward and longTermCarryforward (missing ones are 0).
+ * `taxableIncome` then excludes capital gains and losses; the netted gain,
+ * or the deductible loss, is added to it.
+ *
+ * @param {number} taxableIncome - Total taxable income (Form 1040 line 15), including dividends and gains
+ * @param {number} qualifiedDividends - Qualified dividends (Form 1040 line 3a)
+ * @param {number|Object|Array<Array<*>>} netCapitalGain - Net long-term capital gain in excess of
+ *     net short-term capital loss (smaller of Schedule D line 15 or 16; 0 if either is a loss),
+ *     or the raw amounts to net (see above)
+ * @param {number} year - Tax year (2023-2026)
+ * @param {string} filingStatus - 'single', 'mfj', 'mfs', 'hoh' or 'qss' (default 'mfj')
+ * @param {number} unrecaptured1250Gain - Unrecaptured §1250 gain (Schedule D line 19, default 0)
+ * @param {number} collectiblesGain - 28% rate gain (Schedule D line 18, default 0)
+ * @returns {number} Federal income tax owed
+ * @throws {Error} If parameters are invalid
+ *
+ * @example
+ * // 2025 MFJ: $300,000 taxable income of which $50,000 qualified dividends
+ * // and $50,000 long-term gain. Ordinary tax on $200,000 ($33,828) plus
+ * // 15% × $100,000.
+ * getFederalTaxWithCapitalGains(300000, 50000, 50000, 2025); // → 48828
+ *
+ * @example
+ * // The same, from $250,000 of other taxable income and raw gains: a
+ * // $60,000 long-term gain less a $10,000 short-term loss nets to $50,000.
+ * getFederalTaxWithCapitalGains(250000, 50000,
+ *     [['longTermGains', 60000], ['shortTermLosses', 10000]], 2025); // → 48828
+ */
+function getFederalTaxWithCapitalGains(taxableIncome, qualifiedDividends, netCapitalGain, year,
+    filingStatus = 'mfj', unrecaptured1250Gain = 0, collectiblesGain = 0) {
+  return _withEstimateFlag(() => {
+    _validateNonNegativeNumber(taxableIncome, 'Taxable income');
+    _validateNonNegativeNumber(qualifiedDividends, 'Qualified dividends');
+    _validateNonNegativeNumber(unrecaptured1250Gain, 'Unrecaptured section 1250 gain');
+    _validateNonNegativeNumber(collectiblesGain, 'Collectibles gain');
+    _validateProjectableYear(year);
+    const status = _validateFilingStatus(filingStatus);
+
+    let income = taxableIncome;
+    let gain = netCapitalGain;
+    if (netCapitalGain !== null && typeof netCapitalGain === 'object') {
+      const netting = _netCapitalGainAmounts(netCapitalGain, status, 'Net capital gain');
+      income = Math.max(0, _roundToCents(taxableIncome + netting.includedInIncome));
+      gain = netting.netCapitalGain;
+    } else {
+      _validateNonNegativeNumber(netCapitalGain, 'Net capital gain');
+    }
+
+    return _roundToCents(_calculateCapitalGainsWorksheetTax(
+      income, qualifiedDividends, gain,
+      unrecaptured1250Gain, collectiblesGain, year, status
+    ));
+  });
+}
+
+/**
+ * Calculates Net Investment Income Tax (NIIT)
+ * NIIT is a 3.8% surtax on investment income for high earners, introduced by the
+ * Affordable Care Act in 2013. It applies when modified AGI exceeds $250,000
+ * (MFJ / QSS), $200,000 (single / HOH) or $125,000 (MFS).
+ *
+ * The tax is calculated as 3.8% of the LESSER of:
+ * 1. Net investment income (dividends, capital gains, interest, passive rental income, etc.)
+ * 2. The amount by which modified AGI exceeds the filing-status threshold
+ *
+ * Note: NIIT rate and thresholds have remained unchanged since 2013.
+ *
+ * @param {number} netInvestmentIncome - Total net investment income (dividends, capital gains, interest, etc.)
+ * @param {number} modifiedAGI - Modified Adjusted Gross Income (typically same as AGI)
+ * @param {number} year - Tax year (2013 or later)
+ * @param {string} filingStatus - 'single', 'mfj', 'mfs', 'hoh' or 'qss' (default 'mfj')
+ * @returns {number} Net Investment Income Tax owed
+ * @throws {Error} If parameters are invalid
+ *
+ * @example
+ * // Example 1: $100,000 investment income, $300,000 MAGI
+ * // MAGI exceeds threshold by $50,000, which is less than investment income
+ * const tax1 = getNetInvestmentIncomeTax(100000, 300000, 2024); // Returns $1,900 (3.8% of $50,000)
+ *
+ * @example
+ * // Example 2: $30,000 investment income, $400,000 MAGI
+ * // MAGI exceeds threshold by $150,000, but investment income is only $30,000
+ * const tax2 = getNetInvestmentIncomeTax(30000, 400000, 2024); // Returns $1,140 (3.8% of $30,000)
+ *
+ * @example
+ * // Example 3: $50,000 investment income, $200,000 MAGI
+ * // MAGI does not exceed threshold, so no NIIT
+ * const tax3 = getNetInvestmentIncomeTax(50000, 200000, 2024); // Returns $0
+ */
+function getNetInvestmentIncomeTax(netInvestmentIncome, modifiedAGI, year, filingStatus = 'mfj') {
+  // Validate inputs
+  _validateNonNegativeNumber(netInvestmentIncome, 'Net investment income');
+  _validateNonNegativeNumber(modifiedAGI, 'Modified AGI');
+  _validateYear(year, 2013); // NIIT introduced in 2013
+  const status = _validateFilingStatus(filingStatus);
+
+  const { RATE } = TAX_CONFIG.NIIT;
+  const THRESHOLD = TAX_CONFIG.NIIT.THRESHOLDS[status];
+
+  // Calculate amount by which MAGI exceeds threshold
+  const excessIncome = Math.max(0, modifiedAGI - THRESHOLD);
+
+  // NIIT applies to the lesser of net investment income or excess income
+  const taxableAmount = Math.min(netInvestmentIncome, excessIncome);
+
+  // Apply 3.8% rate
+  return _roundToCents(taxableAmount * RATE);
+}
+
+/**
+ * Calculates Child Tax Credit
+ * The CTC provides tax relief for families with qualifying children under age 17.
+ *
+ * Credit amounts and refundability:
+ * - 2023: $2,000 per child (up to $1,600 refundable)
+ * - 2024: $2,000 per child (up to $1,700 refundable)
+ * - 2025-2026: $2,200 per child (up to $1,700 refundable)
+ *
+ * The credit phases out at $50 per $1,000 (or fraction thereof) of modified AGI
+ * exceeding $400,000 for married filing jointly ($200,000 for all other statuses).
+ *
+ * Note: The One Big Beautiful Bill Act (OBBBA, July 2025) made the enhanced CTC
+ * permanent and indexed for inflation starting 2026. Phase-out thresholds remain
+ * permanently at $400,000 MFJ / $200,000 other.
+ *
+ * @param {number} numberOfChildren - Number of qualifying children under age 17
+ * @param {number} modifiedAGI - Modified Adjusted Gross Income
+ * @param {number} year - Tax year (2023-2026)
+ * @param {string} filingStatus - 'single', 'mfj', 'mfs', 'hoh' or 'qss' (default 'mfj')
+ * @returns {number} Child Tax Credit amount (before considering tax liability)
+ * @throws {Error} If parameters are invalid
+ *
+ * @example
+ * // Example 1: 2 children, $300,000 MAGI in 2024 (below phase-out threshold)
+ * const credit1 = getChildTaxCredit(2, 300000, 2024); // Returns $4,000
+ *
+ * @example
+ * // Example 2: 3 children, $450,000 MAGI in 2025 (above phase-out threshold)
+ * // Excess: $50,000 / $1,000 = 50 increments × $50 = $2,500 reduction
+ * const credit2 = getChildTaxCredit(3, 450000, 2025); // Returns $4,100 ($6,600 - $2,500)
+ *
+ * @example
+ * // Example 3: 1 child, $600,000 MAGI in 2026 (high income)
+ * // Excess: $200,000 / $1,000 = 200 increments × $50 = $10,000 reduction
+ * // Credit fully phased out (reduction exceeds credit amount)
+ * const credit3 = getChildTaxCredit(1, 600000, 2026); // Returns $0
+ */
+function getChildTaxCredit(numberOfChildren, modifiedAGI, year, filingStatus = 'mfj') {
+  return _withEstimateFlag(() => {
+    // Validate inputs
+    if (typeof numberOfChildren !== 'number' || numberOfChildren < 0 || !Number.isInteger(numberOfChildren)) {
+      throw new Error('Number of children must be a non-negative integer');
+    }
+
+    _validateNonNegativeNumber(modifiedAGI, 'Modified AGI');
+    _validateProjectableYear(year);
+    const status = _validateFilingStatus(filingStatus);
+
+    // If no children, return 0
+    if (numberOfChildren === 0) {
+      return 0;
+    }
+
+    // Get credit amounts for the year
+    const creditData = CHILD_TAX_CREDIT_AMOUNTS[year];
+    if (!creditData) {
+      throw new Error(`Child Tax Credit amounts not available for year ${year}`);
+    }
+
+    // Calculate base credit
+    const baseCredit = creditData.creditPerChild * numberOfChildren;
+
+    // Get phase-out parameters
+    const { PHASE_OUT_RATE, PHASE_OUT_INCREMENT } = TAX_CONFIG.CHILD_TAX_CREDIT;
+    const PHASE_OUT_THRESHOLD = TAX_CONFIG.CHILD_TAX_CREDIT.PHASE_OUT_THRESHOLDS[status];
+
+    // Calculate phase-out reduction
+    if (modifiedAGI <= PHASE_OUT_THRESHOLD) {
+      // Below threshold, no phase-out
+      return baseCredit;
+    }
+
+    // Calculate excess income over threshold
+    const excessIncome = modifiedAGI - PHASE_OUT_THRESHOLD;
+
+    // Calculate number of $1,000 increments (round up for any fraction)
+    const increments = Math.ceil(excessIncome / PHASE_OUT_INCREMENT);
+
+    // Calculate total reduction
+    const reduction = increments * PHASE_OUT_RATE;
+
+    // Apply reduction, but credit cannot go below zero
+    const finalCredit = Math.max(0, baseCredit - reduction);
+
+    return finalCredit;
+  });
+}
+
+/**
+ * Returns the NY State allowed deduction for MFJ: the greater of the
+ * income-phased itemized deduction or the standard deduction.
+ *
+ * Encodes Form IT-196 lines 46–47 (Itemized deduction adjustment and
+ * after adjustment) plus the IT-201-I standard deduction table — see
+ * _NY_DEDUCTION_BANDS_MFJ for the transcribed coefficients
+ * and sources.
+ *
+ * The caller must pass `itemizedTotal` as the would-be itemized amount
+ * *before* the NY income-based phaseout (equivalent to IT-196 line 45),
+ * and `charitable` as total gifts to charity (IT-196 line 19). The top
+ * two bands replace the allowed deduction entirely with a fraction of
+ * charitable contributions.
+ *
+ * @param {number} nyAgi - NY Adjusted Gross Income (IT-201 line 33)
+ * @param {number} itemizedTotal - Itemized deductions before the NY
+ *     income-based phaseout (IT-196 line 45)
+ * @param {number} charitable - Total gifts to charity (IT-196 line 19)
+ * @param {number} year - Tax year (2023-2026; 2026 rolls forward from 2025)
+ * @returns {number} Allowed deduction (standard or phased itemized,
+ *     whichever is greater).
+ * @throws {Error} If parameters are invalid or the year isn't supported.
+ *
+ * @example
+ * // 2025 MFJ, NYAGI $1,042,100, itemized $53,230 (incl. $4,456 charitable):
+ * // NYAGI > $1M → allowed itemized = 50% × $4,456 = $2,228, less than
+ * // the $16,050 MFJ standard, so the standard wins.
+ * getNYDeductionMFJ(1042100, 53230, 4456, 2025); // → 16050
+ */
+function getNYDeductionMFJ(nyAgi, itemizedTotal, charitable, year) {
+  return _withEstimateFlag(() => {
+    _validateNonNegativeNumber(nyAgi, 'NY AGI');
+    _validateNonNegativeNumber(itemizedTotal, 'Itemized total');
+    _validateNonNegativeNumber(charitable, 'Charitable');
+    _validateYear(year);
+
+    const bands = _NY_DEDUCTION_PHASEOUT_MFJ[year];
+    const standard = _NY_STANDARD_DEDUCTION_MFJ[year];
+    if (!bands || standard === undefined) {
+      throw new Error(
+        `NY itemized deduction phaseout (MFJ) not available for year ${year}`
+      );
+    }
+
+    const band = bands.find(b => nyAgi <= b.upperAgi);
+    const phased = band.apply(nyAgi, itemizedTotal, charitable);
+    return phased > standard ? _roundToCents(phased) : standard;
+  });
+}
+
+/**
+ * Calculates North Carolina taxable income from AGI
+ *
+ * Subtracts the greater of the NC standard deduction or `itemized`, then
+ * the NC child deduction for each qualifying child at the per-child amount
+ * for the filer's AGI band (D-400 Schedule S Part B). `itemized` must
+ * already be on NC terms (mortgage interest and property tax capped at
+ * $20,000 combined, plus charitable and medical).
+ *
+ * @param {number} agi - Federal AGI as adjusted for NC
+ * @param {number} numberOfChildren - Qualifying children under 17
+ * @param {number} itemized - NC itemized deductions (0 to take the standard)
+ * @param {number} year - Tax year (2023-2026)
+ * @param {string} filingStatus - Filing status (default 'mfj')
+ * @returns {number} NC taxable income (never below zero)
+ * @throws {Error} If parameters are invalid or the year isn't supported
+ *
+ * @example
+ * // 2025 MFJ, AGI $90,000, two children: 90,000 − 25,500 − 2 × 1,500
+ * getNCTaxableIncome(90000, 2, 0, 2025); // → 61500
+ */
+function getNCTaxableIncome(agi, numberOfChildren, itemized, year, filingStatus = 'mfj') {
+  _validateNonNegativeNumber(agi, 'AGI');
+  _validateNonNegativeNumber(numberOfChildren, 'Number of children');
+  _validateNonNegativeNumber(itemized, 'Itemized');
+  const status = _validateFilingStatus(filingStatus);
+  if (!Number.isInteger(numberOfChildren)) {
+    throw new Error('Number of children must be a whole number');
+  }
+
+  const deduction = Math.max(getStateStandardDeduction(year, 'nc', status), itemized);
+  const band = NC_CHILD_DEDUCTION[year][status].find(([upperAgi]) => agi <= upperAgi);
+  const childDeduction = band ? band[1] * numberOfChildren : 0;
+  return _roundToCents(Math.max(0, agi - deduction - childDeduction));
+}
+
+/**
+ * Calculates North Carolina income tax starting from AGI
+ * Chains getNCTaxableIncome into getStateIncomeTax
+ * @param {number} agi - Federal AGI as adjusted for NC
+ * @param {number} numberOfChildren - Qualifying children under 17
+ * @param {number} itemized - NC itemized deductions (0 to take the standard)
+ * @param {number} year - Tax year (2023-2026)
+ * @param {string} filingStatus - Filing status (default 'mfj')
+ * @returns {number} NC income tax owed
+ * @throws {Error} If parameters are invalid or the year isn't supported
+ */
+function getNCIncomeTaxFromAGI(agi, numberOfChildren, itemized, year, filingStatus = 'mfj') {
+  const taxableIncome = getNCTaxableIncome(agi, numberOfChildren, itemized, year, filingStatus);
+  return getStateIncomeTax(taxableIncome, year, 'nc', filingStatus);
+}
+
+/**
+ * Calculates the California allowed deduction for MFJ filers
+ *
+ * Applies the CA itemized deduction limitation (Schedule CA (540) Part II
+ * line 29 worksheet): itemized deductions shrink by the lesser of 6% of
+ * federal AGI over the threshold ($504,411 in 2025) or 80% of the
+ * deductions subject to the limitation. Medical expenses, investment
+ * interest and casualty/theft/gambling losses are not limited; pass them
+ * as `excludedItemized` (they must also be included in `itemizedTotal`).
+ * Returns whichever of the limited itemized total or the CA standard
+ * deduction is greater.
+ *
+ * `itemizedTotal` must already be on CA terms (no state income tax, no
+ * federal SALT cap).
+ *
+ * @param {number} caAgi - Federal AGI as adjusted for CA (540 line 17)
+ * @param {number} itemizedTotal - CA itemized deductions before the limitation
+ * @param {number} year - Tax year (2023-2026; 2026 estimated)
+ * @param {number} excludedItemized - Portion of itemizedTotal not subject
+ *     to the limitation (default 0)
+ * @returns {number} Allowed deduction (standard or limited itemized,
+ *     whichever is greater)
+ * @throws {Error} If parameters are invalid or the year isn't supported
+ *
+ * @example
+ * // 2025 MFJ, AGI $700,000, itemized $60,000:
+ * // 6% × (700,000 − 504,411) = 11,735.34 < 80% × 60,000
+ * getCAAllowedDeductionMFJ(700000, 60000, 2025); // → 48264.66
+ */
+function getCAAllowedDeductionMFJ(caAgi, itemizedTotal, year, excludedItemized = 0) {
+  return _withEstimateFlag(() => {
+    _validateNonNegativeNumber(caAgi, 'CA AGI');
+    _validateNonNegativeNumber(itemizedTotal, 'Itemized total');
+    _validateNonNegativeNumber(excludedItemized, 'Excluded itemized');
+    _validateYear(year);
+    if (excludedItemized > itemizedTotal) {
+      throw new Error('Excluded itemized cannot exceed itemized total');
+    }
+
+    const standard = getStateStandardDeduction(year, 'ca');
+    const threshold = CA_EXEMPTION_CREDITS[year].phaseOutThresholdMFJ;
+    const reduction = Math.min(
+      _CA_ITEMIZED_LIMITATION_RATE * Math.max(0, caAgi - threshold),
+      _CA_ITEMIZED_LIMITATION_MAX_RATE * (itemizedTotal - excludedItemized)
+    );
+    const limited = itemizedTotal - reduction;
+    return limited > standard ? _roundToCents(limited) : standard;
+  });
+}
+
+/**
+ * Calculates California personal and dependent exemption credits for MFJ
+ * filers after the AGI phase-out
+ *
+ * Two personal credits plus one per dependent; each is reduced by $6 for
+ * every $2,500 (or fraction) of federal AGI over the threshold, but not
+ * below zero (Form 540 line 32 worksheet).
+ *
+ * @param {number} caAgi - Federal AGI as adjusted for CA (540 line 17)
+ * @param {number} numberOfDependents - Dependents claimed
+ * @param {number} year - Tax year (2023-2026; 2026 estimated)
+ * @returns {number} Total exemption credits
+ * @throws {Error} If parameters are invalid or the year isn't supported
+ *
+ * @example
+ * getCAExemptionCreditsMFJ(200000, 2, 2025); // → 2 × 153 + 2 × 475 = 1256
+ */
+function getCAExemptionCreditsMFJ(caAgi, numberOfDependents, year) {
+  return _withEstimateFlag(() => {
+    _validateNonNegativeNumber(caAgi, 'CA AGI');
+    _validateNonNegativeNumber(numberOfDependents, 'Number of dependents');
+    _validateYear(year);
+    if (!Number.isInteger(numberOfDependents)) {
+      throw new Error('Number of dependents must be a whole number');
+    }
+
+    const { personal, dependent, phaseOutThresholdMFJ } = CA_EXEMPTION_CREDITS[year];
+    const steps = Math.ceil(Math.max(0, caAgi - phaseOutThresholdMFJ) / _CA_EXEMPTION_PHASE_OUT_STEP_MFJ);
+    const reduction = steps * _CA_EXEMPTION_PHASE_OUT_REDUCTION;
+    return 2 * Math.max(0, personal - reduction) +
+      numberOfDependents * Math.max(0, dependent - reduction);
+  });
+}
+
+/**
+ * Calculates California income tax for MFJ filers starting from AGI
+ *
+ * Chains getCAAllowedDeductionMFJ into Schedule Y, subtracts
+ * getCAExemptionCreditsMFJ from the bracketed tax (not below zero), then
+ * adds the Mental Health Services Tax, which exemption credits don't
+ * offset.
+ *
+ * @param {number} caAgi - Federal AGI as adjusted for CA (540 line 17)
+ * @param {number} itemizedTotal - CA itemized deductions before the limitation
+ * @param {number} numberOfDependents - Dependents claimed
+ * @param {number} year - Tax year (2023-2026; 2026 estimated)
+ * @param {number} excludedItemized - Portion of itemizedTotal not subject
+ *     to the limitation (default 0)
+ * @returns {number} CA income tax owed
+ * @throws {Error} If parameters are invalid or the year isn't supported
+ *
+ * @example
+ * // 2025 MFJ, AGI $150,000, no itemized, no dependents:
+ * // 150,000 − 11,412 = 138,588 taxable → 5,855.14 − 306 credits
+ * getCAIncomeTaxFromAGI(150000, 0, 0, 2025); // → 5549.14
+ */
+function getCAIncomeTaxFromAGI(caAgi, itemizedTotal, numberOfDependents, year, excludedItemized = 0) {
+  return _withEstimateFlag(() => {
+    const deduction = getCAAllowedDeductionMFJ(caAgi, itemizedTotal, year, excludedItemized);
+    const credits = getCAExemptionCreditsMFJ(caAgi, numberOfDependents, year);
+    const taxableIncome = Math.max(0, caAgi - deduction);
+
+    const bracketedTax = _calculateIncomeTax(taxableIncome, year, 'ca');
+    const surtax = _calculateCAMentalHealthTax(taxableIncome);
+    return _roundToCents(Math.max(0, bracketedTax - credits) + surtax);
+  });
+}
+
+/**
+ * Returns the SALT deduction cap after the OBBBA high-income phase-down (private method)
+ * @param {number} agi - Adjusted gross income (treated as MAGI)
+ * @param {number} year - Tax year (already validated)
+ * @param {string} filingStatus - Normalized filing status
+ * @returns {number} Maximum deductible state and local taxes
+ * @private
+ */
+function _getFederalSALTCap(agi, year, filingStatus) {
+  const { cap, phaseDownThreshold, floor } = FEDERAL_SALT_CAP[year];
+  const scale = filingStatus === 'mfs' ? 0.5 : 1;
+  const excess = Math.max(0, agi - phaseDownThreshold * scale);
+  return Math.max(floor * scale, cap * scale - _FEDERAL_SALT_PHASE_DOWN_RATE * excess);
+}
+
+/**
+ * Returns the allowed federal deduction: the greater of the standard
+ * deduction or itemized deductions after the SALT cap and, from 2026, the
+ * 2/37 limitation (private method)
+ *
+ * The limitation's "taxable income plus itemized deductions" is taken to
+ * be AGI, which holds whenever no QBI deduction is claimed.
+ *
+ * @param {number} agi - Adjusted gross income
+ * @param {number} itemizedTotal - Itemized deductions before the SALT cap
+ * @param {number} saltPaid - State and local taxes included in itemizedTotal
+ * @param {number} year - Tax year (already validated)
+ * @param {string} filingStatus - Normalized filing status
+ * @returns {number} Allowed deduction (unrounded)
+ * @private
+ */
+function _calculateFederalDeduction(agi, itemizedTotal, saltPaid, year, filingStatus) {
+  const standard = FEDERAL_STANDARD_DEDUCTION_BY_STATUS[filingStatus][year];
+
+  const allowedSalt = Math.min(saltPaid, _getFederalSALTCap(agi, year, filingStatus));
+  let itemized = itemizedTotal - saltPaid + allowedSalt;
+
+  if (year >= _FEDERAL_ITEMIZED_LIMITATION_START_YEAR) {
+    // The 37% bracket starts where the 35% bracket ends.
+    const brackets = FEDERAL_BRACKETS_BY_STATUS[filingStatus][year];
+    const topBracketStart = brackets[brackets.length - 2][0];
+    const excess = Math.max(0, agi - topBracketStart);
+    itemized -= _FEDERAL_ITEMIZED_LIMITATION_RATIO * Math.min(itemized, excess);
+  }
+
+  return Math.max(standard, itemized);
+}
+
+/**
+ * Calculates federal taxable income from AGI: AGI minus the greater of the
+ * standard deduction or allowed itemized deductions.
+ *
+ * Itemized deductions are limited the way Schedule A and Form 1040 do:
+ * - SALT is capped at $10,000 (2023–2024) or the OBBBA cap ($40,000 in
+ *   2025, $40,400 in 2026), which phases down by 30% of AGI over
+ *   $500,000 / $505,000 to a $10,000 floor. MFS halves every figure.
+ * - From 2026 the "2/37" limitation trims itemized deductions for filers
+ *   whose income reaches the 37% bracket.
+ *
+ * The caller passes `itemizedTotal` *before* the SALT cap (Schedule A
+ * line 17 with line 5e replaced by taxes actually paid) and `saltPaid` as
+ * the state and local taxes included in that total — mirroring how
+ * getNYDeductionMFJ takes charitable gifts as a slice of its total.
+ *
+ * @param {number} agi - Adjusted gross income (Form 1040 line 11; also treated as MAGI)
+ * @param {number} itemizedTotal - Itemized deductions before the SALT cap
+ * @param {number} year - Tax year (2023-2026)
+ * @param {number} saltPaid - State and local taxes paid, included in itemizedTotal (default 0)
+ * @param {string} filingStatus - 'single', 'mfj', 'mfs', 'hoh' or 'qss' (default 'mfj')
+ * @returns {number} Federal taxable income (never below zero)
+ * @throws {Error} If parameters are invalid
+ *
+ * @example
+ * // 2025 MFJ, AGI $400,000, itemized $60,000 including $45,000 SALT:
+ * // SALT capped at $40,000 → itemized $55,000 beats the $31,500 standard.
+ * getFederalTaxableIncome(400000, 60000, 2025, 45000); // → 345000
  */
-function getNCIncomeTax(income, year) {
-  return _roundToCents(_calculateIncomeTax(income, year, 'nc'));
+function getFederalTaxableIncome(agi, itemizedTotal, year, saltPaid = 0, filingStatus = 'mfj') {
+  _validateNonNegativeNumber(agi, 'AGI');
+  _validateNonNegativeNumber(itemizedTotal, 'Itemized total');
+  _validateNonNegativeNumber(saltPaid, 'SALT paid');
+  _validateProjectableYear(year);
+  const status = _validateFilingStatus(filingStatus);
+
+  if (saltPaid > itemizedTotal) {
+    throw new Error(`SALT paid (${saltPaid}) cannot exceed itemized total (${itemizedTotal})`);
+  }
+
+  const deduction = _calculateFederalDeduction(agi, itemizedTotal, saltPaid, year, status);
+  return _roundToCents(Math.max(0, agi - deduction));
 }
 
 /**
- * Returns the marginal tax rate for a given income level
- * The marginal rate is the tax rate applied to the next dollar of income
+ * Calculates federal income tax starting from AGI rather than taxable
+ * income. Chains getFederalTaxableIncome into getFederalIncomeTax; all
+ * income is taxed at ordinary rates.
+ *
+ * @param {number} agi - Adjusted gross income
+ * @param {number} itemizedTotal - Itemized deductions before the SALT cap
+ * @param {number} year - Tax year (2023-2026)
+ * @param {number} saltPaid - State and local taxes paid, included in itemizedTotal (default 0)
+ * @param {string} filingStatus - 'single', 'mfj', 'mfs', 'hoh' or 'qss' (default 'mfj')
+ * @returns {number} Federal income tax owed
+ * @throws {Error} If parameters are invalid
+ *
+ * @example
+ * // 2025 MFJ, AGI $150,000, no itemized deductions → tax on $118,500
+ * getFederalIncomeTaxFromAGI(150000, 0, 2025); // → 15898
+ */
+function getFederalIncomeTaxFromAGI(agi, itemizedTotal, year, saltPaid = 0, filingStatus = 'mfj') {
+  return _withEstimateFlag(() => {
+    const taxableIncome = getFederalTaxableIncome(agi, itemizedTotal, year, saltPaid, filingStatus);
+    return getFederalIncomeTax(taxableIncome, year, filingStatus);
+  });
+}
+
+/**
+ * Calculates federal Alternative Minimum Tax (Form 6251 line 11): the
+ * excess of tentative minimum tax over regular tax.
+ *
+ * AMTI is regular taxable income plus the adjustments below. The
+ * exemption phases out by 25% (50% from 2026) of AMTI over the threshold,
+ * and the remainder is taxed at 26% / 28%. Qualified dividends and net
+ * capital gain keep their 0% / 15% / 20% / 25% rates inside AMT (Part III),
+ * stacked using the same Schedule D Tax Worksheet lines as the regular tax.
+ * Regular tax comes from getFederalTaxWithCapitalGains.
+ *
+ * `adjustments` fields (all default 0):
+ * - saltDeduction: taxes deducted on Schedule A line 7, or the standard
+ *   deduction if not itemizing (Form 6251 line 2a)
+ * - isoBargainElement: spread on ISOs exercised and held past year-end (line 2i)
+ * - otherAdjustments: net of any other line 2b–3 items (may be negative)
+ * - qualifiedDividends, netCapitalGain, unrecaptured1250Gain,
+ *   collectiblesGain: as for getFederalTaxWithCapitalGains
+ *
+ * Not modeled: the MFS AMTI add-back above the exemption phase-out range,
+ * the AMT foreign tax credit and the minimum tax credit carryforward.
+ *
+ * @param {number} regularTaxableIncome - Regular taxable income (Form 1040 line 15)
+ * @param {Object|Array<Array<*>>} adjustments - Object or two-column [name, value] range
+ * @param {number} year - Tax year (2023-2026)
+ * @param {string} filingStatus - 'single', 'mfj', 'mfs', 'hoh' or 'qss' (default 'mfj')
+ * @returns {number} Alternative minimum tax owed (0 if regular tax is higher)
+ * @throws {Error} If parameters are invalid
+ *
+ * @example
+ * // 2025 MFJ: $400,000 taxable income, $40,000 SALT deducted, $300,000 ISO spread.
+ * // AMTI $740,000, exemption $137,000 → tentative minimum tax $164,058
+ * // vs. regular tax $82,126 on $400,000.
+ * getAlternativeMinimumTax(400000, { saltDeduction: 40000, isoBargainElement: 300000 }, 2025);
+ * // → 81932
+ */
+function getAlternativeMinimumTax(regularTaxableIncome, adjustments, year, filingStatus = 'mfj') {
+  _validateNonNegativeNumber(regularTaxableIncome, 'Regular taxable income');
+  _validateYear(year);
+  const status = _validateFilingStatus(filingStatus);
+
+  const adj = _parseOptions(adjustments, {
+    saltDeduction: 0,
+    isoBargainElement: 0,
+    otherAdjustments: 0,
+    qualifiedDividends: 0,
+    netCapitalGain: 0,
+    unrecaptured1250Gain: 0,
+    collectiblesGain: 0,
+  }, 'Adjustments');
+  for (const name of ['saltDeduction', 'isoBargainElement', 'qualifiedDividends',
+    'netCapitalGain', 'unrecaptured1250Gain', 'collectiblesGain']) {
+    _validateNonNegativeNumber(adj[name], name);
+  }
+  if (typeof adj.otherAdjustments !== 'number' || !Number.isFinite(adj.otherAdjustments)) {
+    throw new Error('otherAdjustments must be a finite number');
+  }
+
+  const regularTax = _calculateCapitalGainsWorksheetTax(
+    regularTaxableIncome, adj.qualifiedDividends, adj.netCapitalGain,
+    adj.unrecaptured1250Gain, adj.collectiblesGain, year, status
+  );
+
+  // Part I: AMTI. Part II: exemption and its phase-out.
+  const amti = Math.max(0, regularTaxableIncome + adj.saltDeduction +
+    adj.isoBargainElement + adj.otherAdjustments);
+  const params = AMT_PARAMETERS[year];
+  const exemption = Math.max(
+    0,
+    params.exemption[status] -
+      params.phaseOutRate * Math.max(0, amti - params.phaseOutStart[status])
+  );
+  const amtBase = Math.max(0, amti - exemption);                                        // line 6
+
+  const breakpoint = status === 'mfs' ? params.breakpoint / 2 : params.breakpoint;
+  const amtBrackets = [[breakpoint, _AMT_RATES[0]], [Infinity, _AMT_RATES[1]]];
+  let tentativeTax = _calculateProgressiveTax(amtBrackets, amtBase);                   // line 7 / 39
+
+  // Part III: keep preferential rates on dividends and gains.
+  if (adj.qualifiedDividends + adj.netCapitalGain > 0 && amtBase > 0) {
+    const regularLines = _getCapitalGainsWorksheetLines(
+      regularTaxableIncome, adj.qualifiedDividends, adj.netCapitalGain,
+      adj.unrecaptured1250Gain, adj.collectiblesGain,
+      FEDERAL_BRACKETS_BY_STATUS[status][year]
+    );
+    const preferential = Math.min(regularTaxableIncome, regularLines.preferential); // line 13
+    const unrecaptured = Math.min(adj.netCapitalGain, adj.unrecaptured1250Gain);     // line 14
+    const withUnrecaptured = adj.unrecaptured1250Gain > 0
+      ? Math.min(preferential + unrecaptured, regularLines.gainAndDividends)
+      : preferential;                                                                 // line 15
+    const favored = Math.min(amtBase, withUnrecaptured);                              // line 16
+    const ordinaryAmtTax = _calculateProgressiveTax(amtBrackets, amtBase - favored);  // line 18
+
+    const [[zeroTop], [fifteenTop]] = QUALIFIED_DIVIDEND_BRACKETS_BY_STATUS[status][year];
+    const zeroRoom = Math.max(0, zeroTop - regularLines.ordinaryWithMaxRateGain);     // line 21
+    const eligible = Math.min(amtBase, preferential);                                 // line 22
+    const atZero = Math.min(zeroRoom, eligible);                                      // line 23
+    const fifteenRoom = Math.max(0, fifteenTop - (zeroRoom + regularLines.ordinaryBase)); // line 29
+    const atFifteen = Math.min(eligible - atZero, fifteenRoom);                       // line 30
+    const atTwenty = eligible - atZero - atFifteen;                                   // line 33
+    const atTwentyFive = amtBase - (amtBase - favored) - eligible;                    // line 36
+
+    const partThreeTax = ordinaryAmtTax + atFifteen * 0.15 + atTwenty * 0.20 +
+      atTwentyFive * TAX_CONFIG.CAPITAL_GAINS_MAX_RATES.UNRECAPTURED_1250;            // line 38
+    tentativeTax = Math.min(partThreeTax, tentativeTax);                              // line 40
+  }
+
+  return _roundToCents(Math.max(0, tentativeTax - regularTax));
+}
+
+/**
+ * Normalizes a wages argument into per-employer amounts (private method)
+ * Accepts a single number or a Sheets range (1D or 2D array) with one
+ * cell per employer; blank cells are ignored.
+ * @param {number|Array<*>} wages - Wages as a number or per-employer range
+ * @param {string} fieldName - Name of the field for error messages
+ * @returns {Array<number>} Per-employer wages
+ * @throws {Error} If any amount is not a non-negative number
+ * @private
+ */
+function _normalizePerEmployerWages(wages, fieldName) {
+  const amounts = Array.isArray(wages)
+    ? wages.flat().filter(value => value !== '' && value !== null && value !== undefined)
+    : [wages];
+  for (const amount of amounts) {
+    _validateNonNegativeNumber(amount, fieldName);
+  }
+  return amounts;
+}
+
+/**
+ * Calculates the employee share of payroll taxes for a household:
+ * Social Security (OASDI), Medicare, and the 0.9% Additional Medicare Tax.
+ *
+ * Social Security is capped at the wage base separately for each spouse.
+ * Additional Medicare Tax (Form 8959) applies to combined wages over
+ * $250,000 MFJ ($200,000 single / HOH / QSS, $125,000 MFS), regardless of
+ * how much each employer withheld.
+ *
+ * Each spouse's wages may be a single number or a range with one cell per
+ * employer. Every employer withholds Social Security up to the full wage
+ * base, so a spouse with several employers can be over-withheld; the
+ * excess is refundable on Schedule 3 line 11 and is reported separately.
+ *
+ * @param {number|Array<*>} wagesSpouse1 - Spouse 1 FICA wages (W-2 box 3/5), total or per employer
+ * @param {number|Array<*>} wagesSpouse2 - Spouse 2 FICA wages, total or per employer (0 unless MFJ)
+ * @param {number} year - Tax year (2023-2026)
+ * @param {string} filingStatus - 'single', 'mfj', 'mfs', 'hoh' or 'qss' (default 'mfj')
+ * @returns {Array<Array<*>>} Rows of [label, amount]: Social Security,
+ *     Medicare, Additional Medicare Tax, Total, Excess Social Security withheld
+ * @throws {Error} If parameters are invalid
+ *
+ * @example
+ * // 2025 MFJ: $200,000 + $150,000 wages
+ * // SS: 6.2% × (176,100 + 150,000); Medicare: 1.45% × 350,000;
+ * // Additional Medicare: 0.9% × 100,000
+ * getPayrollTax(200000, 150000, 2025);
+ * // → [['Social Security', 20218.2], ['Medicare', 5075],
+ * //    ['Additional Medicare Tax', 900], ['Total', 26193.2],
+ * //    ['Excess Social Security withheld', 0]]
+ */
+function getPayrollTax(wagesSpouse1, wagesSpouse2, year, filingStatus = 'mfj') {
+  const spouses = [
+    _normalizePerEmployerWages(wagesSpouse1, 'Spouse 1 wages'),
+    _normalizePerEmployerWages(wagesSpouse2, 'Spouse 2 wages'),
+  ];
+  _validateYear(year);
+  const status = _validateFilingStatus(filingStatus);
+
+  const totals = spouses.map(amounts => amounts.reduce((sum, amount) => sum + amount, 0));
+  if (status !== 'mfj' && totals[1] > 0) {
+    throw new Error(`Spouse 2 wages only apply to filing status 'mfj'`);
+  }
+
+  const { SOCIAL_SECURITY_RATE, MEDICARE_RATE } = TAX_CONFIG.PAYROLL;
+  const wageBase = SOCIAL_SECURITY_WAGE_BASE[year];
+
+  let socialSecurity = 0;
+  let excessWithheld = 0;
+  spouses.forEach((amounts, i) => {
+    const owed = Math.min(totals[i], wageBase) * SOCIAL_SECURITY_RATE;
+    const withheld = amounts.reduce(
+      (sum, amount) => sum + Math.min(amount, wageBase) * SOCIAL_SECURITY_RATE, 0
+    );
+    socialSecurity += owed;
+    excessWithheld += withheld - owed;
+  });
+
+  const combinedWages = totals[0] + totals[1];
+  const medicare = combinedWages * MEDICARE_RATE;
+  const { RATE, THRESHOLDS } = TAX_CONFIG.ADDITIONAL_MEDICARE;
+  const additionalMedicare = Math.max(0, combinedWages - THRESHOLDS[status]) * RATE;
+
+  return [
+    ['Social Security', _roundToCents(socialSecurity)],
+    ['Medicare', _roundToCents(medicare)],
+    ['Additional Medicare Tax', _roundToCents(additionalMedicare)],
+    ['Total', _roundToCents(socialSecurity + medicare + additionalMedicare)],
+    ['Excess Social Security withheld', _roundToCents(excessWithheld)],
+  ];
+}
+
+/**
+ * Calculates self-employment tax (Schedule SE) on net profit from a trade
+ * or business.
+ *
+ * Net earnings are 92.35% of net profit. The 12.4% Social Security
+ * portion applies only up to the wage base left after the individual's
+ * own W-2 Social Security wages; the 2.9% Medicare portion is uncapped.
+ * Half of the tax is deductible in arriving at AGI (Schedule 1 line 15).
+ * The 0.9% Additional Medicare Tax on self-employment income is figured on
+ * Form 8959 and is not included here.
+ *
+ * @param {number} netSEEarnings - Net profit from self-employment (Schedule C line 31, etc.)
+ * @param {number} w2Wages - The same individual's W-2 Social Security wages (Schedule SE line 8a)
+ * @param {number} year - Tax year (2023-2026)
+ * @returns {Array<Array<*>>} Rows of [label, amount]: Net earnings from
+ *     self-employment, Social Security, Medicare, Self-employment tax, Deductible half
+ * @throws {Error} If parameters are invalid
+ *
+ * @example
+ * // 2025: $100,000 consulting profit, $150,000 W-2 wages
+ * // Net earnings 92,350; SS room 176,100 − 150,000 = 26,100
+ * // SS 12.4% × 26,100 = 3,236.40; Medicare 2.9% × 92,350 = 2,678.15
+ * getSelfEmploymentTax(100000, 150000, 2025);
+ * // → [['Net earnings from self-employment', 92350], ['Social Security', 3236.4],
+ * //    ['Medicare', 2678.15], ['Self-employment tax', 5914.55], ['Deductible half', 2957.28]]
+ */
+function getSelfEmploymentTax(netSEEarnings, w2Wages, year) {
+  _validateNonNegativeNumber(netSEEarnings, 'Net self-employment earnings');
+  _validateNonNegativeNumber(w2Wages, 'W-2 wages');
+  _validateYear(year);
+
+  const { NET_EARNINGS_FACTOR, MINIMUM_NET_EARNINGS } = TAX_CONFIG.SELF_EMPLOYMENT;
+  const { SOCIAL_SECURITY_RATE, MEDICARE_RATE } = TAX_CONFIG.PAYROLL;
+
+  let netEarnings = netSEEarnings * NET_EARNINGS_FACTOR;
+  if (netEarnings < MINIMUM_NET_EARNINGS) {
+    netEarnings = 0;
+  }
+
+  // Employee + employer halves.
+  const socialSecurityBase = Math.min(netEarnings, Math.max(0, SOCIAL_SECURITY_WAGE_BASE[year] - w2Wages));
+  const socialSecurity = socialSecurityBase * SOCIAL_SECURITY_RATE * 2;
+  const medicare = netEarnings * MEDICARE_RATE * 2;
+  const total = socialSecurity + medicare;
+
+  return [
+    ['Net earnings from self-employment', _roundToCents(netEarnings)],
+    ['Social Security', _roundToCents(socialSecurity)],
+    ['Medicare', _roundToCents(medicare)],
+    ['Self-employment tax', _roundToCents(total)],
+    ['Deductible half', _roundToCents(total / 2)],
+  ];
+}
+
+/**
+ * Calculates the Section 199A qualified business income deduction for a
+ * single trade or business (Form 8995-A).
+ *
+ * Below the taxable-income threshold the deduction is 20% of QBI. Across
+ * the phase-in range, a specified service trade or business (SSTB) keeps
+ * a shrinking share of its QBI, wages and UBIA, and the W-2 wage / UBIA
+ * limit — the greater of 50% of W-2 wages or 25% of W-2 wages plus 2.5% of
+ * UBIA — phases in. Above the range an SSTB gets nothing and the limit
+ * applies in full. The result is capped at 20% of taxable income less net
+ * capital gain.
+ *
+ * `options` fields:
+ * - filingStatus: 'single', 'mfj', 'mfs', 'hoh' or 'qss' (default 'mfj')
+ * - sstb: true for a specified service trade or business (default false)
+ * - w2Wages: W-2 wages paid by the business (default 0)
+ * - ubia: unadjusted basis of qualified property (default 0)
+ *
+ * A QBI loss yields a zero deduction (the loss carries forward). REIT /
+ * PTP income and the 2026 $400 minimum deduction are not modeled.
+ *
+ * @param {number} qbi - Qualified business income (may be negative)
+ * @param {number} taxableIncome - Taxable income before the QBI deduction
+ * @param {number} netCapitalGain - Net capital gain plus qualified dividends
+ * @param {number} year - Tax year (2023-2026)
+ * @param {Object|Array<Array<*>>} options - Object or two-column [name, value] range
+ * @returns {number} QBI deduction
+ * @throws {Error} If parameters are invalid
+ *
+ * @example
+ * // 2025 MFJ consultant (SSTB), $100,000 QBI, $40,000 W-2 wages paid,
+ * // $444,600 taxable income: halfway through the $100,000 range, so 50% of
+ * // QBI and wages count → 20% × 50,000 = 10,000, within the 50% × 20,000
+ * // wage limit.
+ * getQBIDeduction(100000, 444600, 0, 2025, { sstb: true, w2Wages: 40000 }); // → 10000
+ */
+function getQBIDeduction(qbi, taxableIncome, netCapitalGain, year, options) {
+  if (typeof qbi !== 'number' || !Number.isFinite(qbi)) {
+    throw new Error('QBI must be a finite number');
+  }
+  _validateNonNegativeNumber(taxableIncome, 'Taxable income');
+  _validateNonNegativeNumber(netCapitalGain, 'Net capital gain');
+  _validateYear(year);
+
+  const opts = _parseOptions(options, {
+    filingStatus: 'mfj',
+    sstb: false,
+    w2Wages: 0,
+    ubia: 0,
+  }, 'Options');
+  const status = _validateFilingStatus(opts.filingStatus);
+  _validateNonNegativeNumber(opts.w2Wages, 'W-2 wages');
+  _validateNonNegativeNumber(opts.ubia, 'UBIA');
+
+  if (qbi <= 0) {
+    return 0;
+  }
+
+  const { RATE, WAGE_RATE, WAGE_AND_UBIA_RATES } = TAX_CONFIG.QBI;
+  const threshold = QBI_PARAMETERS[year].threshold[status];
+  const range = QBI_PARAMETERS[year].phaseInRange[status];
+  // 0 at or below the threshold, 1 at or above threshold + range.
+  const phaseIn = Math.min(Math.max(0, taxableIncome - threshold), range) / range;
+
+  // SSTB: only the applicable percentage of QBI, wages and UBIA counts.
+  const applicable = opts.sstb ? 1 - phaseIn : 1;
+  const tentative = RATE * qbi * applicable;
+  const wageLimit = Math.max(
+    WAGE_RATE * opts.w2Wages * applicable,
+    (WAGE_AND_UBIA_RATES[0] * opts.w2Wages + WAGE_AND_UBIA_RATES[1] * opts.ubia) * applicable
+  );
+
+  let component = tentative;
+  if (phaseIn > 0 && wageLimit < tentative) {
+    component = tentative - phaseIn * (tentative - wageLimit);
+  }
+
+  const incomeLimit = RATE * Math.max(0, taxableIncome - netCapitalGain);
+  return _roundToCents(Math.min(component, incomeLimit));
+}
+
+// Raw Schedule D amounts, named as getCapitalGainNetting's arguments, that
+// getFederalTaxWithCapitalGains accepts in place of a net capital gain.
+const _CAPITAL_GAIN_AMOUNT_FIELDS = {
+  shortTermGains: 0,
+  shortTermLosses: 0,
+  longTermGains: 0,
+  longTermLosses: 0,
+  shortTermCarryforward: 0,
+  longTermCarryforward: 0,
+};
+
+/**
+ * Nets named raw capital gain and loss amounts (private method)
+ * @param {Object|Array<Array<*>>} amounts - Object or two-column
+ *     [name, value] range of _CAPITAL_GAIN_AMOUNT_FIELDS (missing ones are 0)
+ * @param {string} filingStatus - Normalized filing status
+ * @param {string} fieldName - Name of the argument for error messages
+ * @returns {{netCapitalGain: number, includedInIncome: number,
+ *     shortTermCarryforward: number, longTermCarryforward: number}} Rounded to cents
+ * @throws {Error} If a name is unknown or an amount is invalid
+ * @private
+ */
+function _netCapitalGainAmounts(amounts, filingStatus, fieldName) {
+  const opts = _parseOptions(amounts, _CAPITAL_GAIN_AMOUNT_FIELDS, fieldName);
+  for (const field of Object.keys(_CAPITAL_GAIN_AMOUNT_FIELDS)) {
+    _validateNonNegativeNumber(opts[field], `${fieldName} ${field}`);
+  }
+  const result = _netCapitalGainsAndLosses(
+    opts.shortTermGains - opts.shortTermLosses - opts.shortTermCarryforward,   // Schedule D line 7
+    opts.longTermGains - opts.longTermLosses - opts.longTermCarryforward,      // Schedule D line 15
+    filingStatus
+  );
+  return {
+    netCapitalGain: _roundToCents(result.netCapitalGain),
+    includedInIncome: _roundToCents(result.includedInIncome),
+    shortTermCarryforward: _roundToCents(result.shortTermCarryforward),
+    longTermCarryforward: _roundToCents(result.longTermCarryforward),
+  };
+}
+
+/**
+ * Nets capital gains and losses as on Schedule D (private method)
+ * @param {number} netShortTerm - Short-term gains less losses and carryforward
+ * @param {number} netLongTerm - Long-term gains less losses and carryforward
+ * @param {string} filingStatus - Normalized filing status
+ * @returns {{netCapitalGain: number, shortTermGain: number, includedInIncome: number,
+ *     shortTermCarryforward: number, longTermCarryforward: number}}
+ * @private
+ */
+function _netCapitalGainsAndLosses(netShortTerm, netLongTerm, filingStatus) {
+  const combined = netShortTerm + netLongTerm;                               // Schedule D line 16
+  const shortTermLoss = Math.max(0, -netShortTerm);
+  const longTermLoss = Math.max(0, -netLongTerm);
+
+  // Net capital gain: long-term gain in excess of any short-term loss.
+  const netCapitalGain = Math.max(0, Math.min(netLongTerm, combined));
+  // Short-term gain left after absorbing any long-term loss; taxed as ordinary.
+  const shortTermGain = Math.max(0, Math.min(netShortTerm, combined));
+
+  const deductibleLoss = Math.min(Math.max(0, -combined), TAX_CONFIG.CAPITAL_LOSS_LIMITS[filingStatus]);
+
+  // Capital Loss Carryover Worksheet (Schedule D instructions): the
+  // deductible loss comes out of short-term losses first.
+  const shortTermCarryforward = Math.max(
+    0,
+    shortTermLoss - (Math.max(0, netLongTerm) + deductibleLoss)
+  );                                                                         // lines 5–8
+  const longTermCarryforward = Math.max(
+    0,
+    longTermLoss - (Math.max(0, netShortTerm) + Math.max(0, deductibleLoss - shortTermLoss))
+  );                                                                         // lines 9–13
+
+  return {
+    netCapitalGain,
+    shortTermGain,
+    includedInIncome: combined >= 0 ? combined : -deductibleLoss,
+    shortTermCarryforward,
+    longTermCarryforward,
+  };
+}
+
+/**
+ * Nets short-term and long-term capital gains and losses in the Schedule D
+ * order, applies the $3,000 ($1,500 MFS) limit on losses deducted against
+ * ordinary income, and splits any remaining loss into next year's
+ * short-term and long-term carryforwards.
+ *
+ * Each term nets its own gains, losses and prior-year carryforward first;
+ * a net loss in one term then offsets a net gain in the other. The
+ * "Net capital gain" row is the `netCapitalGain` argument for
+ * getFederalTaxWithCapitalGains / getAlternativeMinimumTax (reference the
+ * cell); the short-term gain row is taxed as ordinary income.
+ * getFederalTaxWithCapitalGains and the JSON API also take the raw gains
+ * and losses and net them the same way.
+ * Losses and carryforwards are entered as positive amounts.
+ *
+ * The carryover worksheet's taxable-income limit (Pub 550, line 1) is not
+ * applied: the full deductible loss is assumed to be usable.
+ *
+ * @param {number} shortTermGains - Short-term gains
+ * @param {number} shortTermLosses - Short-term losses (positive)
+ * @param {number} longTermGains - Long-term gains (including capital gain distributions)
+ * @param {number} longTermLosses - Long-term losses (positive)
+ * @param {number} shortTermCarryforward - Prior-year short-term loss carryover (default 0)
+ * @param {number} longTermCarryforward - Prior-year long-term loss carryover (default 0)
+ * @param {string} filingStatus - 'single', 'mfj', 'mfs', 'hoh' or 'qss' (default 'mfj')
+ * @returns {Array<Array<*>>} Rows of [label, amount]: Net short-term gain (loss),
+ *     Net long-term gain (loss), Net capital gain, Short-term gain taxed as ordinary,
+ *     Capital gain (loss) in income, Short-term loss carryforward, Long-term loss carryforward
+ * @throws {Error} If parameters are invalid
+ *
+ * @example
+ * // $10,000 ST gain, $25,000 ST loss, $4,000 LT gain:
+ * // net ST −15,000 absorbs the LT gain; $3,000 deducted; $8,000 ST carryforward.
+ * getCapitalGainNetting(10000, 25000, 4000, 0);
+ * // → [..., ['Capital gain (loss) in income', -3000],
+ * //    ['Short-term loss carryforward', 8000], ['Long-term loss carryforward', 0]]
+ */
+function getCapitalGainNetting(shortTermGains, shortTermLosses, longTermGains, longTermLosses,
+    shortTermCarryforward = 0, longTermCarryforward = 0, filingStatus = 'mfj') {
+  _validateNonNegativeNumber(shortTermGains, 'Short-term gains');
+  _validateNonNegativeNumber(shortTermLosses, 'Short-term losses');
+  _validateNonNegativeNumber(longTermGains, 'Long-term gains');
+  _validateNonNegativeNumber(longTermLosses, 'Long-term losses');
+  _validateNonNegativeNumber(shortTermCarryforward, 'Short-term carryforward');
+  _validateNonNegativeNumber(longTermCarryforward, 'Long-term carryforward');
+  const status = _validateFilingStatus(filingStatus);
+
+  const netShortTerm = shortTermGains - shortTermLosses - shortTermCarryforward;  // Schedule D line 7
+  const netLongTerm = longTermGains - longTermLosses - longTermCarryforward;      // Schedule D line 15
+  const result = _netCapitalGainsAndLosses(netShortTerm, netLongTerm, status);
+
+  return [
+    ['Net short-term gain (loss)', _roundToCents(netShortTerm)],
+    ['Net long-term gain (loss)', _roundToCents(netLongTerm)],
+    ['Net capital gain', _roundToCents(result.netCapitalGain)],
+    ['Short-term gain taxed as ordinary', _roundToCents(result.shortTermGain)],
+    ['Capital gain (loss) in income', _roundToCents(result.includedInIncome)],
+    ['Short-term loss carryforward', _roundToCents(result.shortTermCarryforward)],
+    ['Long-term loss carryforward', _roundToCents(result.longTermCarryforward)],
+  ];
+}
+
+/**
+ * Calculates New York City resident income tax for married filing
+ * jointly, net of the NYC household credit and the NYC school tax credit.
+ *
+ * NYC taxable income is the same as NY State taxable income (IT-201
+ * line 38). The household credit only applies at very low federal AGI;
+ * the school tax credit's fixed amount applies when income is $250,000 or
+ * less and its rate reduction when NYC taxable income is $500,000 or less.
+ * The school tax credit is refundable, so the result can be slightly
+ * negative at very low incomes.
+ *
+ * @param {number} income - NYC taxable income (= NY taxable income)
+ * @param {number} year - Tax year (2023-2026)
+ * @param {number} federalAGI - Federal AGI for the credit tests (default: income)
+ * @param {number} numberOfExemptions - Taxpayer, spouse and dependents for the
+ *     household credit (default 2)
+ * @returns {number} NYC resident tax after credits
+ * @throws {Error} If parameters are invalid
+ *
+ * @example
+ * // 2025 MFJ, $200,000 NYC taxable income:
+ * // 0.03078·21,600 + 0.03762·23,400 + 0.03819·45,000 + 0.03876·110,000
+ * //   = 664.848 + 880.308 + 1,718.55 + 4,263.60 = 7,527.306
+ * // less school tax credit $125 + ($37 + 0.228% × 178,400 = $443.752)
+ * getNYCIncomeTax(200000, 2025); // → 6958.55
+ */
+function getNYCIncomeTax(income, year, federalAGI = income, numberOfExemptions = 2) {
+  _validateNonNegativeNumber(income, 'Income');
+  _validateNonNegativeNumber(federalAGI, 'Federal AGI');
+  _validateProjectableYear(year);
+  if (typeof numberOfExemptions !== 'number' || numberOfExemptions < 0 || !Number.isInteger(numberOfExemptions)) {
+    throw new Error('Number of exemptions must be a non-negative integer');
+  }
+
+  const { brackets, householdCredit, schoolTaxCredit } = NYC_TAX_TABLE[year];
+  const bracketedTax = _calculateProgressiveTax(brackets, income);
+
+  const householdBand = householdCredit.find(b => federalAGI <= b.upperAgi);
+  const afterHousehold = Math.max(0, bracketedTax - householdBand.perExemption * numberOfExemptions);
+
+  let schoolCredit = federalAGI <= schoolTaxCredit.fixedIncomeLimit ? schoolTaxCredit.fixedAmount : 0;
+  if (income <= schoolTaxCredit.rateReductionIncomeLimit) {
+    const [lowRate, highRate] = schoolTaxCredit.rateReductionRates;
+    schoolCredit += income <= schoolTaxCredit.rateReductionBreak
+      ? income * lowRate
+      : schoolTaxCredit.rateReductionBase + (income - schoolTaxCredit.rateReductionBreak) * highRate;
+  }
+
+  return _roundToCents(afterHousehold - schoolCredit);
+}
+
+/**
+ * Calculates the Yonkers resident income tax surcharge: a flat percentage
+ * of net New York State tax.
+ *
+ * @param {number} nyStateTax - Net NY State tax (e.g., getNYIncomeTax less NY credits)
+ * @param {number} year - Tax year (2023-2026)
+ * @returns {number} Yonkers resident surcharge
+ * @throws {Error} If parameters are invalid
+ *
+ * @example
+ * // 16.75% of $20,000 net NY State tax
+ * getYonkersSurcharge(20000, 2025); // → 3350
+ */
+function getYonkersSurcharge(nyStateTax, year) {
+  _validateNonNegativeNumber(nyStateTax, 'NY State tax');
+  _validateProjectableYear(year);
+  return _roundToCents(nyStateTax * YONKERS_SURCHARGE_RATE[year]);
+}
+
+/**
+ * Calculates combined New York State and local resident income tax for
+ * married filing jointly. Starts from the recapture-aware getNYIncomeTax
+ * and adds NYC resident tax or the Yonkers surcharge.
+ *
+ * @param {number} income - NY taxable income (treated as NYAGI and federal AGI too)
+ * @param {number} year - Tax year (2023-2026)
+ * @param {string} locality - 'nyc', 'yonkers', or 'none' (default 'none')
+ * @returns {number} NY State plus local income tax
+ * @throws {Error} If parameters are invalid
+ *
+ * @example
+ * // 2025 MFJ, $200,000: NY State $11,813.33 + NYC $6,958.55
+ * getNYTotalIncomeTax(200000, 2025, 'nyc'); // → 18771.88
+ */
+function getNYTotalIncomeTax(income, year, locality = 'none') {
+  return _withEstimateFlag(() => {
+    const normalized = typeof locality === 'string' ? locality.toLowerCase() : locality;
+    const stateTax = getNYIncomeTax(income, year);
+
+    switch (normalized) {
+      case 'none':
+      case '':
+        return stateTax;
+      case 'nyc':
+        return _roundToCents(stateTax + getNYCIncomeTax(income, year));
+      case 'yonkers':
+        return _roundToCents(stateTax + getYonkersSurcharge(stateTax, year));
+      default:
+        throw new Error(`Locality must be one of: none, nyc, yonkers`);
+    }
+  });
+}
+
+/**
+ * Whether a date is a legal holiday that moves a federal due date (private
+ * method)
+ *
+ * Only the holidays that can land on an estimated tax due date: DC
+ * Emancipation Day (April 16, observed on the Friday or Monday when it
+ * falls on a weekend) and Martin Luther King Jr. Day (third Monday in
+ * January).
+ *
+ * @param {Date} date - UTC date
+ * @returns {boolean}
+ * @private
+ */
+function _isDueDateHoliday(date) {
+  const month = date.getUTCMonth() + 1;
+  const day = date.getUTCDate();
+  const weekday = date.getUTCDay();
+  if (month === 4) {
+    const emancipationDay = new Date(Date.UTC(date.getUTCFullYear(), 3, 16)).getUTCDay();
+    const observed = emancipationDay === 6 ? 15 : emancipationDay === 0 ? 17 : 16;
+    return day === observed;
+  }
+  return month === 1 && weekday === 1 && day >= 15 && day <= 21;
+}
+
+/**
+ * Returns an installment due date, moved past weekends and holidays
+ * (private method)
+ * @param {number} year - Calendar year
+ * @param {number} month - Month (1-12)
+ * @param {number} day - Day of the month
+ * @returns {string} Due date as 'YYYY-MM-DD'
+ * @private
+ */
+function _getDueDate(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  while (date.getUTCDay() === 0 || date.getUTCDay() === 6 || _isDueDateHoliday(date)) {
+    date.setUTCDate(date.getUTCDate() + 1);
+  }
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Returns the four estimated tax installment due dates for a tax year
+ * (private method)
+ * @param {number} year - Tax year
+ * @returns {Array<string>} Due dates as 'YYYY-MM-DD'
+ * @private
+ */
+function _getInstallmentDueDates(year) {
+  const dueDates = TAX_CONFIG.ESTIMATED_TAX.DUE_DATES;
+  return dueDates.map(([month, day], i) =>
+    _getDueDate(i === dueDates.length - 1 ? year + 1 : year, month, day));
+}
+
+/**
+ * Returns the share of prior-year tax that meets the prior-year safe
+ * harbor: 100%, or 110% above the prior-year AGI threshold (private method)
+ * @param {number} priorYearAGI - Last year's AGI
+ * @param {string} filingStatus - Validated filing status
+ * @returns {number}
+ * @private
+ */
+function _getPriorYearSafeHarborRate(priorYearAGI, filingStatus) {
+  const config = TAX_CONFIG.ESTIMATED_TAX;
+  return priorYearAGI > config.HIGH_INCOME_AGI[filingStatus]
+    ? config.HIGH_INCOME_PRIOR_YEAR_RATE
+    : config.PRIOR_YEAR_RATE;
+}
+
+/**
+ * Reads a per-jurisdiction amount: a number when there's one jurisdiction,
+ * otherwise an object or two-column [jurisdiction, amount] range (private
+ * method)
+ * @param {number|Object|Array<Array<*>>} value - Amount(s)
+ * @param {Array<string>} codes - Jurisdictions that need an amount
+ * @param {string} label - Name used in error messages
+ * @returns {Object<string, number>} Amount by jurisdiction
+ * @throws {Error} If an amount is missing or invalid
+ * @private
+ */
+function _parseJurisdictionAmounts(value, codes, label) {
+  let amounts;
+  if (typeof value === 'number' && codes.length === 1) {
+    amounts = { [codes[0]]: value };
+  } else {
+    const defaults = {};
+    codes.forEach(code => { defaults[code] = undefined; });
+    amounts = _parseOptions(typeof value === 'number' ? undefined : value, defaults, label);
+  }
+  for (const code of codes) {
+    if (amounts[code] === undefined) {
+      throw new Error(`${label} needs an amount for ${code}`);
+    }
+    _validateNonNegativeNumber(amounts[code], `${label} for ${code}`);
+  }
+  return amounts;
+}
+
+/**
+ * Plans a year's quarterly estimated tax payments (Form 1040-ES, NY
+ * IT-2105, CA 540-ES)
+ *
+ * For each jurisdiction the required annual payment is the lesser of the
+ * two safe harbors: 90% of the projected tax on `projectedIncome`, or 100%
+ * of last year's tax (110% when prior-year AGI was over $150,000, $75,000
+ * MFS). California withdraws the prior-year safe harbor at $1,000,000
+ * ($500,000 MFS), tested here against `projectedIncome`. Withholding counts
+ * as paid evenly through the year, so what's left is split over the
+ * installments: a quarter each, or 30% / 40% / 0% / 30% for California.
+ * Nothing is due when the projected tax less withholding is under $1,000
+ * federal, $300 NY or $500 CA ($250 MFS).
+ *
+ * Projected tax comes from getFederalIncomeTax and getStateIncomeTax
+ * (getNYIncomeTax, getCAIncomeTax), so `projectedIncome` is taxable
+ * income; prior-year AGI is the federal figure, used for every
+ * jurisdiction. Due dates follow the federal calendar.
+ *
+ * @param {number|Object|Array<Array<*>>} priorYearTax - Last year's total
+ *     tax: a number for a single jurisdiction, otherwise an object or
+ *     two-column [jurisdiction, tax] range
+ * @param {number} priorYearAGI - Last year's AGI
+ * @param {number} projectedIncome - This year's projected taxable income
+ * @param {number|Object|Array<Array<*>>} withholding - This year's expected
+ *     withholding, shaped like `priorYearTax`
+ * @param {number} year - Tax year (2023-2026)
+ * @param {string|Array<*>} jurisdictions - 'federal', 'ny' and/or 'ca'
+ *     (comma-separated string or one per cell; default 'federal')
+ * @param {string} filingStatus - Filing status (default 'mfj')
+ * @returns {Array<Array<string|number>>} Four-column rows of [jurisdiction,
+ *     item, due date, amount]: 'Projected tax', 'Current-year safe
+ *     harbor', 'Prior-year safe harbor' (blank when unavailable),
+ *     'Required annual payment', 'Withholding', then 'Q1'-'Q4' with their
+ *     due dates ('' for California's skipped September installment)
+ * @throws {Error} If parameters are invalid
+ *
+ * @example
+ * // 2025 MFJ: $40,000 federal tax last year on $300,000 AGI, $350,000
+ * // projected taxable income, $30,000 withheld. 110% of last year
+ * // ($44,000) beats 90% of this year's $69,694, leaving $3,500 a quarter.
+ * getEstimatedTaxPayments(40000, 300000, 350000, 30000, 2025);
+ * // → [..., ['Federal', 'Q1', '2025-04-15', 3500],
+ * //    ['Federal', 'Q2', '2025-06-16', 3500], ...,
+ * //    ['Federal', 'Q4', '2026-01-15', 3500]]
+ */
+function getEstimatedTaxPayments(priorYearTax, priorYearAGI, projectedIncome, withholding, year,
+    jurisdictions = 'federal', filingStatus = 'mfj') {
+  return _withEstimateFlag(() => {
+    _validateNonNegativeNumber(priorYearAGI, 'Prior-year AGI');
+    _validateNonNegativeNumber(projectedIncome, 'Projected income');
+    _validateProjectableYear(year);
+    const status = _validateFilingStatus(filingStatus);
+    const codes = _parseTaxComponents(jurisdictions);
+    const unsupported = codes.filter(code => !(code in TAX_CONFIG.ESTIMATED_TAX.JURISDICTIONS));
+    if (unsupported.length > 0) {
+      throw new Error(`Estimated payments cover ${Object.keys(TAX_CONFIG.ESTIMATED_TAX.JURISDICTIONS).join(', ')}, ` +
+        `not ${unsupported.join(', ')}`);
+    }
+    const priorTax = _parseJurisdictionAmounts(priorYearTax, codes, 'Prior-year tax');
+    const withheld = _parseJurisdictionAmounts(withholding, codes, 'Withholding');
+
+    const config = TAX_CONFIG.ESTIMATED_TAX;
+    const priorYearRate = _getPriorYearSafeHarborRate(priorYearAGI, status);
+    const dueDates = _getInstallmentDueDates(year);
+
+    const rows = [];
+    for (const code of codes) {
+      const rules = config.JURISDICTIONS[code];
+      const label = _TAX_COMPONENT_LABELS[code] || STATE_JURISDICTIONS[code].name;
+      const isMFS = status === 'mfs';
+      const projectedTax = code === 'federal'
+        ? getFederalIncomeTax(projectedIncome, year, status)
+        : getStateIncomeTax(projectedIncome, year, code, status);
+      const currentYearSafeHarbor = _roundToCents(projectedTax * config.CURRENT_YEAR_RATE);
+      const noPriorYearAGI = isMFS && rules.MFS_NO_PRIOR_YEAR_SAFE_HARBOR_AGI !== undefined
+        ? rules.MFS_NO_PRIOR_YEAR_SAFE_HARBOR_AGI
+        : rules.NO_PRIOR_YEAR_SAFE_HARBOR_AGI;
+      const priorYearSafeHarbor = noPriorYearAGI !== undefined && projectedIncome >= noPriorYearAGI
+        ? ''
+        : _roundToCents(priorTax[code] * priorYearRate);
+      const required = priorYearSafeHarbor === ''
+        ? currentYearSafeHarbor
+        : Math.min(currentYearSafeHarbor, priorYearSafeHarbor);
+      const minimum = isMFS && rules.MFS_MINIMUM_BALANCE_DUE !== undefined
+        ? rules.MFS_MINIMUM_BALANCE_DUE
+        : rules.MINIMUM_BALANCE_DUE;
+      const toPay = projectedTax - withheld[code] < minimum ? 0 : Math.max(0, required - withheld[code]);
+
+      rows.push(
+        [label, 'Projected tax', '', projectedTax],
+        [label, 'Current-year safe harbor', '', currentYearSafeHarbor],
+        [label, 'Prior-year safe harbor', '', priorYearSafeHarbor],
+        [label, 'Required annual payment', '', required],
+        [label, 'Withholding', '', withheld[code]]
+      );
+      // Round cumulatively so the installments add up to the total exactly.
+      let share = 0;
+      let paid = 0;
+      rules.INSTALLMENTS.forEach((fraction, i) => {
+        share += fraction;
+        const cumulative = _roundToCents(toPay * share);
+        rows.push([label, `Q${i + 1}`, fraction > 0 ? dueDates[i] : '', _roundToCents(cumulative - paid)]);
+        paid = cumulative;
+      });
+    }
+    return _appendProjectionFlag(rows, year);
+  });
+}
+
+/**
+ * Returns the underpayment penalty on `amount` from one date to a later
+ * one, at the rate in effect on each day (private method)
+ * @param {number} amount - Underpayment
+ * @param {string} from - Installment due date, 'YYYY-MM-DD'
+ * @param {string} to - Date paid, 'YYYY-MM-DD'
+ * @param {number} year - Tax year, for its FEDERAL_UNDERPAYMENT_RATES
+ * @returns {number} Penalty, unrounded
+ * @private
+ */
+function _calculateUnderpaymentPenalty(amount, from, to, year) {
+  const DAY = 24 * 60 * 60 * 1000;
+  const rates = FEDERAL_UNDERPAYMENT_RATES[year];
+  // Rate periods start April 1, July 1 and October 1 of the tax year and
+  // January 1 and April 1 of the next.
+  const periodStarts = [[year, 3], [year, 6], [year, 9], [year + 1, 0], [year + 1, 3]]
+    .map(([y, month]) => Date.UTC(y, month, 1));
+  const start = Date.parse(from);
+  const end = Date.parse(to);
+  let penalty = 0;
+  periodStarts.forEach((periodStart, i) => {
+    const periodEnd = i + 1 < periodStarts.length ? periodStarts[i + 1] : Infinity;
+    const overlapStart = Math.max(start, periodStart);
+    const overlapEnd = Math.min(end, periodEnd);
+    if (overlapEnd <= overlapStart) {
+      return;
+    }
+    // Days are counted over a 365- or 366-day year per the Form 2210 worksheet.
+    const calendarYear = new Date(overlapStart).getUTCFullYear();
+    const daysInYear = (Date.UTC(calendarYear + 1, 0, 1) - Date.UTC(calendarYear, 0, 1)) / DAY;
+    penalty += amount * rates[i] * ((overlapEnd - overlapStart) / DAY) / daysInYear;
+  });
+  return penalty;
+}
+
+/**
+ * Applies payments to required installments and prices the underpayments
+ * (Form 2210 Part III and the penalty worksheet) (private method)
+ *
+ * Each payment is applied on its installment's due date, first to earlier
+ * underpayments still outstanding (oldest first), then to the current
+ * installment; any excess carries forward. An underpayment accrues the
+ * penalty until it's paid or the return's due date.
+ *
+ * @param {Array<number>} required - Required installments
+ * @param {Array<number>} payments - Payments made by each due date
+ * @param {Array<string>} dueDates - Installment due dates
+ * @param {number} year - Tax year
+ * @returns {{shortfalls: Array<number>, penalties: Array<number>}} Per
+ *     installment: the underpayment on its due date and the penalty it
+ *     accrues
+ * @private
+ */
+function _applyInstallmentPayments(required, payments, dueDates, year) {
+  const returnDueDate = _getDueDate(year + 1, 4, 15);
+  const shortfalls = [];
+  const penalties = required.map(() => 0);
+  const outstanding = [];
+  let overpayment = 0;
+  required.forEach((installment, i) => {
+    let available = payments[i] + overpayment;
+    while (available > 0 && outstanding.length > 0) {
+      const oldest = outstanding[0];
+      const paid = Math.min(available, oldest.amount);
+      penalties[oldest.index] += _calculateUnderpaymentPenalty(paid, dueDates[oldest.index], dueDates[i], year);
+      oldest.amount -= paid;
+      available -= paid;
+      if (oldest.amount <= 0) {
+        outstanding.shift();
+      }
+    }
+    const shortfall = Math.max(0, installment - available);
+    overpayment = Math.max(0, available - installment);
+    shortfalls.push(_roundToCents(shortfall));
+    if (shortfall > 0) {
+      outstanding.push({ index: i, amount: shortfall });
+    }
+  });
+  for (const { index, amount } of outstanding) {
+    penalties[index] += _calculateUnderpaymentPenalty(amount, dueDates[index], returnDueDate, year);
+  }
+  return { shortfalls, penalties: penalties.map(_roundToCents) };
+}
+
+/**
+ * Estimates the federal underpayment penalty with the annualized income
+ * installment method (Form 2210 Schedule AI)
+ *
+ * Income earned late in the year (a December bonus, a Q4 stock sale) lowers
+ * the installments due before it. Schedule AI annualizes the AGI earned
+ * through March 31, May 31, August 31 and December 31 (×4, ×2.4, ×1.5, ×1),
+ * subtracts the standard deduction and prices it with getFederalIncomeTax;
+ * 22.5%, 45%, 67.5% and 90% of those annualized taxes, less the earlier
+ * installments, cap each installment at the regular 25% of the required
+ * annual payment (plus any regular amount not yet required). The required
+ * annual payment is the lesser of 90% of this year's tax or 100% of last
+ * year's (110% over $150,000 prior-year AGI, $75,000 MFS).
+ *
+ * Payments, including withholding, count as paid on the due date of the
+ * period they're listed in; withholding is normally spread evenly. The
+ * penalty runs from each due date until the underpayment is covered by
+ * later payments or the return is due (April 15), at the IRS underpayment
+ * rate for each quarter. A 'Penalty without annualizing' row gives the
+ * regular method's figure for comparison. Tax is at ordinary rates only:
+ * no capital-gain rates, credits, self-employment tax or AMT, and the
+ * $1,000 de minimis test isn't applied.
  *
- * @param {number} income - Annual taxable income
+ * @param {Array<number>} periodIncome - AGI earned in each period: Jan-Mar,
+ *     Apr-May, Jun-Aug, Sep-Dec (four cells)
+ * @param {Array<number>} payments - Estimated tax and withholding paid in
+ *     each period, by its installment due date (four cells)
+ * @param {number} priorYearTax - Last year's total tax
+ * @param {number} priorYearAGI - Last year's AGI
  * @param {number} year - Tax year (2023-2026)
- * @param {string} jurisdiction - Tax jurisdiction ('federal', 'ny', 'ca', 'nc')
- * @returns {number} Marginal tax rate as a decimal (e.g., 0.22 for 22%)
+ * @param {string} filingStatus - Filing status (default 'mfj')
+ * @returns {Array<Array<string|number>>} Six-column rows of [label, Q1, Q2,
+ *     Q3, Q4, total]: 'Due date', 'Annualized income', 'Annualized tax',
+ *     'Regular installment', 'Required installment', 'Payments',
+ *     'Shortfall', 'Penalty', 'Penalty without annualizing'. Totals are
+ *     blank where a sum means nothing.
  * @throws {Error} If parameters are invalid
  *
  * @example
- * // Federal marginal rate for $150,000 income in 2024
- * getMarginalRate(150000, 2024, 'federal'); // Returns 0.22
- *
- * @example
- * // NY marginal rate for $500,000 income in 2025
- * getMarginalRate(500000, 2025, 'ny'); // Returns 0.0685
+ * // 2024 MFJ: $150,000 through August, then $450,000 including a year-end
+ * // bonus; $6,500 paid a quarter against last year's $40,000 tax on
+ * // $180,000 AGI (safe harbor $44,000). The regular method's $11,000
+ * // installments cost $903.65; annualized, $455.95.
+ * getUnderpaymentPenalty([50000, 50000, 50000, 450000], [6500, 6500, 6500, 6500],
+ *     40000, 180000, 2024);
+ * // → [..., ['Required installment', 6228.45, 10276.2, 5893.2, 21602.15, 44000],
+ * //    ..., ['Penalty', 0, 69.71, 75.56, 310.68, 455.95],
+ * //    ['Penalty without annualizing', 61.97, 244.2, 407.62, 189.86, 903.65]]
  */
-function getMarginalRate(income, year, jurisdiction) {
-  _validateTaxInputs(income, year, jurisdiction);
+function getUnderpaymentPenalty(periodIncome, payments, priorYearTax, priorYearAGI, year, filingStatus = 'mfj') {
+  return _withEstimateFlag(() => {
+    _validateYear(year);
+    const status = _validateFilingStatus(filingStatus);
+    _validateNonNegativeNumber(priorYearTax, 'Prior-year tax');
+    _validateNonNegativeNumber(priorYearAGI, 'Prior-year AGI');
+    const config = TAX_CONFIG.ESTIMATED_TAX;
+    const periods = config.ANNUALIZATION_FACTORS.length;
+    const readPeriods = (values, label) => {
+      const list = (Array.isArray(values) ? values.flat() : [values]).filter(value => value !== '');
+      if (list.length !== periods) {
+        throw new Error(`${label} needs ${periods} amounts, one per period`);
+      }
+      list.forEach((value, i) => _validateNonNegativeNumber(value, `${label} for period ${i + 1}`));
+      return list;
+    };
+    const income = readPeriods(periodIncome, 'Period income');
+    const paid = readPeriods(payments, 'Payments');
 
-  const brackets = TAX_BRACKETS[jurisdiction][year];
+    let cumulativeIncome = 0;
+    const annualizedIncome = [];
+    const annualizedTax = income.map((amount, i) => {
+      cumulativeIncome += amount;
+      annualizedIncome.push(_roundToCents(cumulativeIncome * config.ANNUALIZATION_FACTORS[i]));
+      return getFederalIncomeTax(getFederalTaxableIncome(annualizedIncome[i], 0, year, 0, status), year, status);
+    });
 
-  for (const [threshold, rate] of brackets) {
-    if (income < threshold) {
-      return rate;
-    }
-  }
+    const currentYearTax = annualizedTax[periods - 1];
+    const requiredAnnualPayment = Math.min(
+      currentYearTax * config.CURRENT_YEAR_RATE,
+      priorYearTax * _getPriorYearSafeHarborRate(priorYearAGI, status)
+    );
+    const regular = config.JURISDICTIONS.federal.INSTALLMENTS.map(share =>
+      _roundToCents(requiredAnnualPayment * share));
 
-  // Return highest rate if income exceeds all thresholds
-  return brackets[brackets.length - 1][1];
+    // Schedule AI lines 22-29.
+    const required = [];
+    let priorRequired = 0;
+    let regularCarry = 0;
+    annualizedTax.forEach((tax, i) => {
+      const annualized = _roundToCents(Math.max(0, tax * config.ANNUALIZED_INSTALLMENT_RATES[i] - priorRequired));
+      const regularDue = _roundToCents(regular[i] + regularCarry);
+      const installment = Math.min(annualized, regularDue);
+      regularCarry = regularDue - installment;
+      required.push(installment);
+      priorRequired += installment;
+    });
+
+    const dueDates = _getInstallmentDueDates(year);
+    const annualizedResult = _applyInstallmentPayments(required, paid, dueDates, year);
+    const regularResult = _applyInstallmentPayments(regular, paid, dueDates, year);
+    const sum = values => _roundToCents(values.reduce((total, value) => total + value, 0));
+    const rows = [
+      ['Due date', ...dueDates, ''],
+      ['Annualized income', ...annualizedIncome, ''],
+      ['Annualized tax', ...annualizedTax, ''],
+      ['Regular installment', ...regular, sum(regular)],
+      ['Required installment', ...required, sum(required)],
+      ['Payments', ...paid, sum(paid)],
+      ['Shortfall', ...annualizedResult.shortfalls, ''],
+      ['Penalty', ...annualizedResult.penalties, sum(annualizedResult.penalties)],
+      ['Penalty without annualizing', ...regularResult.penalties, sum(regularResult.penalties)],
+    ];
+    return rows;
+  });
 }
 
 /**
- * Helper function to calculate preferential tax rate (0%, 15%, 20%)
- * Used for both qualified dividends and long-term capital gains
+ * Returns the annual federal income tax withholding for an adjusted
+ * annual wage amount (Pub 15-T percentage-method tables) (private method)
  *
- * This function correctly handles bracket-spanning: when preferential income
- * pushes total income across bracket boundaries, different portions are taxed
- * at different rates. Ordinary income fills lower brackets first, then
- * preferential income is stacked on top and taxed progressively.
+ * The tables are the tax brackets shifted by the standard deduction less
+ * Worksheet 1A line 1g (already out of the wages); the Step 2 checkbox
+ * tables halve both the deduction and the bracket widths.
  *
- * @param {number} amount - Amount subject to preferential tax rate
- * @param {number} totalTaxableIncome - Total taxable income (including preferential amount)
- * @param {number} year - Tax year (2023-2026)
- * @param {string} assetType - Description of asset type for error messages
- * @returns {number} Tax owed on the amount
- * @throws {Error} If parameters are invalid
+ * @param {number} adjustedWages - Worksheet 1A line 1i
+ * @param {number} year - Tax year
+ * @param {string} schedule - 'single', 'mfj' or 'hoh'
+ * @param {boolean} multipleJobs - Whether the W-4 Step 2 box is checked
+ * @returns {number} Tentative annual withholding, unrounded
  * @private
  */
-function _calculatePreferentialTax(amount, totalTaxableIncome, year, assetType) {
-  // Validate inputs
-  _validateNonNegativeNumber(amount, assetType);
-  _validateNonNegativeNumber(totalTaxableIncome, 'Total taxable income');
-  _validateYear(year);
-
-  if (amount > totalTaxableIncome) {
-    throw new Error(`${assetType} (${amount}) cannot exceed total taxable income (${totalTaxableIncome})`);
+function _calculateFederalWithholding(adjustedWages, year, schedule, multipleJobs) {
+  const config = TAX_CONFIG.WITHHOLDING;
+  const deduction = FEDERAL_WITHHOLDING_STANDARD_DEDUCTION[year][schedule];
+  const brackets = _getBrackets('federal', year, schedule);
+  if (multipleJobs) {
+    const halved = brackets.map(([threshold, rate], i) =>
+      [i === brackets.length - 1 ? threshold : threshold / 2, rate]);
+    return _calculateProgressiveTax(halved, Math.max(0, adjustedWages - deduction / 2));
   }
+  const offset = deduction - config.STEP_2_ADJUSTMENT[schedule];
+  return _calculateProgressiveTax(brackets, Math.max(0, adjustedWages - offset));
+}
 
-  const brackets = QUALIFIED_DIVIDEND_BRACKETS[year];
-  if (!brackets) {
-    throw new Error(`Tax brackets not available for year ${year}`);
+/**
+ * Returns the annual state income tax withholding on annual wages
+ * (private method)
+ * @param {number} annualWages - Wages for the year
+ * @param {number} year - Tax year
+ * @param {string} state - 'ny', 'ca' or 'nc'
+ * @param {string} filingStatus - Validated filing status
+ * @param {number} allowances - State withholding allowances
+ * @returns {number} Annual withholding, unrounded
+ * @private
+ */
+function _calculateStateWithholding(annualWages, year, state, filingStatus, allowances) {
+  if (state === 'ca') {
+    // DE 44 Method B: standard deduction, the rate schedule, then a
+    // personal exemption credit per allowance. Table 3 gives married
+    // employees claiming 0 or 1 allowance the low (single) deduction.
+    const jointDeduction = getStateStandardDeduction(year, 'ca', filingStatus);
+    const deduction = allowances >= TAX_CONFIG.WITHHOLDING.CA_HIGH_DEDUCTION_ALLOWANCES
+      ? jointDeduction : jointDeduction / 2;
+    const taxableWages = Math.max(0, annualWages - deduction);
+    const tax = getStateIncomeTax(taxableWages, year, 'ca', filingStatus);
+    return Math.max(0, tax - allowances * CA_EXEMPTION_CREDITS[year].personal);
   }
+  const rules = TAX_CONFIG.WITHHOLDING.STATES[state];
+  const taxableWages = Math.max(0,
+    annualWages - rules.DEDUCTION_ALLOWANCE[filingStatus] - allowances * rules.PER_ALLOWANCE);
+  return getStateIncomeTax(taxableWages, year, state, filingStatus);
+}
 
-  // Ordinary income fills brackets first; preferential income stacks on top
-  const ordinaryIncome = totalTaxableIncome - amount;
-  let totalTax = 0;
-  let remainingAmount = amount;
-  let previousThreshold = 0;
+/**
+ * Estimates paycheck withholding from a Form W-4 and projects it against
+ * the year's liability
+ *
+ * Federal withholding follows the Pub 15-T percentage method for the 2020+
+ * W-4 (Worksheet 1A): wages are annualized, Step 4(a) other income added,
+ * Step 4(b) deductions subtracted, the tentative tax read from the
+ * standard or Step 2 checkbox table, Step 3 credits spread over the pay
+ * periods and the Step 4(c) extra added. `state` adds NY, CA or NC
+ * withholding by the states' exact-calculation methods (NYS-50-T-NYS, DE
+ * 44 Method B, NC-30), taxed with getStateIncomeTax; the printed
+ * wage-bracket tables can differ by a few dollars. NY and CA withholding
+ * need an MFJ / QSS status, as their calculators do.
+ *
+ * The projection assumes this paycheck for the rest of the year. Federal
+ * liability is getFederalIncomeTax on wages plus Step 4(a) income, less
+ * the standard deduction and Step 4(b) deductions, less Step 3 credits;
+ * state liability is getStateIncomeTax after the state standard deduction
+ * (and, for CA, getCAExemptionCreditsMFJ). The suggested extra withholding
+ * is the per-period amount (W-4 Step 4(c), or the state form's additional
+ * withholding line) that brings the projection to the liability, to the
+ * nearest dollar; blank once no pay periods remain.
+ *
+ * `w4Options` fields (all optional):
+ *   filingStatus          - W-4 Step 1(c); default 'mfj'
+ *   multipleJobs          - Step 2 checkbox; default FALSE
+ *   dependentCredits      - Step 3 annual credits; default 0
+ *   otherIncome           - Step 4(a) annual other income; default 0
+ *   deductions            - Step 4(b) annual deductions; default 0
+ *   extraWithholding      - Step 4(c) per period; default 0
+ *   stateAllowances       - IT-2104 / DE 4 / NC-4 allowances; default 0
+ *                           (CA: 0 or 1 takes the low standard deduction)
+ *   stateExtraWithholding - State additional withholding per period; default 0
+ *   periodsPaid           - Pay periods already paid this year; default 0
+ *   federalWithheldToDate - Default periodsPaid × this paycheck's withholding
+ *   stateWithheldToDate   - Default periodsPaid × this paycheck's withholding
+ *
+ * @param {number} grossPerPeriod - Taxable wages per pay period (after
+ *     pre-tax deductions such as 401(k))
+ * @param {string} payFrequency - 'daily', 'weekly', 'biweekly',
+ *     'semimonthly', 'monthly', 'quarterly', 'semiannual' or 'annual'
+ * @param {Object|Array<Array<*>>} w4Options - Object or two-column [name, value] range
+ * @param {number} year - Tax year (2023-2026)
+ * @param {string} state - Optional 'ny', 'ca' or 'nc'
+ * @returns {Array<Array<string|number>>} Rows of [label, federal] or, with
+ *     a state, [label, federal, state]: 'Annual wages', 'Withholding per
+ *     period', 'Projected withholding', 'Projected liability', 'Projected
+ *     balance due' (negative for a refund), 'Suggested extra withholding
+ *     per period'
+ * @throws {Error} If parameters are invalid
+ *
+ * @example
+ * // 2024 MFJ, $4,000 biweekly, standard W-4: 12% bracket withholding
+ * getPaycheckWithholding(4000, 'biweekly', null, 2024);
+ * // → [['Annual wages', 104000], ['Withholding per period', 327.38], ...]
+ */
+function getPaycheckWithholding(grossPerPeriod, payFrequency, w4Options, year, state) {
+  return _withEstimateFlag(() => {
+    const config = TAX_CONFIG.WITHHOLDING;
+    _validateNonNegativeNumber(grossPerPeriod, 'Gross pay per period');
+    _validateYear(year);
+    const frequency = typeof payFrequency === 'string' ? payFrequency.trim().toLowerCase() : payFrequency;
+    const periods = config.PAY_PERIODS[frequency];
+    if (!periods) {
+      throw new Error(`Pay frequency must be one of: ${Object.keys(config.PAY_PERIODS).join(', ')}`);
+    }
+    const stateCode = state ? String(state).trim().toLowerCase() : '';
+    if (stateCode && stateCode !== 'ca' && !(stateCode in config.STATES)) {
+      throw new Error('State withholding covers ny, ca and nc');
+    }
+    const opts = _parseOptions(w4Options, {
+      filingStatus: 'mfj',
+      multipleJobs: false,
+      dependentCredits: 0,
+      otherIncome: 0,
+      deductions: 0,
+      extraWithholding: 0,
+      stateAllowances: 0,
+      stateExtraWithholding: 0,
+      periodsPaid: 0,
+      federalWithheldToDate: undefined,
+      stateWithheldToDate: undefined,
+    }, 'W-4 options');
+    const status = _validateFilingStatus(opts.filingStatus);
+    if (stateCode && !STATE_JURISDICTIONS[stateCode].filingStatuses.includes(status)) {
+      throw new Error(`${STATE_JURISDICTIONS[stateCode].name} withholding needs filing status ` +
+        `${STATE_JURISDICTIONS[stateCode].filingStatuses.join(' or ')}, not ${status}`);
+    }
+    for (const field of ['dependentCredits', 'otherIncome', 'deductions', 'extraWithholding',
+      'stateAllowances', 'stateExtraWithholding']) {
+      _validateNonNegativeNumber(opts[field], field);
+    }
+    if (!Number.isInteger(opts.periodsPaid) || opts.periodsPaid < 0 || opts.periodsPaid > periods) {
+      throw new Error(`periodsPaid must be a whole number from 0 to ${periods}`);
+    }
+    const remaining = periods - opts.periodsPaid;
 
-  for (const [threshold, rate] of brackets) {
-    // Calculate space in this bracket after ordinary income
-    const bracketStart = Math.max(ordinaryIncome, previousThreshold);
-    const bracketSpace = Math.max(0, threshold - bracketStart);
+    // Worksheet 1A.
+    const annualWages = _roundToCents(grossPerPeriod * periods);
+    const schedule = config.SCHEDULES[status];
+    const multipleJobs = opts.multipleJobs === true || String(opts.multipleJobs).toUpperCase() === 'TRUE';
+    const lineG = multipleJobs ? 0 : config.STEP_2_ADJUSTMENT[schedule];
+    const adjustedWages = Math.max(0, annualWages + opts.otherIncome - opts.deductions - lineG);
+    const tentative = _calculateFederalWithholding(adjustedWages, year, schedule, multipleJobs);
+    const federalPerPeriod = _roundToCents(
+      Math.max(0, tentative / periods - opts.dependentCredits / periods) + opts.extraWithholding);
 
-    // Calculate how much preferential income fits in this bracket
-    const amountInBracket = Math.min(remainingAmount, bracketSpace);
+    const income = annualWages + opts.otherIncome;
+    const federalTaxable = Math.max(0, getFederalTaxableIncome(income, 0, year, 0, status) - opts.deductions);
+    const federalLiability = _roundToCents(
+      Math.max(0, getFederalIncomeTax(federalTaxable, year, status) - opts.dependentCredits));
 
-    if (amountInBracket > 0) {
-      totalTax += amountInBracket * rate;
-      remainingAmount -= amountInBracket;
-    }
+    const project = (perPeriod, withheldToDate, liability, extra) => {
+      const toDate = withheldToDate === undefined ? perPeriod * opts.periodsPaid : withheldToDate;
+      _validateNonNegativeNumber(toDate, 'Withheld to date');
+      const projected = _roundToCents(toDate + perPeriod * remaining);
+      const balance = _roundToCents(liability - projected);
+      const suggested = remaining > 0 ? Math.max(0, Math.round(extra + balance / remaining)) : '';
+      return [perPeriod, projected, liability, balance, suggested];
+    };
+    const columns = [project(federalPerPeriod, opts.federalWithheldToDate, federalLiability, opts.extraWithholding)];
 
-    if (remainingAmount <= 0) break;
-    previousThreshold = threshold;
-  }
+    if (stateCode) {
+      const statePerPeriod = _roundToCents(
+        _calculateStateWithholding(annualWages, year, stateCode, status, opts.stateAllowances) / periods +
+        opts.stateExtraWithholding);
+      const stateTaxable = Math.max(0, income - getStateStandardDeduction(year, stateCode, status));
+      let stateLiability = getStateIncomeTax(stateTaxable, year, stateCode, status);
+      if (stateCode === 'ca') {
+        stateLiability = _roundToCents(Math.max(0, stateLiability - getCAExemptionCreditsMFJ(income, 0, year)));
+      }
+      columns.push(project(statePerPeriod, opts.stateWithheldToDate, stateLiability, opts.stateExtraWithholding));
+    }
 
-  return totalTax;
+    const labels = ['Withholding per period', 'Projected withholding', 'Projected liability',
+      'Projected balance due', 'Suggested extra withholding per period'];
+    return [
+      ['Annual wages', ...columns.map(() => annualWages)],
+      ...labels.map((label, i) => [label, ...columns.map(column => column[i])]),
+    ];
+  });
 }
 
 /**
- * Calculates federal qualified dividend tax for married filing jointly
- * Qualified dividends are taxed at preferential capital gains rates (0%, 15%, or 20%)
- * based on total taxable income rather than the dividend amount
+ * Calculates the taxable part of Social Security benefits
  *
- * @param {number} qualifiedDividends - Total qualified dividend income
- * @param {number} totalTaxableIncome - Total taxable income (including dividends)
- * @param {number} year - Tax year (2023-2026)
- * @returns {number} Federal tax owed on qualified dividends
+ * Federal (Pub 915 Worksheet 1): provisional income is other income plus
+ * tax-exempt interest plus half the benefits. Over the first base amount
+ * ($32,000 MFJ, $25,000 single / HOH / QSS), 50% of the excess is taxable,
+ * up to half the benefits; over the second ($44,000 / $34,000), 85% of the
+ * further excess is added; at most 85% of benefits are taxable. MFS filers
+ * who lived with their spouse have no base amount.
+ *
+ * In the phase-in ranges each extra dollar of other income also makes
+ * $0.50 or $0.85 of benefits taxable (the "tax torpedo"), so the marginal
+ * rate there is the bracket rate × 1.5 or × 1.85. getMarginalRate,
+ * getEffectiveMarginalRate and getRothConversionPlan account for it when
+ * given the benefits.
+ *
+ * For a state, returns the benefits included in state income: NY, CA, NC,
+ * MA, NJ and IL exempt them; CT taxes 25% of the federally taxable amount
+ * above $75,000 / $100,000 federal AGI (an estimate; see getTaxDataStatus).
+ *
+ * @param {number} benefits - Social Security benefits for the year (SSA-1099 box 5)
+ * @param {number} otherIncome - AGI excluding Social Security
+ * @param {number} taxExemptInterest - Tax-exempt interest
+ * @param {number} year - Tax year
+ * @param {string} filingStatus - Filing status (default 'mfj')
+ * @param {string} jurisdiction - 'federal' (default) or a registered state
+ * @returns {number} Taxable benefits
  * @throws {Error} If parameters are invalid
  *
  * @example
- * // Example: $50,000 in qualified dividends, $200,000 total income in 2024
- * // Total income of $200,000 falls in the 15% bracket
- * const tax = getQualifiedDividendTax(50000, 200000, 2024); // Returns $7,500
+ * // MFJ, $40,000 of benefits, $30,000 of other income: provisional income
+ * // $50,000 → 50% × $12,000 + 85% × $6,000
+ * getTaxableSocialSecurity(40000, 30000, 0, 2025); // → 11100
  */
-function getQualifiedDividendTax(qualifiedDividends, totalTaxableIncome, year) {
-  return _roundToCents(_calculatePreferentialTax(qualifiedDividends, totalTaxableIncome, year, 'Qualified dividends'));
+function getTaxableSocialSecurity(benefits, otherIncome, taxExemptInterest, year, filingStatus = 'mfj',
+    jurisdiction = 'federal') {
+  return _withEstimateFlag(() => {
+    _validateNonNegativeNumber(benefits, 'Benefits');
+    _validateNonNegativeNumber(otherIncome, 'Other income');
+    _validateNonNegativeNumber(taxExemptInterest, 'Tax-exempt interest');
+    _validateProjectableYear(year);
+    const status = _validateFilingStatus(filingStatus);
+    const code = typeof jurisdiction === 'string' ? jurisdiction.trim().toLowerCase() : jurisdiction;
+    if (code !== 'federal' && !(code in STATE_JURISDICTIONS)) {
+      throw new Error(`Jurisdiction must be federal or one of: ${Object.keys(STATE_JURISDICTIONS).join(', ')}`);
+    }
+
+    if (code !== 'federal' && !STATE_JURISDICTIONS[code].filingStatuses.includes(status)) {
+      const supported = STATE_JURISDICTIONS[code].filingStatuses.join(', ');
+      throw new Error(`Filing status '${status}' not supported for '${code}' (supported: ${supported})`);
+    }
+    return _socialSecurityInclusion(benefits, otherIncome, taxExemptInterest, year, status, code).taxable;
+  });
 }
 
 /**
- * Calculates federal long-term capital gains tax for married filing jointly
- * Long-term capital gains (assets held > 1 year) are taxed at preferential rates
- * (0%, 15%, or 20%) based on total taxable income, same as qualified dividends
+ * Works out the taxable part of Social Security benefits and how fast it
+ * grows with other income (private method)
  *
- * @param {number} longTermCapitalGains - Total long-term capital gains
- * @param {number} totalTaxableIncome - Total taxable income (including gains)
- * @param {number} year - Tax year (2023-2026)
- * @returns {number} Federal tax owed on long-term capital gains
- * @throws {Error} If parameters are invalid
+ * `perDollar` is the benefits the next dollar of other income makes
+ * taxable: federally 0.5 or 0.85 inside the phase-in tiers, and 0 below
+ * them or once 85% of the benefits are taxable; for a state, its taxable
+ * share of that. A state's AGI exemption ends all at once — a cliff, not a
+ * slope — so it isn't in `perDollar`; `exempt` says whether it applies.
  *
- * @example
- * // Example: $100,000 in long-term capital gains, $200,000 total income in 2024
- * // Total income of $200,000 falls in the 15% bracket
- * const tax = getLongTermCapitalGainsTax(100000, 200000, 2024); // Returns $15,000
+ * @param {number} benefits - Benefits for the year
+ * @param {number} otherIncome - AGI excluding Social Security
+ * @param {number} taxExemptInterest - Tax-exempt interest
+ * @param {number} year - Validated tax year
+ * @param {string} status - Validated filing status
+ * @param {string} jurisdiction - 'federal' or a registered state
+ * @param {boolean} keepExemption - Apply a state's AGI exemption whatever
+ *     the AGI (default false)
+ * @returns {{taxable: number, perDollar: number, exempt: boolean}} Taxable
+ *     benefits, their slope in other income, and whether the jurisdiction
+ *     exempts them outright
+ * @private
+ */
+function _socialSecurityInclusion(benefits, otherIncome, taxExemptInterest, year, status, jurisdiction,
+    keepExemption = false) {
+  const config = TAX_CONFIG.SOCIAL_SECURITY_BENEFITS;
+  const [firstBase, secondBase] = config.BASE_AMOUNTS[status];
+  const [firstRate, secondRate] = config.INCLUSION_RATES;
+  const provisionalIncome = otherIncome + taxExemptInterest + benefits * firstRate;
+  const overFirstBase = Math.max(0, provisionalIncome - firstBase);
+  const overSecondBase = Math.max(0, provisionalIncome - secondBase);
+  const firstTier = Math.min(firstRate * Math.min(overFirstBase, secondBase - firstBase), firstRate * benefits);
+  const cap = secondRate * benefits;
+  const federal = _roundToCents(Math.min(firstTier + secondRate * overSecondBase, cap));
+  let perDollar = 0;
+  if (firstTier + secondRate * overSecondBase < cap) {
+    if (provisionalIncome >= secondBase) {
+      perDollar = secondRate;
+    } else if (provisionalIncome >= firstBase && firstTier < firstRate * benefits) {
+      perDollar = firstRate;
+    }
+  }
+  if (jurisdiction === 'federal') {
+    return { taxable: federal, perDollar, exempt: false };
+  }
+
+  const rule = STATE_JURISDICTIONS[jurisdiction].socialSecurity;
+  if (!rule || keepExemption || otherIncome + federal < rule[year].exemptBelowAGI[status]) {
+    return { taxable: 0, perDollar: 0, exempt: true };
+  }
+  const { taxableShare } = rule[year];
+  return { taxable: _roundToCents(federal * taxableShare), perDollar: perDollar * taxableShare, exempt: false };
+}
+
+/**
+ * Returns the IRMAA tier for a MAGI (private method)
+ * @param {number} magi - MAGI from the lookback year
+ * @param {number} premiumYear - Validated premium year
+ * @param {string} filingStatus - Validated filing status
+ * @returns {number} Tier, 0 (standard premium) to 5
+ * @private
  */
-function getLongTermCapitalGainsTax(longTermCapitalGains, totalTaxableIncome, year) {
-  return _roundToCents(_calculatePreferentialTax(longTermCapitalGains, totalTaxableIncome, year, 'Long-term capital gains'));
+function _getIRMAATier(magi, premiumYear, filingStatus) {
+  const thresholds = MEDICARE_IRMAA_THRESHOLDS[premiumYear][filingStatus];
+  const last = thresholds.length - 1;
+  return thresholds.filter((threshold, i) => (i === last ? magi >= threshold : magi > threshold)).length;
 }
 
 /**
- * Calculates Net Investment Income Tax (NIIT) for married filing jointly
- * NIIT is a 3.8% surtax on investment income for high earners, introduced by the
- * Affordable Care Act in 2013. It applies when modified AGI exceeds $250,000.
+ * Calculates the Medicare Part B and Part D income-related surcharges
+ * (IRMAA) for one enrollee
  *
- * The tax is calculated as 3.8% of the LESSER of:
- * 1. Net investment income (dividends, capital gains, interest, passive rental income, etc.)
- * 2. The amount by which modified AGI exceeds the threshold ($250,000)
+ * A premium year's IRMAA uses MAGI (AGI plus tax-exempt interest) from two
+ * years earlier: 2026 premiums follow 2024 MAGI. The tiers are cliffs:
+ * $1 over a boundary costs the whole next tier's surcharge for the year.
+ * Single, HOH and QSS use the individual tiers; MFS filers who lived with
+ * their spouse jump from the standard premium to the fourth tier. Amounts
+ * are per enrollee; a couple both on Medicare pays twice.
  *
- * Note: NIIT rate and threshold have remained unchanged since 2013.
+ * Premium years after 2026 are projected: the tier boundaries are indexed
+ * (the $500,000 / $750,000 top one only from 2028), the premiums are held
+ * at 2026's, and the rows end with an 'Estimate' row.
  *
- * @param {number} netInvestmentIncome - Total net investment income (dividends, capital gains, interest, etc.)
- * @param {number} modifiedAGI - Modified Adjusted Gross Income (typically same as AGI)
- * @param {number} year - Tax year (2013 or later)
- * @returns {number} Net Investment Income Tax owed
+ * @param {number} magi - MAGI for premiumYear − 2
+ * @param {number} premiumYear - Year the premiums are paid (2023-2026, or a
+ *     projected year through 2060)
+ * @param {string} filingStatus - Filing status in the MAGI year (default 'mfj')
+ * @returns {Array<Array<string|number>>} Label/value rows: 'MAGI year',
+ *     'Tier' (0 = standard premium), 'Part B premium', 'Part B surcharge',
+ *     'Part D surcharge' (monthly), 'Annual surcharge'
  * @throws {Error} If parameters are invalid
  *
  * @example
- * // Example 1: $100,000 investment income, $300,000 MAGI
- * // MAGI exceeds threshold by $50,000, which is less than investment income
- * const tax1 = getNetInvestmentIncomeTax(100000, 300000, 2024); // Returns $1,900 (3.8% of $50,000)
- *
- * @example
- * // Example 2: $30,000 investment income, $400,000 MAGI
- * // MAGI exceeds threshold by $150,000, but investment income is only $30,000
- * const tax2 = getNetInvestmentIncomeTax(30000, 400000, 2024); // Returns $1,140 (3.8% of $30,000)
- *
- * @example
- * // Example 3: $50,000 investment income, $200,000 MAGI
- * // MAGI does not exceed threshold, so no NIIT
- * const tax3 = getNetInvestmentIncomeTax(50000, 200000, 2024); // Returns $0
+ * // 2026 premiums, 2024 MAGI of $220,000 MFJ: first tier
+ * getIRMAASurcharge(220000, 2026);
+ * // → [['MAGI year', 2024], ['Tier', 1], ['Part B premium', 284.1],
+ * //    ['Part B surcharge', 81.2], ['Part D surcharge', 14.5],
+ * //    ['Annual surcharge', 1148.4]]
  */
-function getNetInvestmentIncomeTax(netInvestmentIncome, modifiedAGI, year) {
-  // Validate inputs
-  _validateNonNegativeNumber(netInvestmentIncome, 'Net investment income');
-  _validateNonNegativeNumber(modifiedAGI, 'Modified AGI');
-  _validateYear(year, 2013); // NIIT introduced in 2013
-
-  const { RATE, THRESHOLD } = TAX_CONFIG.NIIT;
-
-  // Calculate amount by which MAGI exceeds threshold
-  const excessIncome = Math.max(0, modifiedAGI - THRESHOLD);
-
-  // NIIT applies to the lesser of net investment income or excess income
-  const taxableAmount = Math.min(netInvestmentIncome, excessIncome);
-
-  // Apply 3.8% rate
-  return _roundToCents(taxableAmount * RATE);
+function getIRMAASurcharge(magi, premiumYear, filingStatus = 'mfj') {
+  return _withEstimateFlag(() => {
+    _validateNonNegativeNumber(magi, 'MAGI');
+    _validateProjectableYear(premiumYear);
+    const status = _validateFilingStatus(filingStatus);
+    const tier = _getIRMAATier(magi, premiumYear, status);
+    const partB = MEDICARE_PART_B_PREMIUMS[premiumYear];
+    const partBSurcharge = _roundToCents(partB[tier] - partB[0]);
+    const partDSurcharge = MEDICARE_PART_D_SURCHARGES[premiumYear][tier];
+    return _appendProjectionFlag([
+      ['MAGI year', premiumYear - _IRMAA_LOOKBACK_YEARS],
+      ['Tier', tier],
+      ['Part B premium', partB[tier]],
+      ['Part B surcharge', partBSurcharge],
+      ['Part D surcharge', partDSurcharge],
+      ['Annual surcharge', _roundToCents(12 * (partBSurcharge + partDSurcharge))],
+    ], premiumYear);
+  });
 }
 
 /**
- * Calculates Child Tax Credit for married filing jointly
- * The CTC provides tax relief for families with qualifying children under age 17.
+ * Returns how much more MAGI fits before the next IRMAA tier, and what
+ * crossing it costs
  *
- * Credit amounts and refundability:
- * - 2023: $2,000 per child (up to $1,600 refundable)
- * - 2024: $2,000 per child (up to $1,700 refundable)
- * - 2025-2026: $2,200 per child (up to $1,700 refundable)
- *
- * The credit phases out at $50 per $1,000 (or fraction thereof) of modified AGI
- * exceeding $400,000 for married filing jointly.
- *
- * Note: The One Big Beautiful Bill Act (OBBBA, July 2025) made the enhanced CTC
- * permanent and indexed for inflation starting 2026. Phase-out threshold remains
- * permanently at $400,000 for married filing jointly.
+ * Use next to getMarginalRate or getRothConversionPlan when sizing a Roth
+ * conversion: a conversion in tax year Y sets the premiums for Y + 2.
+ * Headroom is in whole dollars of MAGI that keep the current tier, and is
+ * blank in the top tier. Premium years after 2026 are projected as for
+ * getIRMAASurcharge.
  *
- * @param {number} numberOfChildren - Number of qualifying children under age 17
- * @param {number} modifiedAGI - Modified Adjusted Gross Income
- * @param {number} year - Tax year (2023-2026)
- * @returns {number} Child Tax Credit amount (before considering tax liability)
+ * @param {number} magi - MAGI for premiumYear − 2
+ * @param {number} premiumYear - Year the premiums are paid (2023-2026, or a
+ *     projected year through 2060)
+ * @param {string} filingStatus - Filing status in the MAGI year (default 'mfj')
+ * @returns {Array<Array<string|number>>} Label/value rows: 'Tier', 'Next
+ *     tier starts at' (MAGI), 'Headroom', 'Annual surcharge increase'
+ *     (per enrollee)
  * @throws {Error} If parameters are invalid
  *
  * @example
- * // Example 1: 2 children, $300,000 MAGI in 2024 (below phase-out threshold)
- * const credit1 = getChildTaxCredit(2, 300000, 2024); // Returns $4,000
- *
- * @example
- * // Example 2: 3 children, $450,000 MAGI in 2025 (above phase-out threshold)
- * // Excess: $50,000 / $1,000 = 50 increments × $50 = $2,500 reduction
- * const credit2 = getChildTaxCredit(3, 450000, 2025); // Returns $4,100 ($6,600 - $2,500)
- *
- * @example
- * // Example 3: 1 child, $600,000 MAGI in 2026 (high income)
- * // Excess: $200,000 / $1,000 = 200 increments × $50 = $10,000 reduction
- * // Credit fully phased out (reduction exceeds credit amount)
- * const credit3 = getChildTaxCredit(1, 600000, 2026); // Returns $0
+ * // 2026 premiums, 2024 MAGI of $200,000 MFJ: $18,000 of room, then
+ * // $1,148.40 a year per enrollee
+ * getIRMAAHeadroom(200000, 2026);
+ * // → [['Tier', 0], ['Next tier starts at', 218001], ['Headroom', 18000],
+ * //    ['Annual surcharge increase', 1148.4]]
  */
-function getChildTaxCredit(numberOfChildren, modifiedAGI, year) {
-  // Validate inputs
-  if (typeof numberOfChildren !== 'number' || numberOfChildren < 0 || !Number.isInteger(numberOfChildren)) {
-    throw new Error('Number of children must be a non-negative integer');
-  }
+function getIRMAAHeadroom(magi, premiumYear, filingStatus = 'mfj') {
+  return _withEstimateFlag(() => {
+    _validateNonNegativeNumber(magi, 'MAGI');
+    _validateProjectableYear(premiumYear);
+    const status = _validateFilingStatus(filingStatus);
+    const thresholds = MEDICARE_IRMAA_THRESHOLDS[premiumYear][status];
+    const tier = _getIRMAATier(magi, premiumYear, status);
+    if (tier === thresholds.length) {
+      return _appendProjectionFlag(
+        [['Tier', tier], ['Next tier starts at', ''], ['Headroom', ''], ['Annual surcharge increase', '']],
+        premiumYear
+      );
+    }
+    // Every tier but the top starts $1 over its boundary.
+    const nextTierStart = tier === thresholds.length - 1 ? thresholds[tier] : thresholds[tier] + 1;
+    const nextTier = _getIRMAATier(nextTierStart, premiumYear, status);
+    const monthly = t => MEDICARE_PART_B_PREMIUMS[premiumYear][t] + MEDICARE_PART_D_SURCHARGES[premiumYear][t];
+    return _appendProjectionFlag([
+      ['Tier', tier],
+      ['Next tier starts at', nextTierStart],
+      ['Headroom', Math.max(0, Math.floor(nextTierStart - 1 - magi))],
+      ['Annual surcharge increase', _roundToCents(12 * (monthly(nextTier) - monthly(tier)))],
+    ], premiumYear);
+  });
+}
 
-  _validateNonNegativeNumber(modifiedAGI, 'Modified AGI');
-  _validateYear(year);
+// ─── Web app API ────────────────────────────────────────────────────────
+// doGet / doPost serve the calculators as JSON to other scripts (see the
+// webapp section of appsscript.json). A request is one scenario:
+//   year                 Tax year (required)
+//   taxableIncome        Taxable income, including the preferential income
+//                        below (required)
+//   jurisdictions        Components as for getEffectiveMarginalRate:
+//                        "federal,ny,nyc" or ["federal", "ny", "nyc"]
+//   filingStatus         Default 'mfj'
+//   qualifiedDividends,  Parts of taxableIncome taxed at the 0% / 15% / 20%
+//   netCapitalGain       rates (federal only)
+//   modifiedAGI          For NIIT, the CTC phase-out and the NYC household
+//                        credit; defaults to taxableIncome
+//   netInvestmentIncome  For NIIT
+//   numberOfChildren     For the Child Tax Credit
+//   shortTermGains, shortTermLosses, longTermGains, longTermLosses,
+//   shortTermCarryforward, longTermCarryforward
+//                        Raw Schedule D amounts, netted as by
+//                        getCapitalGainNetting in place of netCapitalGain;
+//                        taxableIncome and modifiedAGI then exclude them
+// Responses are { ok: true, ... } or { ok: false, error: { code, message } }
+// with code BAD_REQUEST (body isn't a JSON object), INVALID_SCENARIO
+// (the calculators rejected the input) or INTERNAL_ERROR. Apps Script web
+// apps always answer HTTP 200, so callers check `ok`.
+const _API_SCENARIO_DEFAULTS = {
+  year: undefined,
+  taxableIncome: undefined,
+  jurisdictions: 'federal',
+  filingStatus: 'mfj',
+  qualifiedDividends: 0,
+  netCapitalGain: 0,
+  modifiedAGI: undefined,
+  netInvestmentIncome: 0,
+  numberOfChildren: 0,
+  shortTermGains: undefined,
+  shortTermLosses: undefined,
+  longTermGains: undefined,
+  longTermLosses: undefined,
+  shortTermCarryforward: undefined,
+  longTermCarryforward: undefined,
+};
+const _API_GAIN_FIELDS = Object.keys(_CAPITAL_GAIN_AMOUNT_FIELDS);
+const _API_NUMBER_FIELDS = [
+  'year', 'taxableIncome', 'qualifiedDividends', 'netCapitalGain',
+  'modifiedAGI', 'netInvestmentIncome', 'numberOfChildren', ..._API_GAIN_FIELDS,
+];
 
-  // If no children, return 0
-  if (numberOfChildren === 0) {
-    return 0;
+/**
+ * Nets an API scenario's raw capital gains and losses (private method)
+ * @param {Object} scenario - Parsed scenario with a validated filingStatus
+ * @returns {Object|null} { netCapitalGain, includedInIncome,
+ *     shortTermCarryforward, longTermCarryforward }, or null if the
+ *     scenario has no gain fields
+ * @throws {Error} If the amounts are invalid or netCapitalGain is also given
+ * @private
+ */
+function _netApiCapitalGains(scenario) {
+  if (_API_GAIN_FIELDS.every(field => scenario[field] === undefined)) {
+    return null;
   }
-
-  // Get credit amounts for the year
-  const creditData = CHILD_TAX_CREDIT_AMOUNTS[year];
-  if (!creditData) {
-    throw new Error(`Child Tax Credit amounts not available for year ${year}`);
+  if (scenario.netCapitalGain !== 0) {
+    throw new Error('Scenario takes netCapitalGain or the gains and losses to net, not both');
   }
+  const amounts = {};
+  for (const field of _API_GAIN_FIELDS) {
+    if (scenario[field] !== undefined) {
+      amounts[field] = scenario[field];
+    }
+  }
+  return _netCapitalGainAmounts(amounts, scenario.filingStatus, 'Scenario');
+}
 
-  // Calculate base credit
-  const baseCredit = creditData.creditPerChild * numberOfChildren;
-
-  // Get phase-out parameters
-  const { PHASE_OUT_THRESHOLD, PHASE_OUT_RATE, PHASE_OUT_INCREMENT } = TAX_CONFIG.CHILD_TAX_CREDIT;
-
-  // Calculate phase-out reduction
-  if (modifiedAGI <= PHASE_OUT_THRESHOLD) {
-    // Below threshold, no phase-out
-    return baseCredit;
+/**
+ * Calculates the taxes for one API scenario (private method)
+ * @param {Object} input - Scenario fields (see above)
+ * @returns {Object} { ok, dataVersion, scenario, capitalGains, taxes:
+ *     { component: tax }, totalTax, estimate } where capitalGains is the
+ *     netting result (null without gain fields), credits are negative and
+ *     `estimate` describes any unconfirmed data used, or is null
+ * @throws {Error} If the scenario is invalid
+ * @private
+ */
+function _calculateApiScenario(input) {
+  const scenario = _parseOptions(input, _API_SCENARIO_DEFAULTS, 'Scenario');
+  if (scenario.year === undefined || scenario.taxableIncome === undefined) {
+    throw new Error('Scenario needs year and taxableIncome');
   }
+  if (scenario.modifiedAGI === undefined) {
+    scenario.modifiedAGI = scenario.taxableIncome;
+  }
+  _validateNonNegativeNumber(scenario.taxableIncome, 'Taxable income');
+  _validateNonNegativeNumber(scenario.qualifiedDividends, 'Qualified dividends');
+  _validateNonNegativeNumber(scenario.netCapitalGain, 'Net capital gain');
+  _validateProjectableYear(scenario.year);
+  scenario.filingStatus = _validateFilingStatus(scenario.filingStatus);
+  const components = _parseTaxComponents(scenario.jurisdictions);
+  scenario.jurisdictions = components;
 
-  // Calculate excess income over threshold
-  const excessIncome = modifiedAGI - PHASE_OUT_THRESHOLD;
+  const capitalGains = _netApiCapitalGains(scenario);
+  const included = capitalGains ? capitalGains.includedInIncome : 0;
+  const taxableIncome = Math.max(0, _roundToCents(scenario.taxableIncome + included));
+  const netCapitalGain = capitalGains ? capitalGains.netCapitalGain : scenario.netCapitalGain;
+  const preferentialIncome = scenario.qualifiedDividends + netCapitalGain;
+  if (preferentialIncome > taxableIncome) {
+    throw new Error(`Qualified dividends plus net capital gain (${preferentialIncome}) ` +
+      `cannot exceed taxable income (${taxableIncome})`);
+  }
 
-  // Calculate number of $1,000 increments (round up for any fraction)
-  const increments = Math.ceil(excessIncome / PHASE_OUT_INCREMENT);
+  const ctx = {
+    taxableIncome,
+    modifiedAGI: Math.max(0, _roundToCents(scenario.modifiedAGI + included)),
+    netInvestmentIncome: scenario.netInvestmentIncome,
+    numberOfChildren: scenario.numberOfChildren,
+    year: scenario.year,
+    filingStatus: scenario.filingStatus,
+    preferentialIncome,
+  };
+  const taxes = {};
+  let totalTax = 0;
+  const { reads } = _collectTaxDataReads(() => {
+    for (const component of components) {
+      taxes[component] = _calculateComponentTax(component, ctx);
+      totalTax += taxes[component];
+    }
+  });
 
-  // Calculate total reduction
-  const reduction = increments * PHASE_OUT_RATE;
+  return {
+    ok: true,
+    dataVersion: _taxData().version,
+    scenario,
+    capitalGains,
+    taxes,
+    totalTax: _roundToCents(totalTax),
+    estimate: _describeEstimatedData(reads) || null,
+  };
+}
 
-  // Apply reduction, but credit cannot go below zero
-  const finalCredit = Math.max(0, baseCredit - reduction);
+/**
+ * Runs an API request and converts failures to error responses (private method)
+ * @param {function(): Object} handle - Produces the success response
+ * @returns {GoogleAppsScript.Content.TextOutput} JSON response
+ * @private
+ */
+function _respondJson(handle) {
+  let body;
+  try {
+    body = handle();
+  } catch (e) {
+    // The calculators throw plain Errors for bad input; anything else
+    // (TypeError, ...) is a bug.
+    const code = e.code || (e.name === 'Error' ? 'INVALID_SCENARIO' : 'INTERNAL_ERROR');
+    body = { ok: false, error: { code, message: e.message } };
+  }
+  return ContentService.createTextOutput(JSON.stringify(body))
+    .setMimeType(ContentService.MimeType.JSON);
+}
 
-  return finalCredit;
+/**
+ * Creates an Error carrying an API error code (private method)
+ * @param {string} code - API error code
+ * @param {string} message - Error message
+ * @returns {Error}
+ * @private
+ */
+function _apiError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
 }
 
 /**
- * Returns the NY State allowed deduction for MFJ: the greater of the
- * income-phased itemized deduction or the standard deduction.
- *
- * Encodes Form IT-196 lines 46–47 (Itemized deduction adjustment and
- * after adjustment) plus the IT-201-I standard deduction table — see
- * _NY_DEDUCTION_BANDS_MFJ_2023_2026 for the transcribed coefficients
- * and sources.
- *
- * The caller must pass `itemizedTotal` as the would-be itemized amount
- * *before* the NY income-based phaseout (equivalent to IT-196 line 45),
- * and `charitable` as total gifts to charity (IT-196 line 19). The top
- * two bands replace the allowed deduction entirely with a fraction of
- * charitable contributions.
- *
- * @param {number} nyAgi - NY Adjusted Gross Income (IT-201 line 33)
- * @param {number} itemizedTotal - Itemized deductions before the NY
- *     income-based phaseout (IT-196 line 45)
- * @param {number} charitable - Total gifts to charity (IT-196 line 19)
- * @param {number} year - Tax year (2023-2026; 2026 rolls forward from 2025)
- * @returns {number} Allowed deduction (standard or phased itemized,
- *     whichever is greater).
- * @throws {Error} If parameters are invalid or the year isn't supported.
+ * Web app GET handler: calculates a scenario passed as query parameters
+ * (e.g. ?year=2025&taxableIncome=300000&jurisdictions=federal,ny), or
+ * describes the API when called without any
  *
- * @example
- * // 2025 MFJ, NYAGI $1,042,100, itemized $53,230 (incl. $4,456 charitable):
- * // NYAGI > $1M → allowed itemized = 50% × $4,456 = $2,228, less than
- * // the $16,050 MFJ standard, so the standard wins.
- * getNYDeductionMFJ(1042100, 53230, 4456, 2025); // → 16050
+ * @param {Object} e - Apps Script event; `e.parameter` holds the query
+ * @returns {GoogleAppsScript.Content.TextOutput} JSON response
  */
-function getNYDeductionMFJ(nyAgi, itemizedTotal, charitable, year) {
-  _validateNonNegativeNumber(nyAgi, 'NY AGI');
-  _validateNonNegativeNumber(itemizedTotal, 'Itemized total');
-  _validateNonNegativeNumber(charitable, 'Charitable');
-  _validateYear(year);
-
-  const bands = _NY_DEDUCTION_PHASEOUT_MFJ[year];
-  const standard = _NY_STANDARD_DEDUCTION_MFJ[year];
-  if (!bands || standard === undefined) {
-    throw new Error(
-      `NY itemized deduction phaseout (MFJ) not available for year ${year}`
-    );
-  }
+function doGet(e) {
+  return _respondJson(() => {
+    const params = (e && e.parameter) || {};
+    if (Object.keys(params).length === 0) {
+      return {
+        ok: true,
+        dataVersion: _taxData().version,
+        supportedYears: TAX_CONFIG.SUPPORTED_YEARS,
+        projectedThrough: TAX_CONFIG.PROJECTION.LAST_YEAR,
+        filingStatuses: TAX_CONFIG.FILING_STATUSES,
+        jurisdictions: Object.keys(_TAX_COMPONENT_LABELS).concat(Object.keys(STATE_JURISDICTIONS)),
+        fields: Object.keys(_API_SCENARIO_DEFAULTS),
+      };
+    }
+    const input = Object.assign({}, params);
+    for (const field of _API_NUMBER_FIELDS) {
+      if (field in input) {
+        const value = Number(input[field]);
+        if (input[field] === '' || !Number.isFinite(value)) {
+          throw _apiError('INVALID_SCENARIO', `${field} must be a number`);
+        }
+        input[field] = value;
+      }
+    }
+    return _calculateApiScenario(input);
+  });
+}
 
-  const band = bands.find(b => nyAgi <= b.upperAgi);
-  const phased = band.apply(nyAgi, itemizedTotal, charitable);
-  return phased > standard ? _roundToCents(phased) : standard;
-}
\ No newline at end of file
+/**
+ * Web app POST handler: calculates the scenario in the JSON request body
+ *
+ * @param {Object} e - Apps Script event; `e.postData.contents` holds the body
+ * @returns {GoogleAppsScript.Content.TextOutput} JSON response
+ */
+function doPost(e) {
+  return _respondJson(() => {
+    let input;
+    try {
+      input = JSON.parse(e && e.postData ? e.postData.contents : '');
+    } catch (parseError) {
+      throw _apiError('BAD_REQUEST', `Request body is not JSON: ${parseError.message}`);
+    }
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+      throw _apiError('BAD_REQUEST', 'Request body must be a JSON object');
+    }
+    return _calculateApiScenario(input);
+  });
+}
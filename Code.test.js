@@ -12,11 +12,32 @@ const path = require('node:path');
 const vm = require('node:vm');
 const assert = require('node:assert');
 
+// TaxData.js runs first here, though Code.js doesn't need it to (see the
+// load-order test).
+const DATA_PATH = path.join(__dirname, 'TaxData.js');
 const CODE_PATH = path.join(__dirname, 'Code.js');
 const sandbox = {};
 vm.createContext(sandbox);
+vm.runInContext(fs.readFileSync(DATA_PATH, 'utf8'), sandbox, { filename: DATA_PATH });
 vm.runInContext(fs.readFileSync(CODE_PATH, 'utf8'), sandbox, { filename: CODE_PATH });
-const { getNYIncomeTax, getNYDeductionMFJ, getChildTaxCredit } = sandbox;
+const {
+  getNYIncomeTax, getNYDeductionMFJ, getChildTaxCredit,
+  getFederalIncomeTax, getMarginalRate, getQualifiedDividendTax,
+  getNetInvestmentIncomeTax, getFederalTaxableIncome, getFederalIncomeTaxFromAGI,
+  getLongTermCapitalGainsTax, getFederalTaxWithCapitalGains, getAlternativeMinimumTax,
+  getPayrollTax, getSelfEmploymentTax, getQBIDeduction, getCapitalGainNetting,
+  getNYCIncomeTax, getYonkersSurcharge, getNYTotalIncomeTax,
+  getStateIncomeTax, getStateStandardDeduction, getCAIncomeTax, getNCIncomeTax,
+  getMAIncomeTax, getNJIncomeTax, getCTIncomeTax, getILIncomeTax,
+  getCAAllowedDeductionMFJ, getCAExemptionCreditsMFJ, getCAIncomeTaxFromAGI,
+  getNCTaxableIncome, getNCIncomeTaxFromAGI, getEffectiveMarginalRate, getGrossUpIncome,
+  getBracketHeadroom, getRothConversionPlan, getTaxBracketBreakdown,
+  getProjectedTaxParameters, setProjectionInflationRate,
+  getTaxDataStatus, setEstimateFlagMode, _validateTaxData,
+  _registerStateJurisdiction, doGet, doPost, getEstimatedTaxPayments, getUnderpaymentPenalty,
+  getPaycheckWithholding, getTaxableSocialSecurity, getIRMAASurcharge, getIRMAAHeadroom,
+  _solveGrossUpSegment,
+} = sandbox;
 
 // ──────────────────────────────────────────────────────────────────────
 // Tiny test runner — avoids a package.json / devDependency.
@@ -29,6 +50,12 @@ function approxEquals(actual, expected, tolerance, msg) {
     `${msg}: expected ${expected} ±${tolerance}, got ${actual}`
   );
 }
+// Looks up the value for `label` in a [label, value] table returned for Sheets.
+function rowValue(rows, label) {
+  const row = rows.find(r => r[0] === label);
+  assert.ok(row, `missing row '${label}'`);
+  return row[1];
+}
 
 // ──────────────────────────────────────────────────────────────────────
 // Acceptance case: real 2025 MFJ filed return (from the bug report).
@@ -256,7 +283,7 @@ test('2023 MFJ high-AGI bug-report case → standard (same as 2025)', () => {
 });
 
 // 2026 is a rollover of the 2025 phaseout + standard deduction (see the
-// comment in Code.js above _NY_DEDUCTION_BANDS_MFJ_2023_2026). Every 2026
+// comment in Code.js above _NY_DEDUCTION_BANDS_MFJ). Every 2026
 // output should match the corresponding 2025 output.
 test('2026 MFJ low AGI → matches 2025 (rollover)', () => {
   assert.strictEqual(
@@ -293,6 +320,1310 @@ test('CTC phase-out rounds UP: MAGI $401,500 → $100 reduction (2 increments)',
   assert.strictEqual(getChildTaxCredit(2, 401500, 2026), 4300);
 });
 
+// ──────────────────────────────────────────────────────────────────────
+// Filing statuses — federal brackets, preferential rates, NIIT, CTC.
+// ──────────────────────────────────────────────────────────────────────
+
+test('Federal defaults to MFJ when filing status is omitted', () => {
+  assert.strictEqual(getFederalIncomeTax(250000, 2025), getFederalIncomeTax(250000, 2025, 'mfj'));
+  assert.strictEqual(getFederalIncomeTax(250000, 2025, 'qss'), getFederalIncomeTax(250000, 2025, 'mfj'));
+});
+
+test('2025 single $100,000 → $16,914', () => {
+  // 0.10·11,925 + 0.12·36,550 + 0.22·51,525 = 1,192.50 + 4,386 + 11,335.50
+  assert.strictEqual(getFederalIncomeTax(100000, 2025, 'single'), 16914);
+});
+
+test('2025 HOH $100,000 → $15,175 (status is case-insensitive)', () => {
+  // 0.10·17,000 + 0.12·47,850 + 0.22·35,150 = 1,700 + 5,742 + 7,733
+  assert.strictEqual(getFederalIncomeTax(100000, 2025, 'HOH'), 15175);
+});
+
+test('2025 MFS 35% bracket ends at $375,800 (half of MFJ)', () => {
+  assert.strictEqual(getMarginalRate(375000, 2025, 'federal', 'mfs'), 0.35);
+  assert.strictEqual(getMarginalRate(376000, 2025, 'federal', 'mfs'), 0.37);
+  assert.strictEqual(getMarginalRate(376000, 2025, 'federal', 'single'), 0.35);
+});
+
+test('2025 single qualified dividends use the $48,350 0% ceiling', () => {
+  // Ordinary $40,000; $8,350 at 0%, $11,650 at 15% = $1,747.50
+  assert.strictEqual(getQualifiedDividendTax(20000, 60000, 2025, 'single'), 1747.5);
+});
+
+test('NIIT single threshold is $200,000', () => {
+  // 3.8% × min(50,000, 230,000 − 200,000) = 3.8% × 30,000
+  assert.strictEqual(getNetInvestmentIncomeTax(50000, 230000, 2025, 'single'), 1140);
+  assert.strictEqual(getNetInvestmentIncomeTax(50000, 230000, 2025), 0);
+});
+
+test('CTC HOH phases out above $200,000', () => {
+  // $2,200 − 10 × $50 = $1,700
+  assert.strictEqual(getChildTaxCredit(1, 210000, 2025, 'hoh'), 1700);
+  assert.strictEqual(getChildTaxCredit(1, 210000, 2025), 2200);
+});
+
+test('Unknown filing status and non-MFJ state status throw', () => {
+  assert.throws(() => getFederalIncomeTax(100000, 2025, 'joint'), /Filing status must be one of/);
+  assert.throws(() => getMarginalRate(100000, 2025, 'ny', 'single'), /not supported for 'ny'/);
+  assert.strictEqual(getMarginalRate(100000, 2025, 'nc', 'single'), 0.0425);
+});
+
+// ──────────────────────────────────────────────────────────────────────
+// getFederalTaxableIncome — standard vs. itemized, SALT cap, 2/37 limit.
+// ──────────────────────────────────────────────────────────────────────
+
+test('2025 MFJ low itemized → standard $31,500', () => {
+  assert.strictEqual(getFederalTaxableIncome(150000, 20000, 2025, 10000), 118500);
+});
+
+test('2024 MFJ SALT capped at $10,000 (pre-OBBBA)', () => {
+  // itemized = 30,000 − 25,000 + 10,000 = 15,000 < 29,200 standard
+  assert.strictEqual(getFederalTaxableIncome(200000, 30000, 2024, 25000), 170800);
+  // itemized = 50,000 − 25,000 + 10,000 = 35,000 > standard
+  assert.strictEqual(getFederalTaxableIncome(200000, 50000, 2024, 25000), 165000);
+});
+
+test('2025 MFJ SALT capped at $40,000 below the phase-down', () => {
+  // itemized = 60,000 − 45,000 + 40,000 = 55,000
+  assert.strictEqual(getFederalTaxableIncome(400000, 60000, 2025, 45000), 345000);
+});
+
+test('2025 MFJ SALT cap phases down 30% over $500K AGI', () => {
+  // cap = 40,000 − 0.30 × 50,000 = 25,000 → itemized 15,000 + 25,000
+  assert.strictEqual(getFederalTaxableIncome(550000, 60000, 2025, 45000), 510000);
+});
+
+test('2025 MFJ SALT cap floors at $10,000 → standard wins', () => {
+  // itemized 15,000 + 10,000 = 25,000 < 31,500
+  assert.strictEqual(getFederalTaxableIncome(700000, 60000, 2025, 45000), 668500);
+});
+
+test('2025 MFS halves the SALT cap, threshold and floor', () => {
+  // cap = 20,000 − 0.30 × (300,000 − 250,000) = 5,000 (= floor)
+  // itemized 15,000 + 5,000 = 20,000 > 15,750 standard
+  assert.strictEqual(getFederalTaxableIncome(300000, 30000, 2025, 15000, 'mfs'), 280000);
+});
+
+test('2026 MFJ 2/37 limitation above the 37% bracket', () => {
+  // SALT floored at 10,000 → itemized 50,000. Excess over $768,700 is
+  // 231,300 > 50,000 → reduction = 2/37 × 50,000 = 2,702.70.
+  approxEquals(getFederalTaxableIncome(1000000, 60000, 2026, 20000), 952702.70, 0.01, '2/37');
+  // 2025 has no 2/37 limitation.
+  assert.strictEqual(getFederalTaxableIncome(1000000, 60000, 2025, 20000), 950000);
+});
+
+test('Taxable income never goes negative; SALT cannot exceed itemized', () => {
+  assert.strictEqual(getFederalTaxableIncome(20000, 0, 2025), 0);
+  assert.throws(() => getFederalTaxableIncome(100000, 5000, 2025, 6000), /cannot exceed/);
+});
+
+test('getFederalIncomeTaxFromAGI chains taxable income into brackets', () => {
+  // 2025 MFJ: 150,000 − 31,500 = 118,500 → 2,385 + 8,772 + 4,741
+  assert.strictEqual(getFederalIncomeTaxFromAGI(150000, 0, 2025), 15898);
+  assert.strictEqual(
+    getFederalIncomeTaxFromAGI(150000, 0, 2025, 0, 'single'),
+    getFederalIncomeTax(150000 - 15750, 2025, 'single')
+  );
+});
+
+// ──────────────────────────────────────────────────────────────────────
+// getFederalTaxWithCapitalGains — Schedule D Tax Worksheet.
+// ──────────────────────────────────────────────────────────────────────
+
+test('2025 MFJ ordinary + QD/LTCG stacks without double-counting', () => {
+  // Ordinary tax on $200,000 = 2,385 + 8,772 + 22,671 = 33,828; 15% × 100,000.
+  assert.strictEqual(getFederalTaxWithCapitalGains(300000, 50000, 50000, 2025), 48828);
+});
+
+test('2025 MFJ gain straddling the 0% ceiling matches the piecewise sum', () => {
+  assert.strictEqual(
+    getFederalTaxWithCapitalGains(80000, 0, 30000, 2025),
+    getFederalIncomeTax(50000, 2025) + getLongTermCapitalGainsTax(30000, 80000, 2025)
+  );
+});
+
+test('Gains exceeding taxable income are all taxed at 0%', () => {
+  assert.strictEqual(getFederalTaxWithCapitalGains(50000, 0, 100000, 2025), 0);
+});
+
+test('2025 MFJ unrecaptured §1250 gain: ordinary to top of 24%, then 25%', () => {
+  // $300,000 ordinary + $200,000 §1250 gain. Line 21 = $394,600, so
+  // $94,600 of the gain is taxed at 24%; the other $105,400 at 25%.
+  // Ordinary tax on 394,600 = 80,398; 0.25 × 105,400 = 26,350.
+  assert.strictEqual(getFederalTaxWithCapitalGains(500000, 0, 200000, 2025, 'mfj', 200000), 106748);
+});
+
+test('2025 MFJ collectibles gain at 28% in the 37% bracket', () => {
+  assert.strictEqual(
+    getFederalTaxWithCapitalGains(1000000, 0, 100000, 2025, 'mfj', 0, 100000),
+    getFederalIncomeTax(900000, 2025) + 28000
+  );
+});
+
+test('Worksheet never exceeds ordinary tax on all income', () => {
+  // §1250 gain entirely within the 12% bracket is taxed at 12%, not 25%.
+  assert.strictEqual(
+    getFederalTaxWithCapitalGains(60000, 0, 20000, 2025, 'mfj', 20000),
+    getFederalIncomeTax(60000, 2025)
+  );
+});
+
+// ──────────────────────────────────────────────────────────────────────
+// getAlternativeMinimumTax — Form 6251.
+// ──────────────────────────────────────────────────────────────────────
+
+test('2025 MFJ ISO exercise triggers AMT', () => {
+  // AMTI = 400,000 + 40,000 + 300,000 = 740,000 (< $1,252,700 phase-out)
+  // base = 740,000 − 137,000 = 603,000
+  // TMT  = 0.26 × 239,100 + 0.28 × 363,900 = 62,166 + 101,892 = 164,058
+  // AMT  = 164,058 − 82,126 regular
+  assert.strictEqual(
+    getAlternativeMinimumTax(400000, { saltDeduction: 40000, isoBargainElement: 300000 }, 2025),
+    81932
+  );
+});
+
+test('AMT adjustments accept a two-column Sheets range', () => {
+  assert.strictEqual(
+    getAlternativeMinimumTax(400000, [['saltDeduction', 40000], ['isoBargainElement', 300000]], 2025),
+    getAlternativeMinimumTax(400000, { saltDeduction: 40000, isoBargainElement: 300000 }, 2025)
+  );
+  assert.throws(() => getAlternativeMinimumTax(400000, { iso: 1 }, 2025), /unknown field 'iso'/);
+});
+
+test('2025 MFJ typical W-2 household owes no AMT', () => {
+  assert.strictEqual(getAlternativeMinimumTax(200000, { saltDeduction: 10000 }, 2025), 0);
+});
+
+test('2025 MFJ AMT keeps 15% rate on dividends and gains (Part III)', () => {
+  // AMTI 840,000 → base 703,000; ordinary AMT income 553,000
+  //   26/28%: 62,166 + 0.28 × 313,900 = 150,058
+  //   15% on 150,000 (0% room used up by $350,000 regular ordinary) = 22,500
+  // Regular: ordinary tax on 350,000 (69,694) + 22,500 = 92,194
+  assert.strictEqual(
+    getAlternativeMinimumTax(500000, {
+      saltDeduction: 40000, isoBargainElement: 300000,
+      qualifiedDividends: 50000, netCapitalGain: 100000,
+    }, 2025),
+    80364
+  );
+});
+
+test('2026 exemption phases out at 50% above $1M (OBBBA)', () => {
+  // AMTI 2,000,000: exemption 140,200 − 0.5 × 1,000,000 → 0
+  // TMT = 0.26 × 244,500 + 0.28 × 1,755,500 = 63,570 + 491,540 = 555,110
+  const regular = getFederalIncomeTax(1500000, 2026);
+  assert.strictEqual(
+    getAlternativeMinimumTax(1500000, { isoBargainElement: 500000 }, 2026),
+    Math.round((555110 - regular) * 100) / 100
+  );
+});
+
+// ──────────────────────────────────────────────────────────────────────
+// getPayrollTax — FICA and Additional Medicare Tax.
+// ──────────────────────────────────────────────────────────────────────
+
+test('2025 MFJ dual earners: wage base applies per spouse', () => {
+  const rows = getPayrollTax(200000, 150000, 2025);
+  // 6.2% × (176,100 + 150,000)
+  assert.strictEqual(rowValue(rows, 'Social Security'), 20218.2);
+  assert.strictEqual(rowValue(rows, 'Medicare'), 5075);
+  // 0.9% × (350,000 − 250,000)
+  assert.strictEqual(rowValue(rows, 'Additional Medicare Tax'), 900);
+  assert.strictEqual(rowValue(rows, 'Total'), 26193.2);
+  assert.strictEqual(rowValue(rows, 'Excess Social Security withheld'), 0);
+});
+
+test('2025 MFJ multiple employers → excess Social Security withheld', () => {
+  // Spouse 1 had two employers (120,000 + 100,000), each withholding 6.2%
+  // on the full amount: 13,640 withheld vs. 10,918.20 owed.
+  const rows = getPayrollTax([[120000], [100000], ['']], 50000, 2025);
+  assert.strictEqual(rowValue(rows, 'Excess Social Security withheld'), 2721.8);
+  assert.strictEqual(rowValue(rows, 'Additional Medicare Tax'), 180);
+});
+
+test('Single filer uses the $200,000 Additional Medicare threshold', () => {
+  const rows = getPayrollTax(300000, 0, 2025, 'single');
+  assert.strictEqual(rowValue(rows, 'Additional Medicare Tax'), 900);
+  assert.throws(() => getPayrollTax(300000, 1000, 2025, 'single'), /only apply to filing status 'mfj'/);
+});
+
+// ──────────────────────────────────────────────────────────────────────
+// getSelfEmploymentTax and getQBIDeduction.
+// ──────────────────────────────────────────────────────────────────────
+
+test('2025 SE tax coordinates with W-2 wages under the wage base', () => {
+  const rows = getSelfEmploymentTax(100000, 150000, 2025);
+  assert.strictEqual(rowValue(rows, 'Net earnings from self-employment'), 92350);
+  // 12.4% × (176,100 − 150,000)
+  assert.strictEqual(rowValue(rows, 'Social Security'), 3236.4);
+  assert.strictEqual(rowValue(rows, 'Medicare'), 2678.15);
+  assert.strictEqual(rowValue(rows, 'Self-employment tax'), 5914.55);
+  assert.strictEqual(rowValue(rows, 'Deductible half'), 2957.28);
+});
+
+test('SE tax: wages above the base leave only Medicare; < $400 owes nothing', () => {
+  assert.strictEqual(rowValue(getSelfEmploymentTax(50000, 200000, 2025), 'Social Security'), 0);
+  assert.strictEqual(rowValue(getSelfEmploymentTax(400, 0, 2025), 'Self-employment tax'), 0);
+});
+
+test('QBI below threshold: 20% of QBI, capped by taxable income less gain', () => {
+  assert.strictEqual(getQBIDeduction(100000, 300000, 0, 2025), 20000);
+  // 20% × (120,000 − 50,000) = 14,000 < 20,000
+  assert.strictEqual(getQBIDeduction(100000, 120000, 50000, 2025), 14000);
+});
+
+test('QBI SSTB mid-range: applicable percentage and wage limit both phase in', () => {
+  // 50% through the 2025 MFJ range. No wages → 10,000 − 0.5 × 10,000.
+  assert.strictEqual(getQBIDeduction(100000, 444600, 0, 2025, { sstb: true }), 5000);
+  assert.strictEqual(
+    getQBIDeduction(100000, 444600, 0, 2025, [['sstb', true], ['w2Wages', 40000]]),
+    10000
+  );
+});
+
+test('QBI above range: SSTB → 0, non-SSTB limited to 50% of W-2 wages', () => {
+  assert.strictEqual(getQBIDeduction(100000, 600000, 0, 2025, { sstb: true }), 0);
+  assert.strictEqual(getQBIDeduction(100000, 600000, 0, 2025, { w2Wages: 30000 }), 15000);
+  // 25% × 10,000 + 2.5% × 800,000 = 22,500 beats 50% × 10,000 → capped at 20,000
+  assert.strictEqual(getQBIDeduction(100000, 600000, 0, 2025, { w2Wages: 10000, ubia: 800000 }), 20000);
+});
+
+test('QBI 2026 single uses the wider $75,000 OBBBA range', () => {
+  // (239,250 − 201,750) / 75,000 = 50% → same shape as the MFJ 2025 case
+  assert.strictEqual(getQBIDeduction(100000, 239250, 0, 2026, { filingStatus: 'single', sstb: true }), 5000);
+  assert.strictEqual(getQBIDeduction(-5000, 100000, 0, 2026), 0);
+});
+
+// ──────────────────────────────────────────────────────────────────────
+// getCapitalGainNetting — Schedule D netting and loss carryovers.
+// ──────────────────────────────────────────────────────────────────────
+
+test('ST loss absorbs LT gain; $3,000 deducted; rest carries forward short-term', () => {
+  const rows = getCapitalGainNetting(10000, 25000, 4000, 0);
+  assert.strictEqual(rowValue(rows, 'Net capital gain'), 0);
+  assert.strictEqual(rowValue(rows, 'Capital gain (loss) in income'), -3000);
+  assert.strictEqual(rowValue(rows, 'Short-term loss carryforward'), 8000);
+  assert.strictEqual(rowValue(rows, 'Long-term loss carryforward'), 0);
+});
+
+test('Both terms negative: deduction uses short-term loss first', () => {
+  // $2,000 ST + $1,000 of LT used → $9,000 LT carryforward
+  const rows = getCapitalGainNetting(0, 2000, 0, 10000);
+  assert.strictEqual(rowValue(rows, 'Short-term loss carryforward'), 0);
+  assert.strictEqual(rowValue(rows, 'Long-term loss carryforward'), 9000);
+});
+
+test('ST gain offsets LT loss before the deduction limit', () => {
+  const rows = getCapitalGainNetting(5000, 0, 0, 20000);
+  assert.strictEqual(rowValue(rows, 'Long-term loss carryforward'), 12000);
+});
+
+test('Prior-year ST carryforward reduces net capital gain fed to the worksheet', () => {
+  const rows = getCapitalGainNetting(0, 0, 50000, 10000, 5000, 0);
+  const netCapitalGain = rowValue(rows, 'Net capital gain');
+  assert.strictEqual(netCapitalGain, 35000);
+  assert.strictEqual(
+    getFederalTaxWithCapitalGains(235000, 0, netCapitalGain, 2025),
+    getFederalIncomeTax(200000, 2025) + 0.15 * 35000
+  );
+});
+
+test('LT loss offsets ST gain, which stays ordinary', () => {
+  const rows = getCapitalGainNetting(20000, 0, 0, 5000);
+  assert.strictEqual(rowValue(rows, 'Short-term gain taxed as ordinary'), 15000);
+  assert.strictEqual(rowValue(rows, 'Net capital gain'), 0);
+});
+
+test('MFS loss deduction limited to $1,500', () => {
+  const rows = getCapitalGainNetting(0, 1000, 0, 10000, 0, 0, 'mfs');
+  assert.strictEqual(rowValue(rows, 'Capital gain (loss) in income'), -1500);
+  assert.strictEqual(rowValue(rows, 'Long-term loss carryforward'), 9500);
+});
+
+test('getFederalTaxWithCapitalGains nets raw gains and losses itself', () => {
+  // $60,000 LT gain less a $10,000 ST loss: $50,000 of net capital gain
+  // added to the $250,000 of other taxable income.
+  assert.strictEqual(
+    getFederalTaxWithCapitalGains(250000, 50000, [['longTermGains', 60000], ['shortTermLosses', 10000]], 2025),
+    getFederalTaxWithCapitalGains(300000, 50000, 50000, 2025)
+  );
+  // A net loss deducts $3,000 from ordinary income; the rest carries over.
+  assert.strictEqual(
+    getFederalTaxWithCapitalGains(100000, 0, { shortTermLosses: 10000 }, 2025),
+    getFederalIncomeTax(97000, 2025)
+  );
+  // ST gain netted against an LT loss stays ordinary.
+  assert.strictEqual(
+    getFederalTaxWithCapitalGains(100000, 0, { shortTermGains: 20000, longTermLosses: 5000 }, 2025, 'single'),
+    getFederalIncomeTax(115000, 2025, 'single')
+  );
+  assert.throws(() => getFederalTaxWithCapitalGains(100000, 0, { longTermGain: 1 }, 2025),
+    /unknown field 'longTermGain'/);
+  assert.throws(() => getFederalTaxWithCapitalGains(100000, 0, { longTermLosses: -1 }, 2025),
+    /Net capital gain longTermLosses must be/);
+});
+
+// ──────────────────────────────────────────────────────────────────────
+// NYC and Yonkers resident tax.
+// ──────────────────────────────────────────────────────────────────────
+
+test('2025 MFJ NYC $200,000 → brackets less school tax credit', () => {
+  // bracketed 7,527.306 − (125 + 37 + 0.00228 × 178,400) = 6,958.554
+  assert.strictEqual(getNYCIncomeTax(200000, 2025), 6958.55);
+});
+
+test('NYC above $500,000: no school tax credit', () => {
+  // 664.848 + 880.308 + 1,718.55 + 0.03876 × 910,000
+  assert.strictEqual(getNYCIncomeTax(1000000, 2025), 38535.31);
+});
+
+test('NYC low income: household credit and full school tax credit', () => {
+  // 0.03078 × 10,000 = 307.80; household $30 × 2 = 60; school 125 + 17.10
+  assert.strictEqual(getNYCIncomeTax(10000, 2025), 105.7);
+  // Household credit scales with exemptions: $30 × 4 = 120
+  assert.strictEqual(getNYCIncomeTax(10000, 2025, 10000, 4), 45.7);
+});
+
+test('Yonkers surcharge is 16.75% of net state tax', () => {
+  assert.strictEqual(getYonkersSurcharge(20000, 2025), 3350);
+});
+
+test('getNYTotalIncomeTax layers locality on recapture-aware state tax', () => {
+  const state = getNYIncomeTax(1022424, 2025);
+  assert.strictEqual(getNYTotalIncomeTax(1022424, 2025), state);
+  assert.strictEqual(getNYTotalIncomeTax(1022424, 2025, 'none'), state);
+  approxEquals(
+    getNYTotalIncomeTax(1022424, 2025, 'NYC'),
+    state + getNYCIncomeTax(1022424, 2025), 0.01, 'nyc'
+  );
+  approxEquals(
+    getNYTotalIncomeTax(1022424, 2025, 'yonkers'),
+    state * 1.1675, 0.01, 'yonkers'
+  );
+  assert.throws(() => getNYTotalIncomeTax(100000, 2025, 'buffalo'), /Locality must be one of/);
+});
+
+// ──────────────────────────────────────────────────────────────────────
+// California from AGI — deduction limitation and exemption credits (MFJ).
+// ──────────────────────────────────────────────────────────────────────
+
+test('CA itemized limitation: lesser of 6% over threshold or 80% of limited items', () => {
+  assert.strictEqual(getCAAllowedDeductionMFJ(300000, 20000, 2025), 20000);
+  // 6% × (700,000 − 504,411) = 11,735.34
+  assert.strictEqual(getCAAllowedDeductionMFJ(700000, 60000, 2025), 48264.66);
+  // 80% × (50,000 − 10,000 excluded) caps the reduction at 32,000
+  assert.strictEqual(getCAAllowedDeductionMFJ(2000000, 50000, 2025, 10000), 18000);
+  // Limited itemized below the standard deduction → standard
+  assert.strictEqual(getCAAllowedDeductionMFJ(2000000, 12000, 2025), 11412);
+});
+
+test('CA exemption credits shrink $6 per $2,500 of AGI over the threshold', () => {
+  assert.strictEqual(getCAExemptionCreditsMFJ(200000, 2, 2025), 2 * 153 + 2 * 475);
+  // 15,589 over → 7 steps → $42 off each credit
+  assert.strictEqual(getCAExemptionCreditsMFJ(520000, 2, 2025), 2 * 111 + 2 * 433);
+  assert.strictEqual(getCAExemptionCreditsMFJ(1000000, 3, 2025), 0);
+  assert.throws(() => getCAExemptionCreditsMFJ(100000, 1.5, 2025), /whole number/);
+});
+
+test('getCAIncomeTaxFromAGI: credits offset bracketed tax but not the MHST', () => {
+  assert.strictEqual(getCAIncomeTaxFromAGI(150000, 0, 0, 2025), 5549.14);
+  // Credits fully phased out at $3M; itemized 100,000 − 80% limit = 20,000
+  assert.strictEqual(
+    getCAIncomeTaxFromAGI(3000000, 100000, 1, 2026),
+    getCAIncomeTax(2980000, 2026)
+  );
+});
+
+// ──────────────────────────────────────────────────────────────────────
+// North Carolina from AGI — standard and child deductions.
+// ──────────────────────────────────────────────────────────────────────
+
+test('NC child deduction steps down by AGI band', () => {
+  // MFJ $40,000 is the top of the $3,000-per-child band
+  assert.strictEqual(getNCTaxableIncome(40000, 2, 0, 2025), 8500);
+  assert.strictEqual(getNCTaxableIncome(90000, 2, 0, 2025), 61500);
+  assert.strictEqual(getNCTaxableIncome(150000, 2, 0, 2025), 124500);
+  // Single $55,000 → $1,000 per child; itemized above the standard wins
+  assert.strictEqual(getNCTaxableIncome(55000, 1, 15000, 2025, 'single'), 39000);
+  assert.strictEqual(getNCTaxableIncome(20000, 3, 0, 2025), 0);
+});
+
+test('getNCIncomeTaxFromAGI applies the year\'s flat rate', () => {
+  assert.strictEqual(getNCIncomeTaxFromAGI(90000, 2, 0, 2025), 2613.75);
+  assert.strictEqual(getNCIncomeTaxFromAGI(90000, 2, 0, 2026), 2453.85);
+});
+
+// ──────────────────────────────────────────────────────────────────────
+// getEffectiveMarginalRate — real change in tax across components.
+// ──────────────────────────────────────────────────────────────────────
+
+test('Effective marginal rate picks up NY recapture that getMarginalRate misses', () => {
+  const rows = getEffectiveMarginalRate(330000, 2025, 'federal, ny', 1000);
+  assert.strictEqual(rowValue(rows, 'Federal'), 240);
+  assert.strictEqual(rowValue(rows, 'New York'), 123.44);
+  assert.strictEqual(rowValue(rows, 'Total'), 363.44);
+  approxEquals(rows[1][2], 0.12344, 1e-9, 'ny rate');
+  assert.strictEqual(getMarginalRate(330000, 2025, 'ny'), 0.0685);
+});
+
+test('Effective marginal rate: NIIT on investment dollars, CTC phase-out, CA MHST', () => {
+  const niit = getEffectiveMarginalRate(1100000, 2025, ['federal', 'niit'], 1000,
+    [['netInvestmentIncome', 50000], ['deltaIsInvestmentIncome', true]]);
+  assert.strictEqual(rowValue(niit, 'NIIT'), 38);
+  // Wages raise MAGI, but NII already sits below the MAGI excess → no NIIT change
+  const wages = getEffectiveMarginalRate(1100000, 2025, 'niit', 1000, { netInvestmentIncome: 50000 });
+  assert.strictEqual(rowValue(wages, 'NIIT'), 0);
+
+  const ctc = getEffectiveMarginalRate(420000, 2025, 'federal ctc', 1000, { numberOfChildren: 2 });
+  assert.strictEqual(rowValue(ctc, 'Child Tax Credit'), 50);
+
+  const ca = getEffectiveMarginalRate(2000000, 2025, 'ca', 1000);
+  assert.strictEqual(rowValue(ca, 'California'), 133);
+});
+
+test('Effective marginal rate rejects unknown or repeated jurisdictions', () => {
+  assert.throws(() => getEffectiveMarginalRate(100000, 2025, 'federal, tx'), /Unknown jurisdiction 'tx'/);
+  assert.throws(() => getEffectiveMarginalRate(100000, 2025, 'ny, NY'), /listed more than once/);
+  assert.throws(() => getEffectiveMarginalRate(100000, 2025, ''), /at least one component/);
+  assert.throws(() => getEffectiveMarginalRate(100000, 2025, 'federal', 0), /positive number/);
+});
+
+// ──────────────────────────────────────────────────────────────────────
+// getGrossUpIncome — exact inverse of the combined tax functions.
+// ──────────────────────────────────────────────────────────────────────
+
+// Net of `gross` stacked on `other` after federal + NY tax, 2025 MFJ.
+function federalNYNet(gross, other) {
+  const tax = x => getFederalIncomeTax(x, 2025) + getNYIncomeTax(x, 2025);
+  return gross - (tax(other + gross) - tax(other));
+}
+
+test('Gross-up lands on the smallest cent that nets the target', () => {
+  for (const [target, other] of [[50000, 300000], [100000, 0], [60000, 120000]]) {
+    const rows = getGrossUpIncome(target, 2025, 'federal, ny', other);
+    const gross = rowValue(rows, 'Gross income');
+    approxEquals(federalNYNet(gross, other), target, 0.005, `net at ${other}`);
+    assert.ok(federalNYNet(gross - 0.01, other) < target, `a cent less falls short at ${other}`);
+    assert.strictEqual(rowValue(rows, 'Net income'), target);
+  }
+});
+
+test('Gross-up never settles a cent short of the target', () => {
+  const nyc = getGrossUpIncome(200000, 2025, 'federal,ny,nyc');
+  assert.strictEqual(rowValue(nyc, 'Gross income'), 279729.79);
+  assert.strictEqual(rowValue(nyc, 'Net income'), 200000);
+  const ca = getGrossUpIncome(1091307, 2025, 'federal,ca');
+  assert.strictEqual(rowValue(ca, 'Net income'), 1091307);
+  const caNet = gross => gross - getFederalIncomeTax(gross, 2025) - getCAIncomeTax(gross, 2025);
+  const gross = rowValue(ca, 'Gross income');
+  assert.ok(caNet(gross) >= 1091307 - 1e-6 && caNet(gross - 0.01) < 1091307, 'ca lands on the crossing cent');
+});
+
+test('Gross-up segment solver inverts linear and quadratic segments in closed form', () => {
+  const cents = amount => Math.round(amount * 100) / 100;
+  const linear = gross => cents(gross * 0.7);
+  assert.strictEqual(_solveGrossUpSegment(linear, 700, 0, 2000), 1000);
+
+  const quadratic = gross => cents(gross - (0.2 * gross + 1e-5 * gross * gross));
+  const gross = _solveGrossUpSegment(quadratic, 5000, 0, 20000, 1e-5);
+  assert.ok(quadratic(gross) >= 5000 && quadratic(gross - 0.01) < 5000, 'quadratic lands on the crossing cent');
+
+  // Net has already jumped past the target just after the segment start.
+  const jump = gross => (gross <= 500 ? gross / 2 : 1000 + gross / 2);
+  assert.strictEqual(_solveGrossUpSegment(jump, 800, 500, 1000), 500.01);
+});
+
+test('Gross-up reports the brackets it lands in', () => {
+  const rows = getGrossUpIncome(50000, 2025, 'federal, ny', 300000);
+  assert.strictEqual(rowValue(rows, 'Gross income'), 75993.92);
+  assert.strictEqual(rowValue(rows, 'Total tax'), 25993.92);
+  assert.strictEqual(rowValue(rows, 'Federal bracket'), 0.24);
+  assert.strictEqual(rowValue(rows, 'New York bracket'), 0.0685);
+});
+
+test('Gross-up steps over NY\'s $25M cliff instead of landing inside it', () => {
+  const rows = getGrossUpIncome(1000, 2025, 'federal, ny', 24999000);
+  const gross = rowValue(rows, 'Gross income');
+  assert.ok(gross > 1000, 'must cross $25M');
+  approxEquals(federalNYNet(gross, 24999000), 1000, 0.005, 'net past cliff');
+  assert.strictEqual(rowValue(rows, 'New York bracket'), 0.109);
+});
+
+test('Gross-up honors the CA surtax threshold and CTC steps', () => {
+  const ca = getGrossUpIncome(30000, 2025, 'federal ca', 990000);
+  const gross = rowValue(ca, 'Gross income');
+  const caNet = gross - (getFederalIncomeTax(990000 + gross, 2025) - getFederalIncomeTax(990000, 2025)) -
+    (getCAIncomeTax(990000 + gross, 2025) - getCAIncomeTax(990000, 2025));
+  approxEquals(caNet, 30000, 0.011, 'ca net');
+
+  const ctc = getGrossUpIncome(5000, 2025, 'federal ctc', 395000, { numberOfChildren: 2 });
+  assert.strictEqual(rowValue(ctc, 'Child Tax Credit'), 150);
+  assert.strictEqual(rowValue(ctc, 'Net income'), 5000);
+});
+
+// ──────────────────────────────────────────────────────────────────────
+// getBracketHeadroom / getRothConversionPlan — fill-to-bracket planning.
+// ──────────────────────────────────────────────────────────────────────
+
+test('Bracket headroom: federal bracket plus preferential, NIIT and CTC thresholds', () => {
+  const rows = getBracketHeadroom(300000, 2025, 'federal', 'mfj', 240000);
+  assert.strictEqual(rowValue(rows, 'Marginal rate'), 0.24);
+  assert.strictEqual(rowValue(rows, 'Headroom'), 94600);
+  assert.strictEqual(rowValue(rows, 'Next rate'), 0.32);
+  assert.strictEqual(rowValue(rows, 'Headroom to next preferential rate'), 300050);
+  assert.strictEqual(rowValue(rows, 'Headroom to NIIT threshold'), 10000);
+  assert.strictEqual(rowValue(rows, 'Headroom to CTC phase-out'), 160000);
+
+  const top = getBracketHeadroom(800000, 2025, 'federal');
+  assert.strictEqual(rowValue(top, 'Headroom'), '');
+  assert.strictEqual(rowValue(top, 'Headroom to next preferential rate'), '');
+  assert.strictEqual(rowValue(getBracketHeadroom(300000, 2025, 'ny'), 'Headroom'), 23200);
+  assert.strictEqual(getBracketHeadroom(300000, 2025, 'ny').length, 4);
+});
+
+test('Roth plan fills the 24% bracket and costs it with NY recapture', () => {
+  const rows = getRothConversionPlan(300000, 2025, '24%', 'federal, ny');
+  assert.strictEqual(rowValue(rows, 'Conversion amount'), 94600);
+  assert.strictEqual(rowValue(rows, 'Federal'), 22704);
+  approxEquals(
+    rowValue(rows, 'New York'),
+    getNYIncomeTax(394600, 2025) - getNYIncomeTax(300000, 2025), 0.005, 'ny cost'
+  );
+  assert.strictEqual(rowValue(getRothConversionPlan(300000, 2025, 0.24), 'Conversion amount'), 94600);
+});
+
+test('Roth plan: bracket targets measure ordinary income, pushing gains out of 0%', () => {
+  const rows = getRothConversionPlan(80000, 2025, 0.12, 'federal', { preferentialIncome: 20000 });
+  // Ordinary 60,000 → 96,950; all 20,000 of gain moves from 0% to 15%
+  assert.strictEqual(rowValue(rows, 'Conversion amount'), 36950);
+  assert.strictEqual(rowValue(rows, 'Federal'), 36950 * 0.12 + 20000 * 0.15);
+
+  const qd0 = getRothConversionPlan(80000, 2025, 'qd0', 'federal', { preferentialIncome: 20000 });
+  assert.strictEqual(rowValue(qd0, 'Conversion amount'), 16700);
+  assert.strictEqual(rowValue(qd0, 'Federal'), 2004);
+});
+
+test('Roth plan: NIIT and CTC ceilings use MAGI; passed ceilings give 0', () => {
+  const niit = getRothConversionPlan(200000, 2025, 'niit', 'federal niit',
+    { modifiedAGI: 210000, netInvestmentIncome: 30000 });
+  assert.strictEqual(rowValue(niit, 'Conversion amount'), 40000);
+  assert.strictEqual(rowValue(niit, 'NIIT'), 0);
+  const ctc = getRothConversionPlan(500000, 2025, 'ctc');
+  assert.strictEqual(rowValue(ctc, 'Conversion amount'), 0);
+  assert.strictEqual(rowValue(ctc, 'Average rate'), '');
+  assert.throws(() => getRothConversionPlan(100000, 2025, '37%'), /has no top/);
+  assert.throws(() => getRothConversionPlan(100000, 2025, '23%'), /No 23% federal bracket/);
+});
+
+// ──────────────────────────────────────────────────────────────────────
+// getTaxBracketBreakdown — per-bracket rows for Sheets.
+// ──────────────────────────────────────────────────────────────────────
+
+test('Federal breakdown lists every bracket and totals to getFederalIncomeTax', () => {
+  const rows = getTaxBracketBreakdown(150000, 2025, 'federal', 'single');
+  assert.strictEqual(rows.length, 8);
+  assert.deepStrictEqual([...rows[3]], [103350, 197300, 0.24, 46650, 11196]);
+  assert.deepStrictEqual([...rows[6]], [626350, '', 0.37, 0, 0]);
+  assert.strictEqual(rows[7][0], 'Total');
+  assert.strictEqual(rows[7][4], getFederalIncomeTax(150000, 2025, 'single'));
+});
+
+test('NY breakdown adds the recapture row; CA adds the MHST row', () => {
+  const ny = getTaxBracketBreakdown(330000, 2025, 'ny');
+  const recapture = ny.find(row => row[0] === 'Recapture adjustment');
+  assert.strictEqual(recapture[4], 1513.59);
+  const bracketSum = ny.slice(0, -2).reduce((sum, row) => sum + row[4], 0);
+  approxEquals(bracketSum + recapture[4], ny[ny.length - 1][4], 0.02, 'ny rows sum to total');
+  assert.strictEqual(ny[ny.length - 1][4], getNYIncomeTax(330000, 2025));
+
+  const ca = getTaxBracketBreakdown(1200000, 2025, 'ca');
+  assert.strictEqual(ca.find(row => row[0] === 'Mental Health Services Tax')[4], 2000);
+  assert.strictEqual(ca[ca.length - 1][4], getCAIncomeTax(1200000, 2025));
+});
+
+// ──────────────────────────────────────────────────────────────────────
+// Projected years (2027–2060).
+// ──────────────────────────────────────────────────────────────────────
+
+test('Projected brackets index 2026 with IRS round-down; NY stays fixed', () => {
+  const rows = getProjectedTaxParameters(2030, 0.03);
+  // 2026 MFJ $24,800 × 1.03⁴ = 27,912.9 → 27,900 (MFJ rounds down to $50)
+  assert.strictEqual(rowValue(rows, 'Federal 10% bracket top'), 27900);
+  // $2,200 × 1.03⁴ = 2,476.1 → $2,400
+  assert.strictEqual(rowValue(rows, 'Child Tax Credit per child'), 2400);
+  assert.strictEqual(rowValue(rows, 'NIIT threshold'), 250000);
+  assert.strictEqual(rows.find(r => r[0] === 'NIIT threshold')[2], 'Estimate (fixed)');
+  assert.strictEqual(rows.find(r => r[0] === 'CA 1% bracket top (MFJ)')[1] % 2, 0);
+
+  assert.ok(getFederalIncomeTax(200000, 2030) < getFederalIncomeTax(200000, 2026));
+  assert.strictEqual(getNYIncomeTax(500000, 2040), getNYIncomeTax(500000, 2026));
+  assert.strictEqual(getChildTaxCredit(1, 100000, 2030), 2400);
+});
+
+test('Projection rate can be overridden; row outputs flag the estimate', () => {
+  const atDefault = getFederalIncomeTax(200000, 2035);
+  // With the flag mode off, projected single values stay plain numbers.
+  assert.strictEqual(typeof atDefault, 'number');
+  try {
+    setProjectionInflationRate(0.04);
+    assert.ok(getFederalIncomeTax(200000, 2035) < atDefault);
+    const rows = getTaxBracketBreakdown(200000, 2035, 'federal');
+    assert.deepStrictEqual([...rows[rows.length - 1]], ['Estimate', '2035 projected from 2026 at 4% a year', '', '', '']);
+  } finally {
+    setProjectionInflationRate(0.025);
+  }
+  assert.strictEqual(getFederalIncomeTax(200000, 2035), atDefault);
+  assert.strictEqual(getBracketHeadroom(200000, 2026, 'federal').length, 7);
+});
+
+test('Projected years are read through, never written into the published tables', () => {
+  const tax = getFederalIncomeTax(200000, 2031);
+  assert.ok(getCAIncomeTax(200000, 2031) > 0);
+  const published = name => vm.runInContext(`Object.keys(${name}).join()`, sandbox);
+  assert.strictEqual(published('FEDERAL_BRACKETS_BY_STATUS.mfj'), '2023,2024,2025,2026');
+  assert.strictEqual(published('STATE_JURISDICTIONS.ca.brackets'), '2023,2024,2025,2026');
+  assert.strictEqual(published('NY_RECAPTURE_MFJ_TABLE'), '2023,2024,2025,2026');
+  assert.strictEqual(vm.runInContext('2031 in CHILD_TAX_CREDIT_AMOUNTS', sandbox), false);
+  // NY holds 2026's figures without copying them under 2031.
+  assert.strictEqual(getStateIncomeTax(400000, 2031, 'ny'), getStateIncomeTax(400000, 2026, 'ny'));
+  assert.strictEqual(getFederalIncomeTax(200000, 2031), tax);
+});
+
+test('Projection covers the AGI pipeline, NYC, Yonkers and NC', () => {
+  // 2026 single $16,100 × 1.025⁹ = 20,106.7 → 20,100; MFJ doubles it
+  assert.strictEqual(rowValue(getProjectedTaxParameters(2035), 'Federal standard deduction'), 40200);
+  assert.strictEqual(getFederalTaxableIncome(100000, 0, 2035), 59800);
+  assert.strictEqual(getFederalIncomeTaxFromAGI(100000, 0, 2035), getFederalIncomeTax(59800, 2035));
+
+  // SALT grows 1% a year by statute through 2029: 40,400 × 1.01², 505,000 × 1.01²
+  const salt2028 = getProjectedTaxParameters(2028, 0.05, 'mfs');
+  assert.strictEqual(rowValue(salt2028, 'SALT cap'), 20606.02);
+  assert.strictEqual(rowValue(salt2028, 'SALT phase-down threshold'), 257575.25);
+  // From 2030 the flat $10,000 cap returns: 100,000 itemized with 50,000 SALT
+  // deducts 60,000.
+  const salt2030 = getProjectedTaxParameters(2030);
+  assert.strictEqual(rowValue(salt2030, 'SALT cap'), 10000);
+  assert.ok(!salt2030.some(row => row[0] === 'SALT phase-down threshold'));
+  assert.strictEqual(getFederalTaxableIncome(300000, 100000, 2030, 50000), 240000);
+
+  assert.strictEqual(getNYCIncomeTax(200000, 2035), getNYCIncomeTax(200000, 2026));
+  assert.strictEqual(getYonkersSurcharge(10000, 2035), getYonkersSurcharge(10000, 2026));
+  assert.strictEqual(getNYTotalIncomeTax(200000, 2035, 'nyc'), getNYTotalIncomeTax(200000, 2026, 'nyc'));
+  assert.strictEqual(getNCIncomeTax(100000, 2035), getNCIncomeTax(100000, 2026));
+});
+
+test('Unprojected tables and out-of-range years still reject', () => {
+  assert.throws(() => getMAIncomeTax(100000, 2030), /not available for year 2030/);
+  assert.throws(() => getPayrollTax(100000, 0, 2030), /Year must be one of/);
+  assert.throws(() => getFederalIncomeTax(100000, 2061), /projected year 2027-2060/);
+  assert.throws(() => setProjectionInflationRate(-0.01), /Inflation rate/);
+});
+
+// ──────────────────────────────────────────────────────────────────────
+// Tax data — TaxData.js loading and validation.
+// ──────────────────────────────────────────────────────────────────────
+
+// Loads Code.js in a fresh sandbox against `data` in place of TaxData.js.
+function loadWithData(data) {
+  const context = {};
+  vm.createContext(context);
+  vm.runInContext(`const TAX_DATA = ${JSON.stringify(data)};`, context);
+  vm.runInContext(fs.readFileSync(CODE_PATH, 'utf8'), context, { filename: CODE_PATH });
+  return context;
+}
+
+test('TaxData.js validates clean', () => {
+  assert.deepStrictEqual([..._validateTaxData(require(DATA_PATH))], []);
+});
+
+test('Validator rejects unsorted thresholds, bad rates, short brackets and broken anchors', () => {
+  const data = structuredClone(require(DATA_PATH));
+  const years = data.jurisdictions;
+  years.federal.years[2024].brackets.hoh[2][0] = 50000;
+  years.nj.years[2025].bracketsByStatus.single[6][1] = 10.75;
+  years.yonkers.years[2023].surchargeRate = 16.75;
+  years.ca.years[2026].brackets.pop();
+  years.ny.years[2025].recapture[3].anchor = 2000000;
+  years.ny.years[2025].recapture[4].tiLimit = 100000000;
+  delete years.il.years[2024];
+  assert.deepStrictEqual([..._validateTaxData(data)], [
+    'federal.2024.brackets.hoh[2]: threshold 50000 is not above 63100',
+    'ny.2025.recapture[3].anchor: 2000000 must equal the prior tiLimit 2155350',
+    'ny.2025.recapture[4].tiLimit: 100000000 must be null',
+    'yonkers.2023.surchargeRate: rate 16.75 is outside [0, 1]',
+    'ca.2026.brackets: last threshold 1530052 must be MAX_INCOME (100000000)',
+    'nj.2025.bracketsByStatus.single[6]: rate 10.75 is outside [0, 1]',
+    'il.years: missing year 2024',
+  ]);
+  // The data is read, and rejected, on first use.
+  const context = loadWithData(data);
+  assert.throws(() => context.getFederalIncomeTax(100000, 2025), /TaxData.js 2026\.10 is invalid:\n {2}federal\.2024/);
+  assert.throws(() => context.getFederalIncomeTax(100000, 2025), /is invalid/);
+  const future = loadWithData({ ...data, schemaVersion: 2 });
+  assert.throws(() => future.getNYIncomeTax(100000, 2025), /schemaVersion 2 is not supported/);
+});
+
+test('Code.js can load before TaxData.js', () => {
+  const context = {};
+  vm.createContext(context);
+  // A filename of its own keeps V8 from reusing the code compiled for the
+  // sandboxes where TAX_DATA was already declared.
+  vm.runInContext(fs.readFileSync(CODE_PATH, 'utf8'), context, { filename: `${CODE_PATH} (loaded first)` });
+  assert.throws(() => context.getFederalIncomeTax(200000, 2025), /TAX_DATA is not defined/);
+  vm.runInContext(fs.readFileSync(DATA_PATH, 'utf8'), context, { filename: DATA_PATH });
+  assert.strictEqual(context.getFederalIncomeTax(200000, 2025), getFederalIncomeTax(200000, 2025));
+  assert.strictEqual(context.getTaxDataStatus('ca', 2026)[0][1], 'estimated');
+});
+
+test('A new year is a data-only change', () => {
+  const data = structuredClone(require(DATA_PATH));
+  data.supportedYears.push(2027);
+  for (const code of Object.keys(data.jurisdictions)) {
+    data.jurisdictions[code].years[2027] = structuredClone(data.jurisdictions[code].years[2026]);
+  }
+  data.jurisdictions.federal.years[2027].socialSecurityWageBase = 190000;
+  const context = loadWithData(data);
+  assert.strictEqual(context.getFederalIncomeTax(200000, 2027), getFederalIncomeTax(200000, 2026));
+  assert.strictEqual(context.getPayrollTax(250000, 0, 2027)[0][1], 11780);
+  assert.strictEqual(context.getTaxDataStatus('federal', 2028)[0][2], '2027-10');
+});
+
+// ──────────────────────────────────────────────────────────────────────
+// Data provenance — getTaxDataStatus and the estimate flag mode.
+// ──────────────────────────────────────────────────────────────────────
+
+test('getTaxDataStatus reports verified, estimated and projected tables', () => {
+  const ca = getTaxDataStatus('ca', 2026);
+  assert.deepStrictEqual([...ca[0]], ['Schedule Y brackets', 'estimated', '2026-11', 'FTB Form 540 Schedule Y']);
+  assert.ok(getTaxDataStatus('CA', 2025).every(row => row[1] === 'verified' && row[2] === ''));
+  assert.ok(getTaxDataStatus('ct', 2024).some(row => row[1] === 'estimated'));
+
+  const projected = getTaxDataStatus('federal', 2030);
+  assert.ok(projected.every(row => row[1] === 'projected' && row[2] === '2029-10'));
+  assert.ok(projected.some(row => row[0] === 'Standard deduction'));
+  assert.ok(!projected.some(row => row[0] === 'QBI thresholds'));
+
+  assert.throws(() => getTaxDataStatus('ma', 2030), /No 'ma' data is projected for 2030/);
+  assert.throws(() => getTaxDataStatus('tx', 2025), /Jurisdiction must be one of/);
+});
+
+test('Estimate flag mode annotates or rejects results built on unconfirmed data', () => {
+  const plain = getCAIncomeTax(300000, 2026);
+  try {
+    setEstimateFlagMode('flag');
+    assert.strictEqual(typeof getCAIncomeTax(300000, 2025), 'number');
+    const flagged = getCAIncomeTax(300000, 2026);
+    assert.strictEqual(flagged[0][0], plain);
+    assert.match(flagged[0][1], /^Estimate: ca 2026 Schedule Y brackets \(estimated\)/);
+    // Nested public calls stay plain, so only the outer result is flagged.
+    const total = getNYTotalIncomeTax(400000, 2026, 'nyc');
+    assert.strictEqual(typeof total[0][0], 'number');
+    const rows = getTaxBracketBreakdown(300000, 2026, 'ca');
+    assert.strictEqual(rows[rows.length - 1][0], 'Estimate');
+    assert.strictEqual(rows[rows.length - 1].length, 5);
+    assert.strictEqual(getFederalIncomeTax(200000, 2026), 33424);
+    assert.match(getFederalIncomeTax(200000, 2030)[0][1], /federal 2030 \(projected\)/);
+
+    setEstimateFlagMode('error');
+    assert.throws(() => getEffectiveMarginalRate(300000, 2026, 'federal,ca'), /depends on unconfirmed data: ca 2026/);
+    assert.strictEqual(getNCIncomeTax(100000, 2026), getStateIncomeTax(100000, 2026, 'nc'));
+  } finally {
+    setEstimateFlagMode('off');
+  }
+  assert.strictEqual(getCAIncomeTax(300000, 2026), plain);
+  assert.throws(() => setEstimateFlagMode('loud'), /must be one of: off, flag, error/);
+});
+
+test('Estimate flags name only the tables a result reads', () => {
+  try {
+    setEstimateFlagMode('flag');
+    // CT's recapture bands are estimated, but $50,000 is below them.
+    assert.strictEqual(typeof getCTIncomeTax(50000, 2024), 'number');
+    assert.match(getCTIncomeTax(150000, 2024)[0][1],
+      /^Estimate: ct 2024 Rate phase-out and benefit recapture \(estimated\)$/);
+    // No deduction is read, so only the recapture worksheets flag.
+    assert.strictEqual(getNYIncomeTax(200000, 2026)[0][1],
+      'Estimate: ny 2026 Tax table benefit recapture (estimated)');
+
+    setEstimateFlagMode('error');
+    assert.strictEqual(getCTIncomeTax(50000, 2025), getStateIncomeTax(50000, 2025, 'ct'));
+    assert.throws(() => getCTIncomeTax(150000, 2025), /unconfirmed data: ct 2025 Rate phase-out/);
+  } finally {
+    setEstimateFlagMode('off');
+  }
+  // Every table needs a provenance entry listing it.
+  const data = structuredClone(require(DATA_PATH));
+  data.jurisdictions.ct.provenance[1].tables = ['phaseOut'];
+  assert.throws(() => loadWithData(data).getCTIncomeTax(50000, 2025),
+    /TAX_DATA_PROVENANCE\.ct has no entry for 'recapture'/);
+});
+
+// ──────────────────────────────────────────────────────────────────────
+// State jurisdiction registry — getStateIncomeTax.
+// ──────────────────────────────────────────────────────────────────────
+
+test('getStateIncomeTax dispatches NY recapture and CA surtax hooks', () => {
+  assert.strictEqual(getStateIncomeTax(1022424, 2025, 'ny'), getNYIncomeTax(1022424, 2025));
+  approxEquals(getStateIncomeTax(1022424, 2025, 'ny'), 70036, 1, 'ny recapture');
+  assert.strictEqual(getStateIncomeTax(2000000, 2025, 'ca'), getCAIncomeTax(2000000, 2025));
+  assert.strictEqual(getStateIncomeTax(100000, 2025, 'nc', 'single'), getNCIncomeTax(100000, 2025));
+});
+
+test('getStateIncomeTax rejects federal, unknown states and unsupported statuses', () => {
+  assert.throws(() => getStateIncomeTax(100000, 2025, 'federal'), /State must be one of: ny, ca, nc, ma, nj, ct, il/);
+  assert.throws(() => getStateIncomeTax(100000, 2025, 'tx'), /State must be one of/);
+  assert.throws(() => getStateIncomeTax(100000, 2025, 'ca', 'hoh'), /not supported for 'ca'/);
+});
+
+test('MA: 5% flat plus 4% surtax over the indexed threshold, any status', () => {
+  assert.strictEqual(getMAIncomeTax(200000, 2025), 10000);
+  // 5% × 2,000,000 + 4% × (2,000,000 − 1,083,150)
+  assert.strictEqual(getMAIncomeTax(2000000, 2025), 136674);
+  assert.strictEqual(getMAIncomeTax(2000000, 2023, 'single'), 140000);
+});
+
+test('NJ: joint schedule for MFJ / HOH, single schedule for single / MFS', () => {
+  // 280 + 525 + 490 + 350 + 3,867.50 + 3,185
+  assert.strictEqual(getNJIncomeTax(200000, 2025), 8697.5);
+  assert.strictEqual(getNJIncomeTax(200000, 2025, 'hoh'), 8697.5);
+  // 280 + 262.50 + 175 + 1,933.75 + 7,962.50
+  assert.strictEqual(getNJIncomeTax(200000, 2025, 'single'), 10613.75);
+  assert.strictEqual(getNJIncomeTax(200000, 2025, 'mfs'), 10613.75);
+});
+
+test('CT: Table C / D add-backs converge on a flat 6.99% once fully phased in', () => {
+  // Below the Table C start: brackets only (2% × 20,000 + 4.5% × 30,000)
+  assert.strictEqual(getCTIncomeTax(50000, 2025), 1750);
+  // 150,000 MFJ: 10 of 20 Table C steps → half of the $500 add-back
+  assert.strictEqual(getCTIncomeTax(150000, 2025), 400 + 3600 + 2750 + 250);
+  assert.strictEqual(getCTIncomeTax(1600000, 2025), 111840);
+  assert.strictEqual(getCTIncomeTax(1600000, 2023), 111840);
+  assert.strictEqual(getCTIncomeTax(800000, 2025, 'single'), 55920);
+  assert.throws(() => getCTIncomeTax(100000, 2025, 'hoh'), /not supported for 'ct'/);
+});
+
+test('IL: 4.95% flat rate', () => {
+  assert.strictEqual(getILIncomeTax(100000, 2025), 4950);
+  assert.strictEqual(getStateStandardDeduction(2025, 'il'), 5700);
+});
+
+test('getStateStandardDeduction reads the registry', () => {
+  assert.strictEqual(getStateStandardDeduction(2025, 'ny'), 16050);
+  assert.strictEqual(getStateStandardDeduction(2025, 'nc', 'hoh'), 19125);
+});
+
+test('Registering a malformed jurisdiction fails at load time', () => {
+  assert.throws(() => _registerStateJurisdiction('ny', {}), /already registered/);
+  assert.throws(
+    () => _registerStateJurisdiction('zz', {
+      name: 'Test', filingStatuses: ['mfj', 'single'], brackets: {}, standardDeduction: { mfj: {} },
+    }),
+    /standardDeduction missing filing status 'single'/
+  );
+  assert.throws(
+    () => _registerStateJurisdiction('zz', {
+      name: 'Test', filingStatuses: ['mfj'], brackets: {}, standardDeduction: { mfj: {} },
+      surtaxes: [{ label: 'Test surtax', calculate: () => 0 }],
+    }),
+    /needs a breakpoints function/
+  );
+  assert.throws(
+    () => _registerStateJurisdiction('zz', {
+      name: 'Test', filingStatuses: ['mfj'], brackets: {}, standardDeduction: { mfj: {} },
+      socialSecurity: 0.25,
+    }),
+    /socialSecurity must be a year table/
+  );
+});
+
+// ──────────────────────────────────────────────────────────────────────
+// Estimated tax payments — getEstimatedTaxPayments.
+// ──────────────────────────────────────────────────────────────────────
+// [item, due date, amount] rows for one jurisdiction.
+function estimateRows(rows, jurisdiction) {
+  return rows.filter(row => row[0] === jurisdiction).map(row => row.slice(1));
+}
+function estimateAmount(rows, item) {
+  const row = rows.find(r => r[0] === item);
+  assert.ok(row, `missing row '${item}'`);
+  return row[2];
+}
+
+test('Estimated payments: 110% prior-year safe harbor over $150K AGI, weekend / holiday due dates', () => {
+  const rows = estimateRows(getEstimatedTaxPayments(40000, 300000, 350000, 30000, 2023), 'Federal');
+  assert.strictEqual(estimateAmount(rows, 'Prior-year safe harbor'), 44000);
+  assert.strictEqual(estimateAmount(rows, 'Required annual payment'), 44000);
+  // Apr 15 2023 is a Saturday and Monday the 17th is Emancipation Day
+  // observed; Jan 15 2024 is MLK Day.
+  assert.deepStrictEqual(Array.from(rows.slice(-4), row => [...row]), [
+    ['Q1', '2023-04-18', 3500], ['Q2', '2023-06-15', 3500],
+    ['Q3', '2023-09-15', 3500], ['Q4', '2024-01-16', 3500],
+  ]);
+  // At $150,000 AGI 100% applies; 90% of the current year wins when lower.
+  const lower = estimateRows(getEstimatedTaxPayments(40000, 150000, 150000, 0, 2023), 'Federal');
+  const tax = getFederalIncomeTax(150000, 2023);
+  assert.strictEqual(estimateAmount(lower, 'Prior-year safe harbor'), 40000);
+  assert.strictEqual(estimateAmount(lower, 'Required annual payment'), Math.round(tax * 90) / 100);
+});
+
+test('Estimated payments: CA 30/40/0/30 and no prior-year safe harbor at $1M', () => {
+  const rows = getEstimatedTaxPayments({ federal: 0, ca: 20000 }, 300000, 350000,
+    [['federal', 0], ['ca', 0]], 2024, 'federal, ca');
+  const ca = estimateRows(rows, 'California');
+  assert.strictEqual(estimateAmount(ca, 'Required annual payment'), 22000);
+  assert.deepStrictEqual(Array.from(ca.slice(-4), row => [...row]), [
+    ['Q1', '2024-04-15', 6600], ['Q2', '2024-06-17', 8800], ['Q3', '', 0], ['Q4', '2025-01-15', 6600],
+  ]);
+  // Zero prior-year tax: nothing due federally.
+  assert.strictEqual(estimateAmount(estimateRows(rows, 'Federal'), 'Q1'), 0);
+
+  const million = estimateRows(getEstimatedTaxPayments(50000, 300000, 1200000, 0, 2024, 'ca'), 'California');
+  assert.strictEqual(estimateAmount(million, 'Prior-year safe harbor'), '');
+  const required = estimateAmount(million, 'Required annual payment');
+  assert.strictEqual(required, Math.round(getCAIncomeTax(1200000, 2024) * 90) / 100);
+  approxEquals(million.slice(-4).reduce((sum, row) => sum + row[2], 0), required, 1e-9);
+});
+
+test('Estimated payments: minimum balance due, NY and input errors', () => {
+  const ny = estimateRows(getEstimatedTaxPayments(10000, 100000, 100000, getNYIncomeTax(100000, 2025) - 299,
+    2025, 'ny'), 'New York');
+  assert.strictEqual(estimateAmount(ny, 'Q4'), 0);
+  assert.throws(() => getEstimatedTaxPayments(1, 1, 1, 1, 2025, 'federal, nc'), /not nc/);
+  assert.throws(() => getEstimatedTaxPayments(1, 1, 1, 1, 2025, 'federal, ny'), /unknown field|needs an amount/);
+  assert.throws(() => getEstimatedTaxPayments({ federal: 1 }, 1, 1, { federal: -1 }, 2025), /Withholding for federal/);
+});
+
+test('Form 2210 Schedule AI: late income lowers the early installments', () => {
+  const rows = getUnderpaymentPenalty([50000, 50000, 50000, 450000], [6500, 6500, 6500, 6500],
+    40000, 180000, 2024);
+  const line = label => Array.from(rows.find(row => row[0] === label).slice(1));
+  assert.deepStrictEqual(line('Due date'), ['2024-04-15', '2024-06-17', '2024-09-16', '2025-01-15', '']);
+  assert.deepStrictEqual(line('Annualized income'), [200000, 240000, 225000, 600000, '']);
+  assert.strictEqual(line('Annualized tax')[3], getFederalIncomeTax(600000 - 29200, 2024));
+  // 110% of prior-year tax is the lesser safe harbor; 22.5% / 45% / 67.5% /
+  // 90% of annualized tax caps each installment.
+  assert.deepStrictEqual(line('Regular installment'), [11000, 11000, 11000, 11000, 44000]);
+  assert.deepStrictEqual(line('Required installment'), [6228.45, 10276.2, 5893.2, 21602.15, 44000]);
+  assert.deepStrictEqual(line('Shortfall'), [0, 3504.65, 2897.85, 18000, '']);
+  // Q2's $3,504.65 is paid on Sept 16: 91 days at 8% over a 366-day year.
+  assert.strictEqual(line('Penalty')[1], Math.round(3504.65 * 0.08 * 91 / 366 * 100) / 100);
+  assert.deepStrictEqual(line('Penalty'), [0, 69.71, 75.56, 310.68, 455.95]);
+  assert.strictEqual(line('Penalty without annualizing')[4], 903.65);
+});
+
+test('Form 2210: no penalty when payments meet the safe harbor; input errors', () => {
+  const rows = getUnderpaymentPenalty([[25000], [25000], [25000], [25000]], [5000, 5000, 5000, 5000],
+    20000, 100000, 2025, 'single');
+  assert.strictEqual(rows.find(row => row[0] === 'Penalty')[5], 0);
+  assert.strictEqual(rows.find(row => row[0] === 'Penalty without annualizing')[5], 0);
+  assert.throws(() => getUnderpaymentPenalty([1, 2, 3], [0, 0, 0, 0], 0, 0, 2025), /4 amounts/);
+  assert.throws(() => getUnderpaymentPenalty([1, 2, 3, 4], [0, 0, -1, 0], 0, 0, 2025), /Payments for period 3/);
+  assert.throws(() => getUnderpaymentPenalty([1, 2, 3, 4], [0, 0, 0, 0], 0, 0, 2030), /Year/);
+});
+
+test('Form 2210: projected underpayment rates flag only the penalty', () => {
+  const status = getTaxDataStatus('federal', 2025).find(row => row[0] === 'Underpayment interest rates');
+  assert.deepStrictEqual([...status.slice(0, 3)], ['Underpayment interest rates', 'estimated', '2026-02']);
+  try {
+    setEstimateFlagMode('flag');
+    const rows = getUnderpaymentPenalty([25000, 25000, 25000, 25000], [0, 0, 0, 0], 20000, 100000, 2025);
+    assert.match(rows[rows.length - 1][1], /federal 2025 Underpayment interest rates \(estimated\)/);
+    assert.ok(!getUnderpaymentPenalty([1, 1, 1, 1], [0, 0, 0, 0], 0, 0, 2024).some(row => row[0] === 'Estimate'));
+    assert.strictEqual(typeof getFederalIncomeTax(200000, 2025), 'number');
+  } finally {
+    setEstimateFlagMode('off');
+  }
+});
+
+// ──────────────────────────────────────────────────────────────────────
+// Paycheck withholding — getPaycheckWithholding.
+// ──────────────────────────────────────────────────────────────────────
+test('Pub 15-T percentage method: standard and Step 2 checkbox tables', () => {
+  // 2024 MFJ standard table: $2,320 + 12% over $39,500 on $104,000 − $12,900.
+  const rows = getPaycheckWithholding(4000, 'biweekly', null, 2024);
+  assert.strictEqual(rowValue(rows, 'Withholding per period'), Math.round((2320 + 0.12 * (91100 - 39500)) / 26 * 100) / 100);
+  // A full year at the standard table lands on the liability.
+  assert.strictEqual(rowValue(rows, 'Projected liability'), getFederalIncomeTax(104000 - 29200, 2024));
+  assert.strictEqual(rowValue(rows, 'Suggested extra withholding per period'), 0);
+  // Checkbox: half the standard deduction and bracket widths, so MFJ
+  // matches single on the same wages.
+  const checkbox = getPaycheckWithholding(4000, 'biweekly', { multipleJobs: true }, 2024);
+  const single = getPaycheckWithholding(4000, 'biweekly', { filingStatus: 'single' }, 2024);
+  assert.strictEqual(rowValue(checkbox, 'Withholding per period'), rowValue(single, 'Withholding per period'));
+  // Step 3 credits spread over the periods; Step 4(c) adds per period.
+  const credits = getPaycheckWithholding(4000, 'biweekly', [['dependentCredits', 2600], ['extraWithholding', 50]], 2024);
+  approxEquals(rowValue(credits, 'Withholding per period'), rowValue(rows, 'Withholding per period') - 100 + 50, 0.01);
+});
+
+test('Withholding projection suggests a W-4 Step 4(c) amount', () => {
+  // Liability: wages less the standard deduction, federal and NC.
+  const rows = getPaycheckWithholding(3000, 'biweekly', { filingStatus: 'single', periodsPaid: 13 }, 2025, 'nc');
+  const liability = getFederalIncomeTax(78000 - 15750, 2025, 'single');
+  assert.deepStrictEqual([...rows.find(row => row[0] === 'Projected liability')],
+    ['Projected liability', liability, getNCIncomeTax(78000 - 12750, 2025)]);
+  // Half the year paid but only $1,000 withheld so far: spread the gap
+  // over the 13 paychecks left.
+  const under = getPaycheckWithholding(3000, 'biweekly',
+    { filingStatus: 'single', periodsPaid: 13, federalWithheldToDate: 1000 }, 2025, 'nc');
+  const balance = rowValue(under, 'Projected balance due');
+  assert.ok(balance > 0);
+  assert.strictEqual(rowValue(under, 'Suggested extra withholding per period'), Math.round(balance / 13));
+  // NC-30: 4.25% of wages over the $12,750 allowance.
+  assert.strictEqual(under[1][2], Math.round((78000 - 12750) * 0.0425 / 26 * 100) / 100);
+});
+
+test('Paycheck withholding: CA Method B, NY and input errors', () => {
+  const ca = getPaycheckWithholding(10000, 'semimonthly', { stateAllowances: 2 }, 2025, 'CA');
+  const expected = (getStateIncomeTax(240000 - getStateStandardDeduction(2025, 'ca'), 2025, 'ca') - 2 * 153) / 24;
+  approxEquals(ca[1][2], expected, 0.01);
+  // With 0 or 1 allowance, DE 44 Table 3 takes the low (single) deduction.
+  const low = getPaycheckWithholding(10000, 'semimonthly', { stateAllowances: 1 }, 2025, 'ca');
+  approxEquals(low[1][2],
+    (getStateIncomeTax(240000 - getStateStandardDeduction(2025, 'ca') / 2, 2025, 'ca') - 153) / 24, 0.01);
+  const ny = getPaycheckWithholding(10000, 'monthly', { stateAllowances: 1 }, 2025, 'ny');
+  approxEquals(ny[1][2], getNYIncomeTax(120000 - 7950 - 1000, 2025) / 12, 0.01);
+  assert.throws(() => getPaycheckWithholding(1000, 'fortnightly', null, 2025), /Pay frequency/);
+  assert.throws(() => getPaycheckWithholding(1000, 'weekly', null, 2025, 'nj'), /ny, ca and nc/);
+  assert.throws(() => getPaycheckWithholding(1000, 'weekly', { filingStatus: 'single' }, 2025, 'ny'),
+    /New York withholding needs filing status mfj or qss, not single/);
+  assert.throws(() => getPaycheckWithholding(1000, 'weekly', { allowances: 2 }, 2025), /unknown field 'allowances'/);
+  assert.throws(() => getPaycheckWithholding(1000, 'weekly', { periodsPaid: 53 }, 2025), /periodsPaid/);
+});
+
+// ──────────────────────────────────────────────────────────────────────
+// Social Security benefits — getTaxableSocialSecurity.
+// ──────────────────────────────────────────────────────────────────────
+test('Taxable Social Security: 0% / 50% / 85% tiers on provisional income', () => {
+  // MFJ base amounts $32,000 / $44,000; provisional = other + exempt + half.
+  assert.strictEqual(getTaxableSocialSecurity(40000, 10000, 2000, 2025), 0);
+  assert.strictEqual(getTaxableSocialSecurity(40000, 10000, 6000, 2025), 2000);
+  assert.strictEqual(getTaxableSocialSecurity(40000, 30000, 0, 2025), 6000 + 0.85 * 6000);
+  assert.strictEqual(getTaxableSocialSecurity(40000, 100000, 0, 2025), 34000);
+  // Single: $25,000 / $34,000, and the 50% tier capped at half the benefits.
+  assert.strictEqual(getTaxableSocialSecurity(10000, 30000, 0, 2025, 'single'), 4500 + 0.85 * 1000);
+  assert.strictEqual(getTaxableSocialSecurity(4000, 30000, 0, 2025, 'single'), 2000);
+  // MFS living together: 85% of provisional income from the first dollar.
+  assert.strictEqual(getTaxableSocialSecurity(30000, 5000, 0, 2025, 'mfs'), 0.85 * 20000);
+});
+
+test('Taxable Social Security: torpedo marginal rate and state treatment', () => {
+  // In the 85% zone an extra $1,000 of IRA income adds $850 of taxable benefits.
+  const before = getTaxableSocialSecurity(40000, 40000, 0, 2025);
+  assert.strictEqual(getTaxableSocialSecurity(40000, 41000, 0, 2025) - before, 850);
+  for (const state of ['ny', 'ca', 'nc', 'ma', 'nj', 'il']) {
+    assert.strictEqual(getTaxableSocialSecurity(40000, 100000, 0, 2025, 'mfj', state), 0, state);
+  }
+  // CT: exempt under $100,000 federal AGI (MFJ), 25% of the federal amount over.
+  assert.strictEqual(getTaxableSocialSecurity(40000, 50000, 0, 2025, 'mfj', 'ct'), 0);
+  assert.strictEqual(getTaxableSocialSecurity(40000, 100000, 0, 2025, 'mfj', 'CT'), 8500);
+  assert.throws(() => getTaxableSocialSecurity(40000, 0, 0, 2025, 'mfj', 'tx'), /Jurisdiction must be/);
+  const ct = getTaxDataStatus('ct', 2025).find(row => row[0] === 'Social Security exemption');
+  assert.strictEqual(ct[1], 'estimated');
+  try {
+    setEstimateFlagMode('flag');
+    assert.match(getTaxableSocialSecurity(40000, 100000, 0, 2025, 'mfj', 'ct')[0][1], /Social Security exemption/);
+    assert.strictEqual(getTaxableSocialSecurity(40000, 100000, 0, 2025), 34000);
+  } finally {
+    setEstimateFlagMode('off');
+  }
+});
+
+test('Taxable Social Security: planners count the benefits extra income makes taxable', () => {
+  // MFJ, $40,000 of benefits, $40,000 other income: $19,600 of benefits
+  // taxable, in the 85% zone, so a dollar that would sit in the 10% bracket
+  // lands in the 12% one and costs 22.2%.
+  const benefits = { modifiedAGI: 40000, socialSecurityBenefits: 40000 };
+  assert.strictEqual(getMarginalRate(20000, 2025, 'federal', 'mfj', 40000, 40000), 0.222);
+  assert.strictEqual(getMarginalRate(20000, 2025, 'federal'), 0.1);
+  const rows = getEffectiveMarginalRate(20000, 2025, 'federal, ny', 1000, benefits);
+  assert.strictEqual(rowValue(rows, 'Federal'), 222);
+  assert.strictEqual(rowValue(rows, 'New York'), getNYIncomeTax(21000, 2025) - getNYIncomeTax(20000, 2025));
+  // Filling the 12% bracket ($96,950): the conversion also makes benefits
+  // taxable up to the $34,000 cap, so it stops at $42,950, not $76,950.
+  const plan = getRothConversionPlan(20000, 2025, '12%', 'federal', benefits);
+  assert.strictEqual(rowValue(plan, 'Conversion amount'), 42950);
+  assert.strictEqual(rowValue(plan, 'Federal'),
+    getFederalIncomeTax(96950, 2025) - getFederalIncomeTax(39600, 2025));
+  assert.throws(() => getRothConversionPlan(0, 2025, 'niit', 'federal', { socialSecurityBenefits: -1 }),
+    /Social Security benefits/);
+});
+
+test('Taxable Social Security: tier slopes scale the rate; the CT cliff is its own row', () => {
+  // 50% zone: provisional $35,000 → the next dollar makes 50 cents taxable.
+  assert.strictEqual(getMarginalRate(15000, 2025, 'federal', 'mfj', 40000, 15000), 0.15);
+  // Capped at 85% of the benefits: back to the bracket rate.
+  assert.strictEqual(getMarginalRate(65999.5, 2025, 'federal', 'mfj', 40000, 65999.5), 0.22);
+  // $0.50 under CT's $100,000 AGI exemption line the next dollar ends the
+  // exemption; that's a jump, not a rate.
+  assert.strictEqual(getMarginalRate(65999.5, 2025, 'ct', 'mfj', 40000, 65999.5), 0.045);
+  const benefits = { modifiedAGI: 65999.5, socialSecurityBenefits: 40000 };
+  const rows = getEffectiveMarginalRate(65999.5, 2025, 'federal, ct', 1000, benefits);
+  assert.deepStrictEqual(Array.from(rows, row => [...row]), [
+    ['Federal', 220, 0.22],
+    ['Connecticut', 45, 0.045],
+    // 25% of the $34,000 taxable federally, at 4.5%
+    ['Connecticut Social Security cliff', 382.5, 0.3825],
+    ['Total', 647.5, 0.6475],
+  ]);
+  // Past the line CT taxes 25% of each extra federally taxable dollar:
+  // single, $40,000 of benefits and $48,000 of other income is in the 85%
+  // zone with $33,400 taxable (AGI $81,400 ≥ $75,000), so 5.5% × 1.2125.
+  approxEquals(getMarginalRate(48000, 2025, 'ct', 'single', 40000, 48000), 0.055 * 1.2125, 1e-6, 'ct slope');
+});
+
+// ──────────────────────────────────────────────────────────────────────
+// Medicare IRMAA — getIRMAASurcharge / getIRMAAHeadroom.
+// ──────────────────────────────────────────────────────────────────────
+test('IRMAA: two-year lookback tiers and the $1 cliff', () => {
+  // 2026 premiums (2024 MAGI), MFJ first boundary $218,000.
+  const at = getIRMAASurcharge(218000, 2026);
+  assert.strictEqual(rowValue(at, 'MAGI year'), 2024);
+  assert.strictEqual(rowValue(at, 'Tier'), 0);
+  assert.strictEqual(rowValue(at, 'Annual surcharge'), 0);
+  const over = getIRMAASurcharge(218001, 2026);
+  assert.strictEqual(rowValue(over, 'Tier'), 1);
+  assert.strictEqual(rowValue(over, 'Part B surcharge'), 81.2);
+  assert.strictEqual(rowValue(over, 'Annual surcharge'), 12 * (81.2 + 14.5));
+  // The top tier starts at (not over) $750,000 MFJ / $500,000 single.
+  assert.strictEqual(rowValue(getIRMAASurcharge(749999, 2026), 'Tier'), 4);
+  assert.strictEqual(rowValue(getIRMAASurcharge(750000, 2026), 'Tier'), 5);
+  assert.strictEqual(rowValue(getIRMAASurcharge(500000, 2024, 'single'), 'Part B premium'), 594);
+  // MFS: standard premium, then straight to the fourth tier.
+  assert.strictEqual(rowValue(getIRMAASurcharge(106001, 2025, 'mfs'), 'Tier'), 4);
+  assert.throws(() => getIRMAASurcharge(100000, 2061), /Year/);
+});
+
+test('IRMAA headroom: room before the next tier and its cost', () => {
+  const rows = getIRMAAHeadroom(200000, 2026);
+  assert.deepStrictEqual(Array.from(rows, row => [...row]), [
+    ['Tier', 0], ['Next tier starts at', 218001], ['Headroom', 18000], ['Annual surcharge increase', 1148.4],
+  ]);
+  // MFS skips tiers 1-3, so the first cliff costs the fourth tier's surcharge.
+  const mfs = getIRMAAHeadroom(100000, 2026, 'mfs');
+  assert.strictEqual(rowValue(mfs, 'Headroom'), 9000);
+  assert.strictEqual(rowValue(mfs, 'Annual surcharge increase'),
+    rowValue(getIRMAASurcharge(109001, 2026, 'mfs'), 'Annual surcharge'));
+  assert.strictEqual(rowValue(getIRMAAHeadroom(749999, 2026), 'Headroom'), 0);
+  assert.strictEqual(rowValue(getIRMAAHeadroom(800000, 2026), 'Headroom'), '');
+});
+
+test('IRMAA: projected premium years index the boundaries, the top one from 2028', () => {
+  // A 2026 conversion sets 2028 premiums: $218,000 × 1.025² = 229,036 →
+  // $115,000 individual (nearest $1,000) doubled.
+  const rows = getIRMAAHeadroom(200000, 2028);
+  assert.strictEqual(rowValue(rows, 'Next tier starts at'), 230001);
+  assert.strictEqual(rows[rows.length - 1][0], 'Estimate');
+  // The top boundary holds at $750,000 MFJ for 2027, then indexes from
+  // 2027: $750,000 × 1.025 = 768,750 → 769,000.
+  assert.strictEqual(rowValue(getIRMAASurcharge(750000, 2027), 'Tier'), 5);
+  assert.strictEqual(rowValue(getIRMAASurcharge(768999, 2028), 'Tier'), 4);
+  assert.strictEqual(rowValue(getIRMAASurcharge(769000, 2028), 'Tier'), 5);
+  // Premiums stay at 2026's.
+  assert.strictEqual(rowValue(getIRMAASurcharge(230001, 2028), 'Annual surcharge'),
+    rowValue(getIRMAASurcharge(218001, 2026), 'Annual surcharge'));
+
+  const params = getProjectedTaxParameters(2028, 0.025, 'mfs');
+  assert.deepStrictEqual(Array.from(params.filter(row => row[0].startsWith('IRMAA')), row => row[1]),
+    [115000, 115000, 115000, 115000, 398000]);
+  // $500,000 × 1.025 = 512,500 → 513,000 individual; fixed in 2027.
+  const single = getProjectedTaxParameters(2028, 0.025, 'single');
+  assert.deepStrictEqual([...single.find(row => row[0] === 'IRMAA tier 5 boundary')],
+    ['IRMAA tier 5 boundary', 513000, 'Estimate (indexed)']);
+  assert.deepStrictEqual([...getProjectedTaxParameters(2027, 0.025, 'single').find(row => row[0] === 'IRMAA tier 5 boundary')],
+    ['IRMAA tier 5 boundary', 500000, 'Estimate (fixed)']);
+  assert.strictEqual(getTaxDataStatus('medicare', 2028)[0][1], 'projected');
+});
+
+// ──────────────────────────────────────────────────────────────────────
+// Web app API — doGet / doPost with a stubbed ContentService.
+// ──────────────────────────────────────────────────────────────────────
+sandbox.ContentService = {
+  MimeType: { JSON: 'application/json' },
+  createTextOutput(content) {
+    return {
+      content,
+      setMimeType(mimeType) { this.mimeType = mimeType; return this; },
+    };
+  },
+};
+function callApi(handler, event) {
+  const output = handler(event);
+  assert.strictEqual(output.mimeType, 'application/json');
+  return JSON.parse(output.content);
+}
+function post(body) {
+  return callApi(doPost, { postData: { contents: typeof body === 'string' ? body : JSON.stringify(body) } });
+}
+
+test('doPost: per-component taxes match the calculators', () => {
+  const res = post({
+    year: 2025, taxableIncome: 400000, jurisdictions: ['federal', 'ny', 'nyc', 'niit', 'ctc'],
+    modifiedAGI: 420000, netInvestmentIncome: 30000, numberOfChildren: 2,
+  });
+  assert.strictEqual(res.ok, true);
+  assert.strictEqual(res.taxes.federal, getFederalIncomeTax(400000, 2025));
+  assert.strictEqual(res.taxes.ny, getNYIncomeTax(400000, 2025));
+  assert.strictEqual(res.taxes.nyc, getNYCIncomeTax(400000, 2025, 420000));
+  assert.strictEqual(res.taxes.niit, getNetInvestmentIncomeTax(30000, 420000, 2025));
+  assert.strictEqual(res.taxes.ctc, -getChildTaxCredit(2, 420000, 2025));
+  approxEquals(res.totalTax, Object.values(res.taxes).reduce((a, b) => a + b, 0), 0.01);
+  assert.deepStrictEqual(res.scenario.jurisdictions, ['federal', 'ny', 'nyc', 'niit', 'ctc']);
+  assert.strictEqual(res.estimate, null);
+});
+
+test('doPost: preferential income, filing status and estimate note', () => {
+  const res = post({ year: 2026, taxableIncome: 300000, qualifiedDividends: 20000, netCapitalGain: 30000,
+    filingStatus: 'single', jurisdictions: 'federal,ma' });
+  assert.strictEqual(res.taxes.federal, getFederalTaxWithCapitalGains(300000, 50000, 0, 2026, 'single'));
+  assert.strictEqual(res.taxes.ma, getStateIncomeTax(300000, 2026, 'ma', 'single'));
+  assert.match(res.estimate, /ma 2026 .*\(estimated\)/);
+});
+
+test('doPost: raw capital gains and losses are netted first', () => {
+  // $10,000 short-term loss against $50,000 long-term gain: $40,000 of net
+  // capital gain on top of $200,000 of other taxable income.
+  const gain = post({ year: 2025, taxableIncome: 200000, longTermGains: 50000, shortTermLosses: 10000 });
+  assert.strictEqual(gain.capitalGains.netCapitalGain, 40000);
+  assert.strictEqual(gain.taxes.federal, getFederalTaxWithCapitalGains(240000, 0, 40000, 2025));
+  // A net loss deducts $3,000 and carries the rest forward.
+  const loss = post({ year: 2025, taxableIncome: 100000, shortTermLosses: 10000, jurisdictions: 'federal,ny' });
+  assert.deepStrictEqual(loss.capitalGains,
+    { netCapitalGain: 0, includedInIncome: -3000, shortTermCarryforward: 7000, longTermCarryforward: 0 });
+  assert.strictEqual(loss.taxes.ny, getNYIncomeTax(97000, 2025));
+  assert.strictEqual(post({ year: 2025, taxableIncome: 1 }).capitalGains, null);
+  assert.match(post({ year: 2025, taxableIncome: 100000, netCapitalGain: 1, longTermGains: 1 }).error.message,
+    /netCapitalGain or the gains and losses/);
+  const get = callApi(doGet, { parameter: { year: '2025', taxableIncome: '200000', longTermGains: '50000' } });
+  assert.strictEqual(get.capitalGains.netCapitalGain, 50000);
+});
+
+test('doGet: query parameters, and an API description without any', () => {
+  const res = callApi(doGet, { parameter: { year: '2024', taxableIncome: '250000', jurisdictions: 'federal,nc' } });
+  assert.strictEqual(res.taxes.federal, getFederalIncomeTax(250000, 2024));
+  assert.strictEqual(res.taxes.nc, getNCIncomeTax(250000, 2024));
+  const info = callApi(doGet, { parameter: {} });
+  assert.strictEqual(info.ok, true);
+  assert.ok(info.jurisdictions.includes('niit') && info.jurisdictions.includes('ca'));
+  assert.ok(info.fields.includes('taxableIncome'));
+});
+
+test('API errors are structured', () => {
+  assert.deepStrictEqual(post('{"year":').error.code, 'BAD_REQUEST');
+  assert.strictEqual(post([2025]).error.code, 'BAD_REQUEST');
+  const unknown = post({ year: 2025, taxableIncome: 1, income: 2 });
+  assert.strictEqual(unknown.ok, false);
+  assert.strictEqual(unknown.error.code, 'INVALID_SCENARIO');
+  assert.match(unknown.error.message, /unknown field 'income'/);
+  assert.strictEqual(post({ year: 2025 }).error.message, 'Scenario needs year and taxableIncome');
+  assert.strictEqual(post({ year: 2025, taxableIncome: 1, jurisdictions: 'xx' }).error.code, 'INVALID_SCENARIO');
+  const preferential = post({ year: 2025, taxableIncome: 100000, qualifiedDividends: 200000 });
+  assert.strictEqual(preferential.error.code, 'INVALID_SCENARIO');
+  assert.match(preferential.error.message, /\(200000\) cannot exceed taxable income \(100000\)/);
+  const get = callApi(doGet, { parameter: { year: '2025', taxableIncome: 'lots' } });
+  assert.strictEqual(get.error.message, 'taxableIncome must be a number');
+});
+
 // ──────────────────────────────────────────────────────────────────────
 // Run.
 // ──────────────────────────────────────────────────────────────────────
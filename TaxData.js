@@ -0,0 +1,930 @@
+/**
+ * Tax parameters for Code.js: brackets, deductions, credits and thresholds
+ * for every jurisdiction and year.
+ *
+ * This file is data only. Values are JSON types (numbers, strings,
+ * booleans, arrays, objects and `null`), so each year's block can be
+ * checked, diffed and replaced as a unit. Publishing a new year means
+ * adding it to `supportedYears`, adding a block under every jurisdiction
+ * and bumping `version`; Code.js doesn't change.
+ *
+ * Conventions:
+ *   - Bracket lists are [[upper threshold, rate], ...]; the last threshold
+ *     is TAX_CONFIG.MAX_INCOME (100000000).
+ *   - `null` marks an unbounded limit (read as Infinity).
+ *   - Status-keyed objects list every filing status the jurisdiction
+ *     supports.
+ *   - `provenance` lists the jurisdiction's tables for getTaxDataStatus;
+ *     `tables` names the year-block fields an entry covers, so a result
+ *     is only flagged for the entries whose fields it read; `estimated`
+ *     maps each unconfirmed year to the month its source is expected
+ *     ('YYYY-MM').
+ *
+ * Code.js validates this on first use (_validateTaxData) and refuses a
+ * file whose `schemaVersion` it doesn't know.
+ *
+ * Load order: none needed. Code.js reads TAX_DATA only when a calculation
+ * runs, after Apps Script has loaded every file.
+ */
+const TAX_DATA = {
+  schemaVersion: 1,
+  version: '2026.10',
+  supportedYears: [2023, 2024, 2025, 2026],
+  jurisdictions: {
+    // IRS Revenue Procedures 2022-38 (2023), 2023-34 (2024), 2024-40 (2025),
+    // 2025-32 (2026); OBBBA 2025 where noted. Child Tax Credit: IRS Pub 972.
+    // Social Security wage base: SSA COLA announcements (Oct 2022-Oct 2025).
+    // The standard deduction excludes the age 65+ / blind amounts and the OBBBA
+    // senior deduction. SALT figures are for every status but MFS, which gets
+    // half; phaseDownThreshold null = no phase-down.
+    // withholdingStandardDeduction is the standard deduction built into the
+    // Pub 15-T percentage-method tables by W-4 status (single covers MFS,
+    // mfj covers QSS). 2025's tables kept the pre-OBBBA amounts.
+    // underpaymentRates are the IRS underpayment rates for the quarters a
+    // year's Form 2210 penalty runs through: April-June, July-September and
+    // October-December of the tax year, then January-March and April 1-15
+    // of the next. ESTIMATE — from April 2026 on, the rates repeat the last
+    // confirmed one (7%); re-verify against the IRS announcements.
+    federal: {
+      provenance: [
+        { label: 'Income tax brackets', tables: ['brackets'], source: 'IRS Rev. Proc. 2022-38, 2023-34, 2024-40, 2025-32', projected: true },
+        { label: 'Qualified dividend / LTCG thresholds', tables: ['preferentialBrackets'], source: 'IRS Rev. Proc. 2022-38, 2023-34, 2024-40, 2025-32', projected: true },
+        { label: 'Child Tax Credit amounts', tables: ['childTaxCredit'], source: 'IRS Pub 972; OBBBA 2025', projected: true },
+        { label: 'Standard deduction', tables: ['standardDeduction'], source: 'IRS Rev. Proc. 2022-38, 2023-34, 2024-40, 2025-32; OBBBA §70102', projected: true },
+        { label: 'SALT deduction cap', tables: ['saltCap'], source: 'IRC §164(b)(6)-(7); OBBBA §70120', projected: true },
+        { label: 'Social Security wage base', tables: ['socialSecurityWageBase'], source: 'SSA COLA announcements, Oct 2022-Oct 2025' },
+        { label: 'QBI thresholds', tables: ['qbi'], source: 'IRS Rev. Proc. 2022-38, 2023-34, 2024-40, 2025-32; OBBBA §70105' },
+        { label: 'AMT exemption and phase-out', tables: ['amt'], source: 'IRS Rev. Proc. 2022-38, 2023-34, 2024-40, 2025-32; OBBBA §70107' },
+        { label: 'Withholding standard deduction', tables: ['withholdingStandardDeduction'], source: 'IRS Pub 15-T 2023-2026, Worksheet 1A' },
+        { label: 'Underpayment interest rates', tables: ['underpaymentRates'], source: 'IRS quarterly interest rate announcements (IRC §6621(a)(2)); rates from April 2026 on repeat the last confirmed rate', estimated: { 2025: '2026-02', 2026: '2027-02' } },
+      ],
+      years: {
+        2023: {
+          brackets: {
+            single: [
+              [11000, 0.1], [44725, 0.12], [95375, 0.22], [182100, 0.24], [231250, 0.32],
+              [578125, 0.35], [100000000, 0.37],
+            ],
+            mfj: [
+              [22000, 0.1], [89450, 0.12], [190750, 0.22], [364200, 0.24], [462500, 0.32],
+              [693750, 0.35], [100000000, 0.37],
+            ],
+            mfs: [
+              [11000, 0.1], [44725, 0.12], [95375, 0.22], [182100, 0.24], [231250, 0.32],
+              [346875, 0.35], [100000000, 0.37],
+            ],
+            hoh: [
+              [15700, 0.1], [59850, 0.12], [95350, 0.22], [182100, 0.24], [231250, 0.32],
+              [578100, 0.35], [100000000, 0.37],
+            ],
+            qss: [
+              [22000, 0.1], [89450, 0.12], [190750, 0.22], [364200, 0.24], [462500, 0.32],
+              [693750, 0.35], [100000000, 0.37],
+            ],
+          },
+          preferentialBrackets: {
+            single: [[44625, 0], [492300, 0.15], [100000000, 0.2]],
+            mfj: [[89250, 0], [553850, 0.15], [100000000, 0.2]],
+            mfs: [[44625, 0], [276900, 0.15], [100000000, 0.2]],
+            hoh: [[59750, 0], [523050, 0.15], [100000000, 0.2]],
+            qss: [[89250, 0], [553850, 0.15], [100000000, 0.2]],
+          },
+          standardDeduction: { single: 13850, mfj: 27700, mfs: 13850, hoh: 20800, qss: 27700 },
+          childTaxCredit: { creditPerChild: 2000, refundableAmount: 1600 },
+          saltCap: { cap: 10000, phaseDownThreshold: null, floor: 10000 },
+          socialSecurityWageBase: 160200,
+          withholdingStandardDeduction: { single: 13850, mfj: 27700, hoh: 20800 },
+          underpaymentRates: [0.07, 0.07, 0.08, 0.08, 0.08],
+          qbi: {
+            threshold: { single: 182100, mfj: 364200, mfs: 182100, hoh: 182100, qss: 182100 },
+            phaseInRange: { single: 50000, mfj: 100000, mfs: 50000, hoh: 50000, qss: 50000 },
+          },
+          amt: {
+            exemption: { single: 81300, mfj: 126500, mfs: 63250, hoh: 81300, qss: 126500 },
+            phaseOutStart: { single: 578150, mfj: 1156300, mfs: 578150, hoh: 578150, qss: 1156300 },
+            phaseOutRate: 0.25,
+            breakpoint: 220700,
+          },
+        },
+        2024: {
+          brackets: {
+            single: [
+              [11600, 0.1], [47150, 0.12], [100525, 0.22], [191950, 0.24], [243725, 0.32],
+              [609350, 0.35], [100000000, 0.37],
+            ],
+            mfj: [
+              [23200, 0.1], [94300, 0.12], [201050, 0.22], [383900, 0.24], [487450, 0.32],
+              [731200, 0.35], [100000000, 0.37],
+            ],
+            mfs: [
+              [11600, 0.1], [47150, 0.12], [100525, 0.22], [191950, 0.24], [243725, 0.32],
+              [365600, 0.35], [100000000, 0.37],
+            ],
+            hoh: [
+              [16550, 0.1], [63100, 0.12], [100500, 0.22], [191950, 0.24], [243700, 0.32],
+              [609350, 0.35], [100000000, 0.37],
+            ],
+            qss: [
+              [23200, 0.1], [94300, 0.12], [201050, 0.22], [383900, 0.24], [487450, 0.32],
+              [731200, 0.35], [100000000, 0.37],
+            ],
+          },
+          preferentialBrackets: {
+            single: [[47025, 0], [518900, 0.15], [100000000, 0.2]],
+            mfj: [[94050, 0], [583750, 0.15], [100000000, 0.2]],
+            mfs: [[47025, 0], [291850, 0.15], [100000000, 0.2]],
+            hoh: [[63000, 0], [551350, 0.15], [100000000, 0.2]],
+            qss: [[94050, 0], [583750, 0.15], [100000000, 0.2]],
+          },
+          standardDeduction: { single: 14600, mfj: 29200, mfs: 14600, hoh: 21900, qss: 29200 },
+          childTaxCredit: { creditPerChild: 2000, refundableAmount: 1700 },
+          saltCap: { cap: 10000, phaseDownThreshold: null, floor: 10000 },
+          socialSecurityWageBase: 168600,
+          withholdingStandardDeduction: { single: 14600, mfj: 29200, hoh: 21900 },
+          underpaymentRates: [0.08, 0.08, 0.08, 0.07, 0.07],
+          qbi: {
+            threshold: { single: 191950, mfj: 383900, mfs: 191950, hoh: 191950, qss: 191950 },
+            phaseInRange: { single: 50000, mfj: 100000, mfs: 50000, hoh: 50000, qss: 50000 },
+          },
+          amt: {
+            exemption: { single: 85700, mfj: 133300, mfs: 66650, hoh: 85700, qss: 133300 },
+            phaseOutStart: { single: 609350, mfj: 1218700, mfs: 609350, hoh: 609350, qss: 1218700 },
+            phaseOutRate: 0.25,
+            breakpoint: 232600,
+          },
+        },
+        // OBBBA §70102 raised the 2025 standard deduction to $15,750 / $31,500 / $23,625;
+        // OBBBA §70120 raised the SALT cap to $40,000 (+1% a year).
+        2025: {
+          brackets: {
+            single: [
+              [11925, 0.1], [48475, 0.12], [103350, 0.22], [197300, 0.24], [250525, 0.32],
+              [626350, 0.35], [100000000, 0.37],
+            ],
+            mfj: [
+              [23850, 0.1], [96950, 0.12], [206700, 0.22], [394600, 0.24], [501050, 0.32],
+              [751600, 0.35], [100000000, 0.37],
+            ],
+            mfs: [
+              [11925, 0.1], [48475, 0.12], [103350, 0.22], [197300, 0.24], [250525, 0.32],
+              [375800, 0.35], [100000000, 0.37],
+            ],
+            hoh: [
+              [17000, 0.1], [64850, 0.12], [103350, 0.22], [197300, 0.24], [250500, 0.32],
+              [626350, 0.35], [100000000, 0.37],
+            ],
+            qss: [
+              [23850, 0.1], [96950, 0.12], [206700, 0.22], [394600, 0.24], [501050, 0.32],
+              [751600, 0.35], [100000000, 0.37],
+            ],
+          },
+          preferentialBrackets: {
+            single: [[48350, 0], [533400, 0.15], [100000000, 0.2]],
+            mfj: [[96700, 0], [600050, 0.15], [100000000, 0.2]],
+            mfs: [[48350, 0], [300000, 0.15], [100000000, 0.2]],
+            hoh: [[64750, 0], [566700, 0.15], [100000000, 0.2]],
+            qss: [[96700, 0], [600050, 0.15], [100000000, 0.2]],
+          },
+          standardDeduction: { single: 15750, mfj: 31500, mfs: 15750, hoh: 23625, qss: 31500 },
+          childTaxCredit: { creditPerChild: 2200, refundableAmount: 1700 },
+          saltCap: { cap: 40000, phaseDownThreshold: 500000, floor: 10000 },
+          socialSecurityWageBase: 176100,
+          withholdingStandardDeduction: { single: 15000, mfj: 30000, hoh: 22500 },
+          underpaymentRates: [0.07, 0.07, 0.07, 0.07, 0.07],
+          qbi: {
+            threshold: { single: 197300, mfj: 394600, mfs: 197300, hoh: 197300, qss: 197300 },
+            phaseInRange: { single: 50000, mfj: 100000, mfs: 50000, hoh: 50000, qss: 50000 },
+          },
+          amt: {
+            exemption: { single: 88100, mfj: 137000, mfs: 68500, hoh: 88100, qss: 137000 },
+            phaseOutStart: { single: 626350, mfj: 1252700, mfs: 626350, hoh: 626350, qss: 1252700 },
+            phaseOutRate: 0.25,
+            breakpoint: 239100,
+          },
+        },
+        // OBBBA §70105 widens the QBI phase-in range to $75,000 / $150,000 and
+        // OBBBA §70107 resets the AMT phase-out to $500,000 / $1,000,000 at 50%.
+        2026: {
+          brackets: {
+            single: [
+              [12400, 0.1], [50400, 0.12], [105700, 0.22], [201775, 0.24], [256225, 0.32],
+              [640600, 0.35], [100000000, 0.37],
+            ],
+            mfj: [
+              [24800, 0.1], [100800, 0.12], [211400, 0.22], [403550, 0.24], [512450, 0.32],
+              [768700, 0.35], [100000000, 0.37],
+            ],
+            mfs: [
+              [12400, 0.1], [50400, 0.12], [105700, 0.22], [201775, 0.24], [256225, 0.32],
+              [384350, 0.35], [100000000, 0.37],
+            ],
+            hoh: [
+              [17700, 0.1], [67450, 0.12], [105700, 0.22], [201750, 0.24], [256200, 0.32],
+              [640600, 0.35], [100000000, 0.37],
+            ],
+            qss: [
+              [24800, 0.1], [100800, 0.12], [211400, 0.22], [403550, 0.24], [512450, 0.32],
+              [768700, 0.35], [100000000, 0.37],
+            ],
+          },
+          preferentialBrackets: {
+            single: [[49450, 0], [545500, 0.15], [100000000, 0.2]],
+            mfj: [[98900, 0], [613700, 0.15], [100000000, 0.2]],
+            mfs: [[49450, 0], [306850, 0.15], [100000000, 0.2]],
+            hoh: [[66200, 0], [579600, 0.15], [100000000, 0.2]],
+            qss: [[98900, 0], [613700, 0.15], [100000000, 0.2]],
+          },
+          standardDeduction: { single: 16100, mfj: 32200, mfs: 16100, hoh: 24150, qss: 32200 },
+          childTaxCredit: { creditPerChild: 2200, refundableAmount: 1700 },
+          saltCap: { cap: 40400, phaseDownThreshold: 505000, floor: 10000 },
+          socialSecurityWageBase: 184500,
+          withholdingStandardDeduction: { single: 16100, mfj: 32200, hoh: 24150 },
+          underpaymentRates: [0.07, 0.07, 0.07, 0.07, 0.07],
+          qbi: {
+            threshold: { single: 201750, mfj: 403500, mfs: 201750, hoh: 201750, qss: 201750 },
+            phaseInRange: { single: 75000, mfj: 150000, mfs: 75000, hoh: 75000, qss: 75000 },
+          },
+          amt: {
+            exemption: { single: 90100, mfj: 140200, mfs: 70100, hoh: 90100, qss: 140200 },
+            phaseOutStart: { single: 500000, mfj: 1000000, mfs: 500000, hoh: 500000, qss: 1000000 },
+            phaseOutRate: 0.5,
+            breakpoint: 244500,
+          },
+        },
+      },
+    },
+    // NY Tax Law §601 brackets and §614 standard deduction (MFJ / QSS only).
+    // Recapture: Form IT-201-I tax computation worksheets 1-5; coefficients
+    // verified identical in the 2023, 2024 and 2025 editions. Each band is
+    // { tiLimit, anchor, base, benefit } or the first-band
+    // { tiLimit, firstBand, flatRate, anchor }; each band's anchor is the
+    // previous band's tiLimit.
+    ny: {
+      provenance: [
+        { label: 'Income tax brackets', tables: ['brackets'], source: 'NY Tax Law §601; NY Budget Act of 2025', projected: true },
+        { label: 'Tax table benefit recapture', tables: ['recapture'], source: 'Form IT-201-I worksheets 1-6', estimated: { 2026: '2027-01' }, projected: true },
+        { label: 'Standard deduction', tables: ['standardDeduction'], source: 'NY Tax Law §614; IT-201-I', estimated: { 2026: '2027-01' }, projected: true },
+        { label: 'Itemized deduction phaseout', tables: ['itemizedPhaseout'], source: 'Form IT-196-I lines 46-47', estimated: { 2026: '2027-01' } },
+      ],
+      years: {
+        2023: {
+          brackets: [
+            [17150, 0.04], [23600, 0.045], [27900, 0.0525], [161550, 0.055], [323200, 0.06],
+            [2155350, 0.0685], [5000000, 0.0965], [25000000, 0.103], [100000000, 0.109],
+          ],
+          standardDeduction: { mfj: 16050, qss: 16050 },
+          recapture: [
+            { tiLimit: 161550, firstBand: true, flatRate: 0.055, anchor: 107650 },
+            { tiLimit: 323200, anchor: 161550, base: 333, benefit: 807 },
+            { tiLimit: 2155350, anchor: 323200, base: 1140, benefit: 2747 },
+            { tiLimit: 5000000, anchor: 2155350, base: 3887, benefit: 60350 },
+            { tiLimit: null, anchor: 5000000, base: 64237, benefit: 32500 },
+          ],
+        },
+        2024: {
+          brackets: [
+            [17150, 0.04], [23600, 0.045], [27900, 0.0525], [161550, 0.055], [323200, 0.06],
+            [2155350, 0.0685], [5000000, 0.0965], [25000000, 0.103], [100000000, 0.109],
+          ],
+          standardDeduction: { mfj: 16050, qss: 16050 },
+          recapture: [
+            { tiLimit: 161550, firstBand: true, flatRate: 0.055, anchor: 107650 },
+            { tiLimit: 323200, anchor: 161550, base: 333, benefit: 807 },
+            { tiLimit: 2155350, anchor: 323200, base: 1140, benefit: 2747 },
+            { tiLimit: 5000000, anchor: 2155350, base: 3887, benefit: 60350 },
+            { tiLimit: null, anchor: 5000000, base: 64237, benefit: 32500 },
+          ],
+        },
+        2025: {
+          brackets: [
+            [17150, 0.04], [23600, 0.045], [27900, 0.0525], [161550, 0.055], [323200, 0.06],
+            [2155350, 0.0685], [5000000, 0.0965], [25000000, 0.103], [100000000, 0.109],
+          ],
+          standardDeduction: { mfj: 16050, qss: 16050 },
+          recapture: [
+            { tiLimit: 161550, firstBand: true, flatRate: 0.055, anchor: 107650 },
+            { tiLimit: 323200, anchor: 161550, base: 333, benefit: 807 },
+            { tiLimit: 2155350, anchor: 323200, base: 1140, benefit: 2747 },
+            { tiLimit: 5000000, anchor: 2155350, base: 3887, benefit: 60350 },
+            { tiLimit: null, anchor: 5000000, base: 64237, benefit: 32500 },
+          ],
+        },
+        // Reduced rates for income ≤$323,200 per NY Budget Act of 2025.
+        // ESTIMATE — recapture and standard deduction: re-verify against IT-201-I
+        // 2026 (expected ~Jan 2027). Recapture coefficients are derived from the
+        // 2026 brackets:
+        //   base    = prev_top_rate × anchor − bracketed_at_anchor
+        //   benefit = (top_rate − prev_top_rate) × anchor
+        // WS 2's benefit 807.75 publishes as 807 in every prior edition, so 2026
+        // keeps 807; other half-dollar rounds (e.g. band 4 base 4210.65) may need
+        // adjustment once IT-201-I 2026 publishes.
+        2026: {
+          brackets: [
+            [17150, 0.039], [23600, 0.044], [27900, 0.0515], [161550, 0.054], [323200, 0.059],
+            [2155350, 0.0685], [5000000, 0.0965], [25000000, 0.103], [100000000, 0.109],
+          ],
+          standardDeduction: { mfj: 16050, qss: 16050 },
+          recapture: [
+            { tiLimit: 161550, firstBand: true, flatRate: 0.054, anchor: 107650 },
+            { tiLimit: 323200, anchor: 161550, base: 333, benefit: 807 },
+            { tiLimit: 2155350, anchor: 323200, base: 1140, benefit: 3070 },
+            { tiLimit: 5000000, anchor: 2155350, base: 4211, benefit: 60350 },
+            { tiLimit: null, anchor: 5000000, base: 64560, benefit: 32500 },
+          ],
+        },
+      },
+    },
+    // NY Tax Law §1304; IT-201-I NYC tax rate schedule and credits (MFJ).
+    // Rates and brackets unchanged since 2017. householdCredit is per
+    // exemption by federal AGI, `upperAgi` inclusive, first fit.
+    nyc: {
+      provenance: [
+        { label: 'NYC brackets and credits', tables: ['brackets', 'householdCredit', 'schoolTaxCredit'], source: 'NY Tax Law §1304; Form IT-201-I', projected: true },
+      ],
+      years: {
+        2023: {
+          brackets: [
+            [21600, 0.03078], [45000, 0.03762], [90000, 0.03819], [100000000, 0.03876],
+          ],
+          householdCredit: [
+            { upperAgi: 15000, perExemption: 30 },
+            { upperAgi: 17500, perExemption: 25 },
+            { upperAgi: 20000, perExemption: 15 },
+            { upperAgi: 22500, perExemption: 10 },
+            { upperAgi: null, perExemption: 0 },
+          ],
+          schoolTaxCredit: {
+            fixedAmount: 125,
+            fixedIncomeLimit: 250000,
+            rateReductionIncomeLimit: 500000,
+            rateReductionBreak: 21600,
+            rateReductionBase: 37,
+            rateReductionRates: [0.00171, 0.00228],
+          },
+        },
+        2024: {
+          brackets: [
+            [21600, 0.03078], [45000, 0.03762], [90000, 0.03819], [100000000, 0.03876],
+          ],
+          householdCredit: [
+            { upperAgi: 15000, perExemption: 30 },
+            { upperAgi: 17500, perExemption: 25 },
+            { upperAgi: 20000, perExemption: 15 },
+            { upperAgi: 22500, perExemption: 10 },
+            { upperAgi: null, perExemption: 0 },
+          ],
+          schoolTaxCredit: {
+            fixedAmount: 125,
+            fixedIncomeLimit: 250000,
+            rateReductionIncomeLimit: 500000,
+            rateReductionBreak: 21600,
+            rateReductionBase: 37,
+            rateReductionRates: [0.00171, 0.00228],
+          },
+        },
+        2025: {
+          brackets: [
+            [21600, 0.03078], [45000, 0.03762], [90000, 0.03819], [100000000, 0.03876],
+          ],
+          householdCredit: [
+            { upperAgi: 15000, perExemption: 30 },
+            { upperAgi: 17500, perExemption: 25 },
+            { upperAgi: 20000, perExemption: 15 },
+            { upperAgi: 22500, perExemption: 10 },
+            { upperAgi: null, perExemption: 0 },
+          ],
+          schoolTaxCredit: {
+            fixedAmount: 125,
+            fixedIncomeLimit: 250000,
+            rateReductionIncomeLimit: 500000,
+            rateReductionBreak: 21600,
+            rateReductionBase: 37,
+            rateReductionRates: [0.00171, 0.00228],
+          },
+        },
+        2026: {
+          brackets: [
+            [21600, 0.03078], [45000, 0.03762], [90000, 0.03819], [100000000, 0.03876],
+          ],
+          householdCredit: [
+            { upperAgi: 15000, perExemption: 30 },
+            { upperAgi: 17500, perExemption: 25 },
+            { upperAgi: 20000, perExemption: 15 },
+            { upperAgi: 22500, perExemption: 10 },
+            { upperAgi: null, perExemption: 0 },
+          ],
+          schoolTaxCredit: {
+            fixedAmount: 125,
+            fixedIncomeLimit: 250000,
+            rateReductionIncomeLimit: 500000,
+            rateReductionBreak: 21600,
+            rateReductionBase: 37,
+            rateReductionRates: [0.00171, 0.00228],
+          },
+        },
+      },
+    },
+    // Yonkers City Code §15-105: a percentage of net NY State tax. 16.75% since 2020.
+    yonkers: {
+      provenance: [
+        { label: 'Yonkers surcharge rate', tables: ['surchargeRate'], source: 'Yonkers City Code §15-105; Form IT-201 line 55', projected: true },
+      ],
+      years: {
+        2023: { surchargeRate: 0.1675 },
+        2024: { surchargeRate: 0.1675 },
+        2025: { surchargeRate: 0.1675 },
+        2026: { surchargeRate: 0.1675 },
+      },
+    },
+    // FTB Schedule Y and Form 540 instructions (MFJ / QSS). Exemption credits
+    // per person and the federal-AGI limitation threshold (R&TC §17054,
+    // §17054.1, §17077); the MFJ threshold is the published figure.
+    ca: {
+      provenance: [
+        { label: 'Schedule Y brackets', tables: ['brackets'], source: 'FTB Form 540 Schedule Y', estimated: { 2026: '2026-11' }, projected: true },
+        { label: 'Standard deduction', tables: ['standardDeduction'], source: 'FTB Form 540 instructions', estimated: { 2026: '2026-11' }, projected: true },
+        { label: 'Exemption credits and AGI limitation', tables: ['exemptionCredits'], source: 'R&TC §17054, §17054.1, §17077; Form 540 instructions', estimated: { 2026: '2026-11' } },
+      ],
+      years: {
+        2023: {
+          brackets: [
+            [20924, 0.01], [49564, 0.02], [78252, 0.04], [108616, 0.06], [137284, 0.08],
+            [701308, 0.093], [841572, 0.103], [1402620, 0.113], [100000000, 0.123],
+          ],
+          standardDeduction: { mfj: 10726, qss: 10726 },
+          exemptionCredits: { personal: 144, dependent: 446, phaseOutThresholdMFJ: 474075 },
+        },
+        2024: {
+          brackets: [
+            [21512, 0.01], [50998, 0.02], [80490, 0.04], [111732, 0.06], [141212, 0.08],
+            [721318, 0.093], [865574, 0.103], [1442628, 0.113], [100000000, 0.123],
+          ],
+          standardDeduction: { mfj: 11080, qss: 11080 },
+          exemptionCredits: { personal: 149, dependent: 461, phaseOutThresholdMFJ: 489719 },
+        },
+        2025: {
+          brackets: [
+            [22158, 0.01], [52528, 0.02], [82904, 0.04], [115084, 0.06], [145448, 0.08],
+            [742958, 0.093], [891542, 0.103], [1485906, 0.113], [100000000, 0.123],
+          ],
+          standardDeduction: { mfj: 11412, qss: 11412 },
+          exemptionCredits: { personal: 153, dependent: 475, phaseOutThresholdMFJ: 504411 },
+        },
+        // ESTIMATE — re-verify against FTB Schedule Y 2026 (expected ~fall 2026).
+        // 2025 × 1.02971 CA CPI: Schedule Y and the standard deduction index the
+        // single amount, rounded and doubled for MFJ; exemption credits likewise.
+        2026: {
+          brackets: [
+            [22816, 0.01], [54089, 0.02], [85367, 0.04], [118503, 0.06], [149769, 0.08],
+            [765031, 0.093], [918030, 0.103], [1530052, 0.113], [100000000, 0.123],
+          ],
+          standardDeduction: { mfj: 11752, qss: 11752 },
+          exemptionCredits: { personal: 158, dependent: 489, phaseOutThresholdMFJ: 519397 },
+        },
+      },
+    },
+    // Flat rate declining per Session Law 2023-134. Standard deduction
+    // N.C.G.S. §105-153.5(a)(1) and child deduction §105-153.5(a1), unchanged
+    // since 2022. Child deduction bands are [upperAgi, amountPerChild].
+    nc: {
+      provenance: [
+        { label: 'Flat rate', tables: ['brackets'], source: 'N.C.G.S. §105-153.7; Session Law 2023-134', projected: true },
+        { label: 'Standard deduction', tables: ['standardDeduction'], source: 'N.C.G.S. §105-153.5(a)(1)', projected: true },
+        { label: 'Child deduction', tables: ['childDeduction'], source: 'N.C.G.S. §105-153.5(a1)', projected: true },
+      ],
+      years: {
+        2023: {
+          brackets: [[100000000, 0.0475]],
+          standardDeduction: { single: 12750, mfj: 25500, mfs: 12750, hoh: 19125, qss: 25500 },
+          childDeduction: {
+            single: [
+              [20000, 3000], [30000, 2500], [40000, 2000], [50000, 1500], [60000, 1000],
+              [70000, 500],
+            ],
+            mfj: [
+              [40000, 3000], [60000, 2500], [80000, 2000], [100000, 1500], [120000, 1000],
+              [140000, 500],
+            ],
+            mfs: [
+              [20000, 3000], [30000, 2500], [40000, 2000], [50000, 1500], [60000, 1000],
+              [70000, 500],
+            ],
+            hoh: [
+              [30000, 3000], [45000, 2500], [60000, 2000], [75000, 1500], [90000, 1000],
+              [105000, 500],
+            ],
+            qss: [
+              [40000, 3000], [60000, 2500], [80000, 2000], [100000, 1500], [120000, 1000],
+              [140000, 500],
+            ],
+          },
+        },
+        2024: {
+          brackets: [[100000000, 0.045]],
+          standardDeduction: { single: 12750, mfj: 25500, mfs: 12750, hoh: 19125, qss: 25500 },
+          childDeduction: {
+            single: [
+              [20000, 3000], [30000, 2500], [40000, 2000], [50000, 1500], [60000, 1000],
+              [70000, 500],
+            ],
+            mfj: [
+              [40000, 3000], [60000, 2500], [80000, 2000], [100000, 1500], [120000, 1000],
+              [140000, 500],
+            ],
+            mfs: [
+              [20000, 3000], [30000, 2500], [40000, 2000], [50000, 1500], [60000, 1000],
+              [70000, 500],
+            ],
+            hoh: [
+              [30000, 3000], [45000, 2500], [60000, 2000], [75000, 1500], [90000, 1000],
+              [105000, 500],
+            ],
+            qss: [
+              [40000, 3000], [60000, 2500], [80000, 2000], [100000, 1500], [120000, 1000],
+              [140000, 500],
+            ],
+          },
+        },
+        2025: {
+          brackets: [[100000000, 0.0425]],
+          standardDeduction: { single: 12750, mfj: 25500, mfs: 12750, hoh: 19125, qss: 25500 },
+          childDeduction: {
+            single: [
+              [20000, 3000], [30000, 2500], [40000, 2000], [50000, 1500], [60000, 1000],
+              [70000, 500],
+            ],
+            mfj: [
+              [40000, 3000], [60000, 2500], [80000, 2000], [100000, 1500], [120000, 1000],
+              [140000, 500],
+            ],
+            mfs: [
+              [20000, 3000], [30000, 2500], [40000, 2000], [50000, 1500], [60000, 1000],
+              [70000, 500],
+            ],
+            hoh: [
+              [30000, 3000], [45000, 2500], [60000, 2000], [75000, 1500], [90000, 1000],
+              [105000, 500],
+            ],
+            qss: [
+              [40000, 3000], [60000, 2500], [80000, 2000], [100000, 1500], [120000, 1000],
+              [140000, 500],
+            ],
+          },
+        },
+        2026: {
+          brackets: [[100000000, 0.0399]],
+          standardDeduction: { single: 12750, mfj: 25500, mfs: 12750, hoh: 19125, qss: 25500 },
+          childDeduction: {
+            single: [
+              [20000, 3000], [30000, 2500], [40000, 2000], [50000, 1500], [60000, 1000],
+              [70000, 500],
+            ],
+            mfj: [
+              [40000, 3000], [60000, 2500], [80000, 2000], [100000, 1500], [120000, 1000],
+              [140000, 500],
+            ],
+            mfs: [
+              [20000, 3000], [30000, 2500], [40000, 2000], [50000, 1500], [60000, 1000],
+              [70000, 500],
+            ],
+            hoh: [
+              [30000, 3000], [45000, 2500], [60000, 2000], [75000, 1500], [90000, 1000],
+              [105000, 500],
+            ],
+            qss: [
+              [40000, 3000], [60000, 2500], [80000, 2000], [100000, 1500], [120000, 1000],
+              [140000, 500],
+            ],
+          },
+        },
+      },
+    },
+    // 5% flat (M.G.L. c.62 §4); 4% millionaire surtax over the indexed
+    // threshold, MA DOR TIR 22-15 (2023), 23-14 (2024), 24-11 (2025). The
+    // personal exemption (M.G.L. c.62 §3(B)(b)) stands in for a standard deduction.
+    ma: {
+      provenance: [
+        { label: 'Flat rate', tables: ['brackets'], source: 'M.G.L. c.62 §4' },
+        { label: 'Millionaire surtax threshold', tables: ['millionaireSurtaxThreshold'], source: 'Fair Share Amendment; MA DOR TIR 22-15, 23-14, 24-11', estimated: { 2026: '2027-01' } },
+        { label: 'Personal exemption', tables: ['standardDeduction'], source: 'M.G.L. c.62 §3(B)(b)' },
+      ],
+      years: {
+        2023: {
+          brackets: [[100000000, 0.05]],
+          standardDeduction: { single: 4400, mfj: 8800, mfs: 4400, hoh: 6800, qss: 4400 },
+          millionaireSurtaxThreshold: 1000000,
+        },
+        2024: {
+          brackets: [[100000000, 0.05]],
+          standardDeduction: { single: 4400, mfj: 8800, mfs: 4400, hoh: 6800, qss: 4400 },
+          millionaireSurtaxThreshold: 1053750,
+        },
+        2025: {
+          brackets: [[100000000, 0.05]],
+          standardDeduction: { single: 4400, mfj: 8800, mfs: 4400, hoh: 6800, qss: 4400 },
+          millionaireSurtaxThreshold: 1083150,
+        },
+        // ESTIMATE — re-verify against the MA DOR 2026 threshold notice.
+        2026: {
+          brackets: [[100000000, 0.05]],
+          standardDeduction: { single: 4400, mfj: 8800, mfs: 4400, hoh: 6800, qss: 4400 },
+          millionaireSurtaxThreshold: 1107750,
+        },
+      },
+    },
+    // N.J.S.A. 54A:2-1; NJ-1040 instructions. Unchanged since 2020. Table A
+    // (single, MFS) overrides the Table B default. The personal exemption
+    // stands in for a standard deduction.
+    nj: {
+      provenance: [
+        { label: 'Income tax brackets', tables: ['brackets', 'bracketsByStatus'], source: 'N.J.S.A. 54A:2-1; NJ-1040 instructions' },
+        { label: 'Personal exemption', tables: ['standardDeduction'], source: 'N.J.S.A. 54A:3-1' },
+      ],
+      years: {
+        2023: {
+          brackets: [
+            [20000, 0.014], [50000, 0.0175], [70000, 0.0245], [80000, 0.035],
+            [150000, 0.05525], [500000, 0.0637], [1000000, 0.0897], [100000000, 0.1075],
+          ],
+          bracketsByStatus: {
+            single: [
+              [20000, 0.014], [35000, 0.0175], [40000, 0.035], [75000, 0.05525],
+              [500000, 0.0637], [1000000, 0.0897], [100000000, 0.1075],
+            ],
+            mfs: [
+              [20000, 0.014], [35000, 0.0175], [40000, 0.035], [75000, 0.05525],
+              [500000, 0.0637], [1000000, 0.0897], [100000000, 0.1075],
+            ],
+          },
+          standardDeduction: { single: 1000, mfj: 2000, mfs: 1000, hoh: 1000, qss: 1000 },
+        },
+        2024: {
+          brackets: [
+            [20000, 0.014], [50000, 0.0175], [70000, 0.0245], [80000, 0.035],
+            [150000, 0.05525], [500000, 0.0637], [1000000, 0.0897], [100000000, 0.1075],
+          ],
+          bracketsByStatus: {
+            single: [
+              [20000, 0.014], [35000, 0.0175], [40000, 0.035], [75000, 0.05525],
+              [500000, 0.0637], [1000000, 0.0897], [100000000, 0.1075],
+            ],
+            mfs: [
+              [20000, 0.014], [35000, 0.0175], [40000, 0.035], [75000, 0.05525],
+              [500000, 0.0637], [1000000, 0.0897], [100000000, 0.1075],
+            ],
+          },
+          standardDeduction: { single: 1000, mfj: 2000, mfs: 1000, hoh: 1000, qss: 1000 },
+        },
+        2025: {
+          brackets: [
+            [20000, 0.014], [50000, 0.0175], [70000, 0.0245], [80000, 0.035],
+            [150000, 0.05525], [500000, 0.0637], [1000000, 0.0897], [100000000, 0.1075],
+          ],
+          bracketsByStatus: {
+            single: [
+              [20000, 0.014], [35000, 0.0175], [40000, 0.035], [75000, 0.05525],
+              [500000, 0.0637], [1000000, 0.0897], [100000000, 0.1075],
+            ],
+            mfs: [
+              [20000, 0.014], [35000, 0.0175], [40000, 0.035], [75000, 0.05525],
+              [500000, 0.0637], [1000000, 0.0897], [100000000, 0.1075],
+            ],
+          },
+          standardDeduction: { single: 1000, mfj: 2000, mfs: 1000, hoh: 1000, qss: 1000 },
+        },
+        2026: {
+          brackets: [
+            [20000, 0.014], [50000, 0.0175], [70000, 0.0245], [80000, 0.035],
+            [150000, 0.05525], [500000, 0.0637], [1000000, 0.0897], [100000000, 0.1075],
+          ],
+          bracketsByStatus: {
+            single: [
+              [20000, 0.014], [35000, 0.0175], [40000, 0.035], [75000, 0.05525],
+              [500000, 0.0637], [1000000, 0.0897], [100000000, 0.1075],
+            ],
+            mfs: [
+              [20000, 0.014], [35000, 0.0175], [40000, 0.035], [75000, 0.05525],
+              [500000, 0.0637], [1000000, 0.0897], [100000000, 0.1075],
+            ],
+          },
+          standardDeduction: { single: 1000, mfj: 2000, mfs: 1000, hoh: 1000, qss: 1000 },
+        },
+      },
+    },
+    // CGS §12-700 rate schedules (MFJ / QSS default, single override). CT has
+    // no standard deduction; its zero amounts share the brackets' provenance.
+    // Recapture bands are CT-1040 Tables C and D:
+    // ESTIMATE — `max` is derived from the rate schedule, not transcribed.
+    // socialSecurity (CGS §12-701(a)(20)(B)(x)): benefits are exempt below
+    // federal AGI `exemptBelowAGI`; at or above it, `taxableShare` of the
+    // federally taxable benefits stays taxable. ESTIMATE — Public Act 23-204
+    // may phase the exemption out gradually rather than at once.
+    ct: {
+      provenance: [
+        { label: 'Income tax brackets', tables: ['brackets', 'bracketsByStatus', 'standardDeduction'], source: 'CGS §12-700; Public Act 23-204' },
+        { label: 'Rate phase-out and benefit recapture', tables: ['recapture'], source: 'Derived from the CT rate schedule; CT-1040 instructions Tables C and D', estimated: { 2023: '2027-01', 2024: '2027-01', 2025: '2027-01', 2026: '2027-01' } },
+        { label: 'Social Security exemption', tables: ['socialSecurity'], source: 'CGS §12-701(a)(20)(B)(x); Public Act 23-204 (phase-out above the AGI thresholds not modeled)', estimated: { 2023: '2027-01', 2024: '2027-01', 2025: '2027-01', 2026: '2027-01' } },
+      ],
+      years: {
+        2023: {
+          brackets: [
+            [20000, 0.03], [100000, 0.05], [200000, 0.055], [400000, 0.06], [500000, 0.065],
+            [1000000, 0.069], [100000000, 0.0699],
+          ],
+          bracketsByStatus: {
+            single: [
+              [10000, 0.03], [50000, 0.05], [100000, 0.055], [200000, 0.06], [250000, 0.065],
+              [500000, 0.069], [100000000, 0.0699],
+            ],
+          },
+          standardDeduction: { single: 0, mfj: 0, qss: 0 },
+          socialSecurity: { exemptBelowAGI: { single: 75000, mfj: 100000, qss: 100000 }, taxableShare: 0.25 },
+          recapture: {
+            mfj: [
+              { start: 100500, step: 5000, window: 100000, max: 400 },
+              { start: 400000, step: 10000, window: 250000, max: 3500 },
+              { start: 1000000, step: 10000, window: 500000, max: 2900 },
+            ],
+            single: [
+              { start: 56500, step: 2500, window: 50000, max: 200 },
+              { start: 200000, step: 5000, window: 125000, max: 1750 },
+              { start: 500000, step: 5000, window: 250000, max: 1450 },
+            ],
+          },
+        },
+        // Public Act 23-204 cuts the two lowest rates (3% → 2%, 5% → 4.5%).
+        2024: {
+          brackets: [
+            [20000, 0.02], [100000, 0.045], [200000, 0.055], [400000, 0.06], [500000, 0.065],
+            [1000000, 0.069], [100000000, 0.0699],
+          ],
+          bracketsByStatus: {
+            single: [
+              [10000, 0.02], [50000, 0.045], [100000, 0.055], [200000, 0.06], [250000, 0.065],
+              [500000, 0.069], [100000000, 0.0699],
+            ],
+          },
+          standardDeduction: { single: 0, mfj: 0, qss: 0 },
+          socialSecurity: { exemptBelowAGI: { single: 75000, mfj: 100000, qss: 100000 }, taxableShare: 0.25 },
+          recapture: {
+            mfj: [
+              { start: 100500, step: 5000, window: 100000, max: 500 },
+              { start: 400000, step: 10000, window: 250000, max: 4000 },
+              { start: 1000000, step: 10000, window: 500000, max: 2900 },
+            ],
+            single: [
+              { start: 56500, step: 2500, window: 50000, max: 250 },
+              { start: 200000, step: 5000, window: 125000, max: 2000 },
+              { start: 500000, step: 5000, window: 250000, max: 1450 },
+            ],
+          },
+        },
+        2025: {
+          brackets: [
+            [20000, 0.02], [100000, 0.045], [200000, 0.055], [400000, 0.06], [500000, 0.065],
+            [1000000, 0.069], [100000000, 0.0699],
+          ],
+          bracketsByStatus: {
+            single: [
+              [10000, 0.02], [50000, 0.045], [100000, 0.055], [200000, 0.06], [250000, 0.065],
+              [500000, 0.069], [100000000, 0.0699],
+            ],
+          },
+          standardDeduction: { single: 0, mfj: 0, qss: 0 },
+          socialSecurity: { exemptBelowAGI: { single: 75000, mfj: 100000, qss: 100000 }, taxableShare: 0.25 },
+          recapture: {
+            mfj: [
+              { start: 100500, step: 5000, window: 100000, max: 500 },
+              { start: 400000, step: 10000, window: 250000, max: 4000 },
+              { start: 1000000, step: 10000, window: 500000, max: 2900 },
+            ],
+            single: [
+              { start: 56500, step: 2500, window: 50000, max: 250 },
+              { start: 200000, step: 5000, window: 125000, max: 2000 },
+              { start: 500000, step: 5000, window: 250000, max: 1450 },
+            ],
+          },
+        },
+        2026: {
+          brackets: [
+            [20000, 0.02], [100000, 0.045], [200000, 0.055], [400000, 0.06], [500000, 0.065],
+            [1000000, 0.069], [100000000, 0.0699],
+          ],
+          bracketsByStatus: {
+            single: [
+              [10000, 0.02], [50000, 0.045], [100000, 0.055], [200000, 0.06], [250000, 0.065],
+              [500000, 0.069], [100000000, 0.0699],
+            ],
+          },
+          standardDeduction: { single: 0, mfj: 0, qss: 0 },
+          socialSecurity: { exemptBelowAGI: { single: 75000, mfj: 100000, qss: 100000 }, taxableShare: 0.25 },
+          recapture: {
+            mfj: [
+              { start: 100500, step: 5000, window: 100000, max: 500 },
+              { start: 400000, step: 10000, window: 250000, max: 4000 },
+              { start: 1000000, step: 10000, window: 500000, max: 2900 },
+            ],
+            single: [
+              { start: 56500, step: 2500, window: 50000, max: 250 },
+              { start: 200000, step: 5000, window: 125000, max: 2000 },
+              { start: 500000, step: 5000, window: 250000, max: 1450 },
+            ],
+          },
+        },
+      },
+    },
+    // 4.95% flat (35 ILCS 5/201(b)(5.4)). The per-person exemption (×2 MFJ)
+    // stands in for a standard deduction. Source: IL-1040 instructions.
+    il: {
+      provenance: [
+        { label: 'Flat rate', tables: ['brackets'], source: '35 ILCS 5/201(b)(5.4)' },
+        { label: 'Exemption allowance', tables: ['standardDeduction'], source: 'IL-1040 instructions', estimated: { 2026: '2027-01' } },
+      ],
+      years: {
+        2023: {
+          brackets: [[100000000, 0.0495]],
+          standardDeduction: { single: 2425, mfj: 4850, mfs: 2425, hoh: 2425, qss: 2425 },
+        },
+        2024: {
+          brackets: [[100000000, 0.0495]],
+          standardDeduction: { single: 2775, mfj: 5550, mfs: 2775, hoh: 2775, qss: 2775 },
+        },
+        2025: {
+          brackets: [[100000000, 0.0495]],
+          standardDeduction: { single: 2850, mfj: 5700, mfs: 2850, hoh: 2850, qss: 2850 },
+        },
+        // ESTIMATE — re-verify against IL-1040 2026 instructions.
+        2026: {
+          brackets: [[100000000, 0.0495]],
+          standardDeduction: { single: 2925, mfj: 5850, mfs: 2925, hoh: 2925, qss: 2925 },
+        },
+      },
+    },
+    // Medicare income-related monthly adjustment amounts (IRMAA), keyed by
+    // premium year; each is based on MAGI from two years earlier (42 CFR
+    // §418.1115, §418.2115). Source: CMS Medicare Parts B & D premium fact
+    // sheets. `irmaaThresholds` are the MAGI tier boundaries by status:
+    // over each of the first four moves up a tier, at or over the fifth
+    // reaches the top tier. MFS (lived with spouse) skips from the standard
+    // premium straight to the fourth tier, so its first four boundaries
+    // repeat. `partBPremiums` are monthly Part B premiums per tier (the
+    // first is the standard premium); `partDSurcharges` are the monthly
+    // Part D additions on top of the plan premium.
+    medicare: {
+      provenance: [
+        { label: 'IRMAA tiers and premiums', tables: ['irmaaThresholds', 'partBPremiums', 'partDSurcharges'], source: 'CMS Medicare Parts B & D premium fact sheets, Nov 2022-Nov 2025', projected: true },
+      ],
+      years: {
+        2023: {
+          irmaaThresholds: {
+            single: [97000, 123000, 153000, 183000, 500000],
+            mfj: [194000, 246000, 306000, 366000, 750000],
+            mfs: [97000, 97000, 97000, 97000, 403000],
+            hoh: [97000, 123000, 153000, 183000, 500000],
+            qss: [97000, 123000, 153000, 183000, 500000],
+          },
+          partBPremiums: [164.9, 230.8, 329.7, 428.6, 527.5, 560.5],
+          partDSurcharges: [0, 12.2, 31.5, 50.7, 70, 76.4],
+        },
+        2024: {
+          irmaaThresholds: {
+            single: [103000, 129000, 161000, 193000, 500000],
+            mfj: [206000, 258000, 322000, 386000, 750000],
+            mfs: [103000, 103000, 103000, 103000, 397000],
+            hoh: [103000, 129000, 161000, 193000, 500000],
+            qss: [103000, 129000, 161000, 193000, 500000],
+          },
+          partBPremiums: [174.7, 244.6, 349.4, 454.2, 559, 594],
+          partDSurcharges: [0, 12.9, 33.3, 53.8, 74.2, 81],
+        },
+        2025: {
+          irmaaThresholds: {
+            single: [106000, 133000, 167000, 200000, 500000],
+            mfj: [212000, 266000, 334000, 400000, 750000],
+            mfs: [106000, 106000, 106000, 106000, 394000],
+            hoh: [106000, 133000, 167000, 200000, 500000],
+            qss: [106000, 133000, 167000, 200000, 500000],
+          },
+          partBPremiums: [185, 259, 370, 480.9, 591.9, 628.9],
+          partDSurcharges: [0, 13.7, 35.3, 57, 78.6, 85.8],
+        },
+        2026: {
+          irmaaThresholds: {
+            single: [109000, 137000, 171000, 205000, 500000],
+            mfj: [218000, 274000, 342000, 410000, 750000],
+            mfs: [109000, 109000, 109000, 109000, 391000],
+            hoh: [109000, 137000, 171000, 205000, 500000],
+            qss: [109000, 137000, 171000, 205000, 500000],
+          },
+          partBPremiums: [202.9, 284.1, 405.8, 527.5, 649.2, 689.9],
+          partDSurcharges: [0, 14.5, 37.5, 60.4, 83.3, 91],
+        },
+      },
+    },
+  },
+};
+
+// Node (tests, tooling): export the data. Apps Script has no `module`.
+if (typeof module !== 'undefined') {
+  module.exports = TAX_DATA;
+}